@@ -1,38 +1,117 @@
-// Very small runtime cache for same-origin requests
-const CACHE = "map-quiz-v1";
+// Service worker: app shell + dataset caches for offline play. When a new
+// build or new shipped data installs a new worker, the page shows an "update
+// available" prompt and activates it on demand.
+
+// The build's hashed bundle files and content hashes of the shell and the
+// shipped datasets, written by the Vite build (see vite.config.js). Any change
+// to them changes this imported script, so browsers install the new worker.
+// The dev server has no such file.
+self.BUILD_ASSETS = [];
+self.SHELL_HASH = "dev";
+self.DATA_HASH = "dev";
+try {
+  importScripts("/sw-assets.js");
+} catch {}
+
+// Caches are named by content, so an update brings fresh ones and the old go
+const SHELL_CACHE = `map-quiz-shell-${self.SHELL_HASH}`;
+const DATA_CACHE = `map-quiz-data-${self.DATA_HASH}`;
+// "Download for offline" copies live in their own, unversioned cache so they
+// survive app updates. Keep the name in sync with src/offline.js.
+const DOWNLOADS_CACHE = "map-quiz-downloads-v1";
+
+const SHELL = [
+  "/", "/index.html", "/manifest.webmanifest",
+  "/icons/icon-192.png", "/icons/icon-512.png", "/icons/apple-touch-icon-180.png",
+];
+
+// Every dataset file the app ships (written by scripts/buildData.js)
+const SHIPPED_DATA = [
+  "/data/world.json",
+  "/data/usa48.json",
+  "/data/canada.json",
+  "/data/mexico.json",
+  "/data/india.json",
+  "/data/australia.json",
+  "/data/nyc.json",
+  "/data/israel.json",
+  "/data/uk_countries.json",
+  "/data/uk_counties.json",
+];
+
 self.addEventListener("install", (e) => {
-  e.waitUntil(
-    caches.open(CACHE).then((cache) =>
-      cache.addAll([
-        "/", "/index.html", "/manifest.webmanifest", "/favicon.svg"
-        // You can add "/data/..." if you want those offline too
-      ])
-    )
-  );
-  self.skipWaiting();
+  e.waitUntil(Promise.all([
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll([...SHELL, ...self.BUILD_ASSETS])),
+    caches.open(DATA_CACHE).then((cache) => cache.addAll(SHIPPED_DATA)),
+  ]));
+  // No skipWaiting here: the page asks for it when the player accepts the update.
 });
 
 self.addEventListener("activate", (e) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, DOWNLOADS_CACHE];
   e.waitUntil(
-    caches.keys().then((keys) =>
-      Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)))
-    )
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
-// Cache-first for same-origin GETs; network fallback
-self.addEventListener("fetch", (e) => {
-  const url = new URL(e.request.url);
-  if (e.request.method !== "GET" || url.origin !== location.origin) return;
-  e.respondWith(
-    caches.match(e.request).then((hit) =>
+self.addEventListener("message", (e) => {
+  if (e.data && e.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+const isDataRequest = (url) => url.origin === location.origin && url.pathname.startsWith("/data/");
+
+// Cache-first from `cacheName` only, filling it from the network on a miss
+function cacheFirst(request, cacheName) {
+  return caches.open(cacheName).then((cache) =>
+    cache.match(request).then((hit) =>
       hit ||
-      fetch(e.request).then((resp) => {
-        const clone = resp.clone();
-        caches.open(CACHE).then((c) => c.put(e.request, clone));
+      fetch(request).then((resp) => {
+        if (resp.ok) cache.put(request, resp.clone());
         return resp;
-      }).catch(() => hit)
+      })
     )
   );
+}
+
+// Downloaded datasets: the network when online (refreshing the copy), the copy offline
+function networkFirst(request, cacheName) {
+  return caches.open(cacheName).then((cache) =>
+    fetch(request).then((resp) => {
+      if (resp.ok) {
+        const clone = resp.clone();
+        cache.match(request).then((hit) => hit && cache.put(request, clone));
+      }
+      return resp;
+    }, () => cache.match(request).then((hit) => hit || Response.error()))
+  );
+}
+
+self.addEventListener("fetch", (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== "GET") return;
+
+  // Page loads: network-first so new deploys show up, cached shell when offline
+  if (e.request.mode === "navigate") {
+    e.respondWith(
+      fetch(e.request).catch(() =>
+        caches.match(e.request).then((hit) => hit || caches.match("/index.html"))
+      )
+    );
+    return;
+  }
+
+  if (isDataRequest(url)) {
+    e.respondWith(SHIPPED_DATA.includes(url.pathname)
+      ? cacheFirst(e.request, DATA_CACHE)
+      : networkFirst(e.request, DOWNLOADS_CACHE));
+    return;
+  }
+
+  // Other same-origin GETs (hashed build assets, icons): cache-first
+  if (url.origin === location.origin) {
+    e.respondWith(cacheFirst(e.request, SHELL_CACHE));
+  }
+  // Everything else (country info, Wikipedia) goes straight to the network.
 });
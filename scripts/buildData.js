@@ -0,0 +1,67 @@
+import { existsSync } from "node:fs";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { SOURCES } from "./dataSources.js";
+import { buildTopology, invalidRegions, normalizeFeatures, sourceFeatures } from "./dataPipeline.js";
+
+/**
+ * Build public/data/<key>.json from the vendored copies in data-src/.
+ *
+ *   npm run data                 # rebuild everything that has a source copy
+ *   npm run data -- --fetch      # first download missing copies from upstream
+ *   npm run data -- world usa48  # only these datasets
+ *
+ * Copies without an upstream URL are never fetched; the output says where to
+ * get them. Fails (exit 1) when a source's attribution notice is missing from
+ * data-src/ or a region stops rendering after simplification.
+ */
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const SRC_DIR = join(ROOT, "data-src");
+const OUT_DIR = join(ROOT, "public", "data");
+
+const args = process.argv.slice(2);
+const fetchMissing = args.includes("--fetch");
+const only = args.filter((a) => !a.startsWith("--"));
+
+async function download(source, path) {
+  const res = await fetch(source.upstream);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${source.upstream}`);
+  await writeFile(path, Buffer.from(await res.arrayBuffer()));
+}
+
+async function build(source) {
+  const srcPath = join(SRC_DIR, source.file);
+  if (!existsSync(srcPath)) {
+    if (!source.upstream) return { key: source.key, skipped: `no data-src/${source.file}; download ${source.manual} by hand` };
+    if (!fetchMissing) return { key: source.key, skipped: `no data-src/${source.file} (run with --fetch)` };
+    await download(source, srcPath);
+  }
+  if (!existsSync(join(SRC_DIR, source.notice))) throw new Error(`${source.key}: no data-src/${source.notice} for its ${source.license} attribution`);
+  const json = JSON.parse(await readFile(srcPath, "utf8"));
+  const features = normalizeFeatures(sourceFeatures(json, source.object), source);
+  if (!features.length) throw new Error(`${source.key}: no usable regions in ${source.file}`);
+
+  const { topology, bytes, dropped } = buildTopology(features, { maxBytes: source.maxKB * 1024 });
+  const broken = invalidRegions(topology);
+  if (broken.length) throw new Error(`${source.key}: simplification broke ${broken.join(", ")}`);
+
+  await writeFile(join(OUT_DIR, `${source.key}.json`), JSON.stringify(topology));
+  return { key: source.key, regions: features.length, kb: Math.round(bytes / 1024), dropped, license: source.license };
+}
+
+await mkdir(OUT_DIR, { recursive: true });
+let failed = false;
+for (const source of SOURCES) {
+  if (only.length && !only.includes(source.key)) continue;
+  try {
+    const r = await build(source);
+    console.log(r.skipped
+      ? `- ${r.key}: skipped, ${r.skipped}`
+      : `- ${r.key}: ${r.regions} regions, ${r.kb} KB${r.dropped ? `, ${Math.round(r.dropped * 100)}% of points simplified away` : ""} (${r.license})`);
+  } catch (e) {
+    failed = true;
+    console.error(`x ${source.key}: ${e.message}`);
+  }
+}
+if (failed) process.exitCode = 1;
@@ -0,0 +1,115 @@
+import { geoArea } from "d3-geo";
+import { feature, quantize } from "topojson-client";
+import { topology } from "topojson-server";
+import { presimplify, quantile, simplify } from "topojson-simplify";
+import { isRenderableFeature } from "../src/utils.js";
+
+/******************** Dataset build pipeline ********************/
+/**
+ * Turns a vendored source file (GeoJSON or TopoJSON) into the single schema
+ * the app loads from public/data: a TopoJSON topology with one "regions"
+ * object whose geometries carry { id, name, parent, area } properties
+ * (area in km^2). See dataSources.js for the per-dataset settings.
+ */
+export const OBJECT_NAME = "regions";
+const EARTH_RADIUS_KM = 6371.0088;
+
+/** Features of a parsed source file; `object` picks the TopoJSON layer */
+export function sourceFeatures(json, object) {
+  if (json && json.type === "Topology") {
+    const name = object || Object.keys(json.objects || {})[0];
+    if (!json.objects || !json.objects[name]) throw new Error(`No "${name}" object in topology`);
+    const fc = feature(json, json.objects[name]);
+    return fc.features || [fc];
+  }
+  if (json && json.type === "FeatureCollection") return json.features || [];
+  throw new Error("Expected a GeoJSON FeatureCollection or a TopoJSON Topology");
+}
+
+const polygonsOf = (geometry) =>
+  geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+/**
+ * d3 wants exterior rings clockwise; RFC 7946 files wind them the other way,
+ * which d3 reads as "the whole globe minus this shape". Flip any polygon that
+ * covers more than a hemisphere.
+ */
+export function rewind(geometry) {
+  const fixed = polygonsOf(geometry).map((rings) =>
+    geoArea({ type: "Polygon", coordinates: rings }) > 2 * Math.PI
+      ? rings.map((ring) => ring.slice().reverse())
+      : rings
+  );
+  return geometry.type === "Polygon"
+    ? { type: "Polygon", coordinates: fixed[0] }
+    : { type: "MultiPolygon", coordinates: fixed };
+}
+
+/** Area of a (correctly wound) polygon feature in km^2 */
+export const areaKm2 = (f) => Math.round(geoArea(f) * EARTH_RADIUS_KM * EARTH_RADIUS_KM);
+
+const slug = (s) => String(s).toLowerCase().normalize("NFD").replace(/\p{Diacritic}/gu, "")
+  .replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/**
+ * Map raw features to { type, properties: { id, name, parent, area }, geometry }
+ * using the source's `id`, `name`, `parent` and `keep` functions. Features
+ * without a name or renderable polygons are dropped; ids are made unique.
+ */
+export function normalizeFeatures(features, source) {
+  const out = [];
+  const seen = new Set();
+  for (const f of features) {
+    if (!isRenderableFeature(f)) continue;
+    const props = f.properties || {};
+    const name = String(source.name(props, f) || "").trim();
+    if (!name) continue;
+    if (source.keep && !source.keep(name, props)) continue;
+    const geometry = rewind(f.geometry);
+    let id = String(source.id ? source.id(props, f) || "" : "") || slug(name);
+    for (let n = 2; seen.has(id); n++) id = `${id.replace(/-\d+$/, "")}-${n}`;
+    seen.add(id);
+    const parent = source.parent ? source.parent(props, f) || null : null;
+    const normalized = { type: "Feature", properties: { id, name, parent }, geometry };
+    normalized.properties.area = areaKm2(normalized);
+    out.push(normalized);
+  }
+  return out;
+}
+
+const byteSize = (topo) => Buffer.byteLength(JSON.stringify(topo));
+
+/**
+ * Build the topology and simplify it until it serializes to at most
+ * `maxBytes`, keeping as many points as possible (binary search over the
+ * share of points kept). Returns { topology, bytes, dropped }.
+ */
+export function buildTopology(features, { maxBytes = Infinity, quantization = 1e5 } = {}) {
+  const topo = topology({ [OBJECT_NAME]: { type: "FeatureCollection", features } }, quantization);
+  const bytes = byteSize(topo);
+  if (bytes <= maxBytes) return { topology: topo, bytes, dropped: 0 };
+
+  // simplify() hands back raw coordinates, so quantize again before measuring
+  const weighted = presimplify(topo);
+  const simplified = (kept) => quantize(simplify(weighted, quantile(weighted, kept)), quantization);
+  let lo = 0, hi = 1, best = null;
+  for (let i = 0; i < 12; i++) {
+    const kept = (lo + hi) / 2;
+    const candidate = simplified(kept);
+    const size = byteSize(candidate);
+    if (size <= maxBytes) { best = { topology: candidate, bytes: size, dropped: 1 - kept }; lo = kept; }
+    else hi = kept;
+  }
+  if (!best) {
+    const candidate = simplified(0);
+    best = { topology: candidate, bytes: byteSize(candidate), dropped: 1 };
+  }
+  return best;
+}
+
+/** Names of regions that no longer render after simplification (should be empty) */
+export function invalidRegions(topo) {
+  return feature(topo, topo.objects[OBJECT_NAME]).features
+    .filter((f) => !isRenderableFeature(f))
+    .map((f) => (f.properties && f.properties.name) || "(unnamed)");
+}
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { feature } from "topojson-client";
+import { buildTopology, invalidRegions, normalizeFeatures, OBJECT_NAME, rewind, sourceFeatures } from "./dataPipeline.js";
+import { SOURCES } from "./dataSources.js";
+
+// 1x1 degree squares, exterior ring clockwise (as d3 expects)
+const square = (x, y, props) => ({
+  type: "Feature",
+  properties: props,
+  geometry: { type: "Polygon", coordinates: [[[x, y], [x, y + 1], [x + 1, y + 1], [x + 1, y], [x, y]]] },
+});
+
+const SOURCE = {
+  name: (p) => p.label,
+  id: (p) => p.code,
+  parent: () => "Testland",
+  keep: (name) => name !== "Skip",
+};
+
+test("normalizeFeatures maps sources onto { id, name, parent, area }", () => {
+  const out = normalizeFeatures([
+    square(0, 0, { label: "Alpha", code: "A" }),
+    square(2, 0, { label: "Beta" }),
+    square(4, 0, { label: "Skip", code: "S" }),
+    square(6, 0, { code: "N" }),
+    { type: "Feature", properties: { label: "Line" }, geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] } },
+  ], SOURCE);
+  assert.deepEqual(out.map((f) => f.properties.id), ["A", "beta"]);
+  assert.equal(out[0].properties.parent, "Testland");
+  // a 1x1 degree cell at the equator is roughly 12,300 km^2
+  assert.ok(Math.abs(out[0].properties.area - 12364) < 100, String(out[0].properties.area));
+});
+
+test("normalizeFeatures keeps ids unique", () => {
+  const out = normalizeFeatures([square(0, 0, { label: "Twin" }), square(2, 0, { label: "Twin" })], SOURCE);
+  assert.deepEqual(out.map((f) => f.properties.id), ["twin", "twin-2"]);
+});
+
+test("rewind flips polygons wound the RFC 7946 way", () => {
+  const ccw = square(0, 0, {}).geometry.coordinates[0].slice().reverse();
+  const fixed = rewind({ type: "Polygon", coordinates: [ccw] });
+  assert.deepEqual(fixed.coordinates[0], square(0, 0, {}).geometry.coordinates[0]);
+});
+
+test("buildTopology stays within the size budget and keeps every region renderable", () => {
+  // A wiggly coastline gives the simplifier something to remove
+  const ring = [];
+  for (let i = 0; i <= 400; i++) ring.push([i / 100, Math.sin(i) * 0.05]);
+  ring.push([4, -1], [0, -1], [0, 0]);
+  const features = normalizeFeatures([
+    { type: "Feature", properties: { label: "Coast" }, geometry: { type: "Polygon", coordinates: [ring.reverse()] } },
+    square(10, 0, { label: "Box" }),
+  ], SOURCE);
+
+  const full = buildTopology(features);
+  assert.equal(full.dropped, 0);
+  const small = buildTopology(features, { maxBytes: full.bytes / 2 });
+  assert.ok(small.bytes <= full.bytes / 2);
+  assert.ok(small.dropped > 0);
+  assert.deepEqual(invalidRegions(small.topology), []);
+  const names = feature(small.topology, small.topology.objects[OBJECT_NAME]).features.map((f) => f.properties.name);
+  assert.deepEqual(names.sort(), ["Box", "Coast"]);
+});
+
+test("sourceFeatures reads GeoJSON and TopoJSON and rejects anything else", () => {
+  const fc = { type: "FeatureCollection", features: [square(0, 0, { label: "Alpha" })] };
+  assert.equal(sourceFeatures(fc).length, 1);
+  const topo = buildTopology(normalizeFeatures(fc.features, SOURCE)).topology;
+  assert.equal(sourceFeatures(topo, OBJECT_NAME)[0].properties.name, "Alpha");
+  assert.throws(() => sourceFeatures(topo, "missing"), /No "missing" object/);
+  assert.throws(() => sourceFeatures({ type: "Point" }), /Expected a GeoJSON/);
+});
+
+test("every source can be fetched or says where to get it, and ships its attribution", () => {
+  for (const source of SOURCES) {
+    assert.ok(source.upstream ? /^https:\/\/\S+$/.test(source.upstream) : source.manual, source.key);
+    assert.ok(source.license && existsSync(new URL(`../data-src/${source.notice}`, import.meta.url)), source.key);
+  }
+});
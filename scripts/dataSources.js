@@ -0,0 +1,159 @@
+import { norm } from "../src/utils.js";
+
+/******************** Vendored dataset sources ********************/
+/**
+ * One entry per file in public/data. `file` is the checked-in copy under
+ * data-src/ and `upstream` the URL it came from (`npm run data -- --fetch`
+ * downloads missing copies from there); a copy that has to be downloaded by
+ * hand has `manual` instead, saying where. `license` names its terms and
+ * `notice` the data-src/ file with the attribution they ask for. `name`, `id`
+ * and `parent` read the source's own properties; `keep` drops regions the
+ * quiz doesn't ask about. `maxKB` is the size budget the geometry is
+ * simplified down to.
+ */
+const prop = (...keys) => (props) => {
+  for (const k of keys) if (typeof props[k] === "string" && props[k].trim()) return props[k];
+  return "";
+};
+
+const UK_NATIONS = { E: "England", W: "Wales", S: "Scotland", N: "Northern Ireland" };
+const ukNation = (props) => UK_NATIONS[String(props.areacd || "").charAt(0)] || null;
+
+const USA_EXCLUDED = [
+  "alaska", "hawaii", "puerto rico", "guam", "american samoa", "northern mariana islands",
+  "commonwealth of the northern mariana islands", "united states virgin islands", "district of columbia",
+];
+
+// Each county of New York City is one borough
+const NYC_BOROUGHS = { "36005": "Bronx", "36047": "Brooklyn", "36061": "Manhattan", "36081": "Queens", "36085": "Staten Island" };
+
+// Outlying islands, not states or territories of the mainland
+const AUSTRALIA_EXCLUDED = ["Macquarie Island", "Norfolk Island"];
+
+// datamaps bundles each country's Natural Earth admin-1 topology in a script;
+// data-src keeps the topology (its `<code>Topo` object) as plain JSON.
+const DATAMAPS = (code) => `https://cdn.jsdelivr.net/npm/datamaps@0.5.10/dist/datamaps.${code}.js`;
+
+/** The source's `name`, with names that have since changed brought up to date */
+const renamed = (renames) => (props) => renames[props.name] || prop("name")(props);
+
+export const SOURCES = [
+  {
+    key: "world",
+    file: "world-atlas-countries-110m.json",
+    upstream: "https://cdn.jsdelivr.net/npm/world-atlas@2.0.2/countries-110m.json",
+    license: "ISC (world-atlas, from Natural Earth)",
+    notice: "LICENSE-atlas.txt",
+    object: "countries",
+    name: prop("name"),
+    id: (props, f) => f.id, // ISO 3166-1 numeric
+    maxKB: 120,
+  },
+  {
+    key: "usa48",
+    file: "us-atlas-states-10m.json",
+    upstream: "https://cdn.jsdelivr.net/npm/us-atlas@3.0.1/states-10m.json",
+    license: "ISC (us-atlas, from the US Census Bureau)",
+    notice: "LICENSE-atlas.txt",
+    object: "states",
+    name: prop("name"),
+    id: (props, f) => f.id, // FIPS state code
+    parent: () => "United States",
+    keep: (name) => !USA_EXCLUDED.includes(norm(name)),
+    maxKB: 80,
+  },
+  {
+    key: "canada",
+    file: "datamaps-can.json",
+    upstream: DATAMAPS("can"),
+    license: "MIT (datamaps, from Natural Earth)",
+    notice: "LICENSE-datamaps.txt",
+    name: prop("name"),
+    id: (props, f) => f.id, // HASC code
+    parent: () => "Canada",
+    maxKB: 150,
+  },
+  {
+    key: "mexico",
+    file: "datamaps-mex.json",
+    upstream: DATAMAPS("mex"),
+    license: "MIT (datamaps, from Natural Earth)",
+    notice: "LICENSE-datamaps.txt",
+    name: renamed({ "Distrito Federal": "Ciudad de M\u00e9xico" }),
+    id: (props, f) => f.id,
+    parent: () => "Mexico",
+    maxKB: 150,
+  },
+  {
+    // Natural Earth's states predate Telangana (2014), Ladakh (2019) and the
+    // Dadra and Nagar Haveli and Daman and Diu merger (2020)
+    key: "india",
+    file: "datamaps-ind.json",
+    upstream: DATAMAPS("ind"),
+    license: "MIT (datamaps, from Natural Earth)",
+    notice: "LICENSE-datamaps.txt",
+    name: renamed({ Orissa: "Odisha", Uttaranchal: "Uttarakhand" }),
+    id: (props, f) => f.id,
+    parent: () => "India",
+    maxKB: 150,
+  },
+  {
+    key: "australia",
+    file: "datamaps-aus.json",
+    upstream: DATAMAPS("aus"),
+    license: "MIT (datamaps, from Natural Earth)",
+    notice: "LICENSE-datamaps.txt",
+    name: prop("name"),
+    id: (props, f) => f.id,
+    parent: () => "Australia",
+    keep: (name) => !AUSTRALIA_EXCLUDED.includes(name),
+    maxKB: 150,
+  },
+  {
+    key: "nyc",
+    file: "us-atlas-counties-10m.json",
+    upstream: "https://cdn.jsdelivr.net/npm/us-atlas@3.0.1/counties-10m.json",
+    license: "ISC (us-atlas, from the US Census Bureau)",
+    notice: "LICENSE-atlas.txt",
+    object: "counties",
+    name: (props, f) => NYC_BOROUGHS[f.id] || "", // every other county is dropped
+    id: (props, f) => f.id, // FIPS county code
+    parent: () => "New York City",
+    maxKB: 20,
+  },
+  {
+    key: "israel",
+    file: "israel.json",
+    manual: "the Israel districts GeoJSON from https://simplemaps.com",
+    license: "simplemaps free license, with attribution",
+    notice: "LICENSE-simplemaps.txt",
+    name: prop("name", "NAME", "district", "District", "name_en", "english_name"),
+    id: (props) => props.id,
+    parent: () => "Israel",
+    maxKB: 60,
+  },
+  {
+    key: "uk_countries",
+    file: "topo_uk_level_1.json",
+    manual: "the UK countries boundaries from https://geoportal.statistics.gov.uk, as TopoJSON",
+    license: "Open Government Licence v3.0",
+    notice: "LICENSE-ogl.txt",
+    object: "ctry",
+    name: prop("areanm"),
+    id: (props) => props.areacd, // GSS code
+    parent: () => "United Kingdom",
+    maxKB: 150,
+  },
+  {
+    key: "uk_counties",
+    file: "topo_uk_level_2.json",
+    manual: "the English regions plus Wales, Scotland and Northern Ireland from https://geoportal.statistics.gov.uk, as TopoJSON",
+    license: "Open Government Licence v3.0",
+    notice: "LICENSE-ogl.txt",
+    object: "rgn",
+    name: prop("areanm"),
+    id: (props) => props.areacd,
+    parent: ukNation,
+    maxKB: 180,
+  },
+];
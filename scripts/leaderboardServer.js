@@ -0,0 +1,210 @@
+import { randomBytes, randomUUID } from "node:crypto";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { localizedAliases } from "../src/i18n.js";
+import { verifyRun } from "../src/leaderboard.js";
+import { loadServerMaps } from "./serverMaps.js";
+
+/**
+ * Optional, self-hosted leaderboard. Runs are replayed before they count
+ * (see src/leaderboard.js), so a made-up score is turned away. Each run needs
+ * a seed this server issued and nobody has used, and can't have lasted longer
+ * than the seed has existed, so a perfect log can't be worked out in advance.
+ * Runs are kept in memory, or in a JSON file when LEADERBOARD_FILE is set.
+ *
+ *   npm run leaderboard                                  # http://localhost:8788
+ *   LEADERBOARD_FILE=runs.json LEADERBOARD_PORT=9000 npm run leaderboard
+ *
+ *   POST /seed                                           -> 201 { seed, issuedAt }
+ *   POST /runs { dataset, mode, seed, player, score, log } -> 201 { id, rank, best } | 422 { error }
+ *   GET  /top?dataset=&mode=&limit=                      -> { runs: [{ id, player, score, misses, ms, at, rank }] }
+ *   GET  /best?dataset=&mode=&player=                    -> that player's best run, with its rank | 404 { error: "none" }
+ *   GET  /runs/:id                                       -> a run, answer log included
+ */
+const MAX_BODY = 256 * 1024;
+const MAX_LIMIT = 100;
+// Unused seeds are forgotten after a day, and at most this many are kept
+const SEED_TTL = 24 * 60 * 60 * 1000;
+const MAX_SEEDS = 10000;
+
+/** Keeps every accepted run; `save` is called after each one */
+export function memoryStore(runs = [], save = async () => {}) {
+  return {
+    runs,
+    async add(run) {
+      runs.push(run);
+      await save(runs);
+    },
+  };
+}
+
+/** A store backed by a JSON file, rewritten through a temp file so a crash can't leave half of it */
+export async function fileStore(path) {
+  let runs = [];
+  try {
+    runs = JSON.parse(await readFile(path, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  let writing = Promise.resolve();
+  const write = async (all) => {
+    await writeFile(`${path}.tmp`, JSON.stringify(all));
+    await rename(`${path}.tmp`, path);
+  };
+  // One write at a time, or two submissions could interleave on the temp file
+  return memoryStore(runs, (all) => (writing = writing.then(() => write(all))));
+}
+
+/** Higher score first, then fewer misses, then faster, then whoever got there first */
+const better = (a, b) => b.score - a.score || a.misses - b.misses || a.ms - b.ms || a.at - b.at;
+const summary = ({ id, player, score, misses, ms, at }) => ({ id, player, score, misses, ms, at });
+
+/** Each player's best run on a board, ranked */
+export function ranking(runs, dataset, mode) {
+  const best = new Map();
+  for (const run of runs) {
+    if (run.dataset !== dataset || run.mode !== mode) continue;
+    const key = run.player.toLowerCase();
+    if (!best.has(key) || better(run, best.get(key)) < 0) best.set(key, run);
+  }
+  return [...best.values()].sort(better).map((run, i) => ({ ...summary(run), rank: i + 1 }));
+}
+
+export function createLeaderboardServer({ port = 8788, maps, catalogs = {}, store = memoryStore(), log = console.log, now = Date.now } = {}) {
+  // Issued, unused seeds -> when they were issued (Map order is issue order)
+  const seeds = new Map();
+  const aliasCache = new Map();
+  const aliasesFor = (dataset) => (lang) => {
+    const key = `${dataset}:${lang}`;
+    if (!aliasCache.has(key)) {
+      const catalog = catalogs[lang];
+      aliasCache.set(key, catalog ? localizedAliases(maps[dataset].aliases, catalog, dataset) : maps[dataset].aliases);
+    }
+    return aliasCache.get(key);
+  };
+
+  const reply = (res, status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("too big"), { status: 413, code: "tooBig" }));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(Object.assign(new Error("bad json"), { status: 400, code: "json" }));
+      }
+    });
+    req.on("error", reject);
+  });
+
+  function issueSeed(res) {
+    const issuedAt = now();
+    for (const [seed, at] of seeds) {
+      if (issuedAt - at < SEED_TTL && seeds.size < MAX_SEEDS) break;
+      seeds.delete(seed);
+    }
+    const seed = randomBytes(9).toString("base64url");
+    seeds.set(seed, issuedAt);
+    return reply(res, 201, { seed, issuedAt });
+  }
+
+  async function submit(req, res) {
+    const body = await readBody(req);
+    const map = body && Object.hasOwn(maps, body.dataset) ? maps[body.dataset] : null;
+    if (!map) return reply(res, 422, { error: "noMap" });
+    const run = {
+      dataset: body.dataset,
+      mode: body.mode,
+      seed: String(body.seed ?? ""),
+      player: String(body.player || "").trim().slice(0, 24),
+      score: body.score,
+      log: body.log,
+    };
+    // A seed is played once: the same log sent again (or under another name) isn't a new run
+    if (store.runs.some((r) => r.dataset === run.dataset && r.mode === run.mode && r.seed === run.seed)) {
+      return reply(res, 422, { error: "seen" });
+    }
+    if (!seeds.has(run.seed)) return reply(res, 422, { error: "seed" });
+    const issuedAt = seeds.get(run.seed);
+    seeds.delete(run.seed);
+    const last = Array.isArray(run.log) && run.log.length ? run.log[run.log.length - 1]?.at : 0;
+    if (last > now() - issuedAt) {
+      log(`rejected ${run.player} on ${run.dataset}/${run.mode}: longer than its seed has existed`);
+      return reply(res, 422, { error: "time" });
+    }
+    const verdict = verifyRun(run, { names: map.names, aliasesFor: aliasesFor(run.dataset) });
+    if (!verdict.ok) {
+      log(`rejected ${run.player} on ${run.dataset}/${run.mode}: ${verdict.error}`);
+      return reply(res, 422, { error: verdict.error });
+    }
+    const saved = { id: randomUUID(), ...run, misses: verdict.misses, ms: last, at: now() };
+    await store.add(saved);
+    const board = ranking(store.runs, run.dataset, run.mode);
+    const best = board.find((row) => row.player.toLowerCase() === run.player.toLowerCase());
+    const rank = board.findIndex((row) => better(saved, row) <= 0) + 1 || board.length + 1;
+    return reply(res, 201, { id: saved.id, rank, best });
+  }
+
+  function get(url, res) {
+    const q = url.searchParams;
+    if (url.pathname === "/top") {
+      const limit = Math.min(MAX_LIMIT, Math.max(1, Number(q.get("limit")) || 10));
+      return reply(res, 200, { runs: ranking(store.runs, q.get("dataset"), q.get("mode")).slice(0, limit) });
+    }
+    if (url.pathname === "/best") {
+      const player = String(q.get("player") || "").trim().toLowerCase();
+      const best = ranking(store.runs, q.get("dataset"), q.get("mode")).find((row) => row.player.toLowerCase() === player);
+      return best ? reply(res, 200, best) : reply(res, 404, { error: "none" });
+    }
+    const match = url.pathname.match(/^\/runs\/([\w-]+)$/);
+    const run = match && store.runs.find((r) => r.id === match[1]);
+    if (run) return reply(res, 200, run);
+    return reply(res, 404, { error: "notFound" });
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method === "OPTIONS") return reply(res, 204, {});
+      if (req.method === "POST" && url.pathname === "/seed") return issueSeed(res);
+      if (req.method === "POST" && url.pathname === "/runs") return await submit(req, res);
+      if (req.method === "GET") return get(url, res);
+      return reply(res, 405, { error: "method" });
+    } catch (e) {
+      if (!e.status) log(`error: ${e.message}`);
+      return reply(res, e.status || 500, { error: e.code || "server" });
+    }
+  });
+  server.listen(port);
+
+  return {
+    server,
+    store,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.LEADERBOARD_PORT) || 8788;
+  const file = process.env.LEADERBOARD_FILE;
+  const { maps, catalogs } = await loadServerMaps();
+  createLeaderboardServer({ port, maps, catalogs, store: file ? await fileStore(file) : memoryStore() });
+  console.log(`Leaderboard on http://localhost:${port} (${file ? `saving to ${file}` : "in memory"})`);
+}
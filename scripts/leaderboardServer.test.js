@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { runQueue } from "../src/leaderboard.js";
+import { createLeaderboardServer, fileStore } from "./leaderboardServer.js";
+
+const NAMES = ["France", "Spain", "Italy"];
+const MAPS = { tiny: { names: NAMES, aliases: {} } };
+const CATALOGS = { es: { regions: { tiny: { Spain: "España" } } } };
+
+/** A finished run: every prompt answered right (or with `answer(name)`) a second apart */
+const run = (player, seed, { mode = "click", answer = (name) => name, ...extra } = {}) => ({
+  dataset: "tiny",
+  mode,
+  seed,
+  player,
+  score: NAMES.length,
+  log: runQueue(NAMES, seed).map((name, i) => ({ type: "answer", answer: answer(name), lang: "es", at: 1000 * (i + 1) })),
+  ...extra,
+});
+
+/** A server on a clock of its own: `clock.now` moves only when a test moves it */
+function start(t, options = {}) {
+  const clock = { now: 0 };
+  const lb = createLeaderboardServer({ port: 0, maps: MAPS, catalogs: CATALOGS, log: () => {}, now: () => clock.now, ...options });
+  t.after(() => lb.close());
+  const base = `http://localhost:${lb.server.address().port}`;
+  const seed = async () => (await (await fetch(`${base}/seed`, { method: "POST" })).json()).seed;
+  // A run on a fresh seed, played over the next minute
+  const play = async (player, options) => {
+    const r = run(player, await seed(), options);
+    clock.now += 60000;
+    return r;
+  };
+  const post = async (body) => {
+    const res = await fetch(`${base}/runs`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  const get = async (path) => {
+    const res = await fetch(`${base}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+  return { lb, clock, seed, play, post, get };
+}
+
+test("verified runs are ranked by each player's best", async (t) => {
+  const { play, post, get } = start(t);
+  const ana = await post(await play("Ana"));
+  assert.equal(ana.status, 201);
+  assert.equal(ana.body.rank, 1);
+  const paced = (r, k) => ({ ...r, log: r.log.map((s) => ({ ...s, at: s.at * k })) });
+  assert.equal((await post(paced(await play("Ben"), 2))).body.rank, 2);
+  const faster = await post(paced(await play("ben"), 0.5)); // same player, whatever the case
+  assert.deepEqual([faster.body.rank, faster.body.best.ms], [1, 1500]);
+
+  const top = (await get("/top?dataset=tiny&mode=click")).body.runs;
+  assert.deepEqual(top.map((r) => [r.player, r.rank]), [["ben", 1], ["Ana", 2]]);
+  assert.equal((await get("/best?dataset=tiny&mode=click&player=BEN")).body.ms, 1500);
+  assert.equal((await get("/best?dataset=tiny&mode=type&player=Ana")).status, 404);
+  assert.equal((await get(`/runs/${ana.body.id}`)).body.log.length, NAMES.length);
+});
+
+test("impossible, replayed and malformed runs are turned away", async (t) => {
+  const { play, post, lb } = start(t);
+  assert.deepEqual((await post(await play("Ana", { score: 4 }))).body, { error: "score" });
+  assert.deepEqual((await post(await play("Ana", { dataset: "atlantis" }))).body, { error: "noMap" });
+  assert.deepEqual((await post(await play("Ana", { dataset: "constructor" }))).body, { error: "noMap" });
+  const ana = await play("Ana");
+  assert.equal((await post(ana)).status, 201);
+  assert.deepEqual((await post({ ...ana, player: "Eve" })).body, { error: "seen" });
+  assert.equal(lb.store.runs.length, 1);
+});
+
+test("runs need a seed the server issued, used once, and no longer than it has existed", async (t) => {
+  const { clock, seed, play, post, lb } = start(t);
+  // A seed picked at home, whose order could be worked out before playing
+  assert.deepEqual((await post(run("Eve", "e1"))).body, { error: "seed" });
+  const rejected = await play("Eve", { score: 4 });
+  assert.deepEqual((await post(rejected)).body, { error: "score" });
+  assert.deepEqual((await post({ ...rejected, score: NAMES.length })).body, { error: "seed" });
+  // Three answers a second apart, sent half a second after the seed was issued
+  const early = run("Eve", await seed());
+  clock.now += 500;
+  assert.deepEqual((await post(early)).body, { error: "time" });
+  const fresh = run("Ana", await seed());
+  clock.now += NAMES.length * 1000;
+  assert.equal((await post(fresh)).status, 201);
+  assert.equal(lb.store.runs.length, 1);
+});
+
+test("Type answers are checked in the player's language", async (t) => {
+  const { play, post } = start(t);
+  const spanish = (name) => (name === "Spain" ? "España" : name);
+  assert.equal((await post(await play("Ana", { mode: "type", answer: spanish }))).status, 201);
+});
+
+test("a file store keeps runs across restarts", async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), "mqg-lb-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, "runs.json");
+  const first = start(t, { store: await fileStore(path) });
+  await first.post(await first.play("Ana"));
+  assert.equal(JSON.parse(await readFile(path, "utf8")).length, 1);
+  const second = start(t, { store: await fileStore(path) });
+  assert.equal((await second.get("/top?dataset=tiny&mode=click")).body.runs[0].player, "Ana");
+});
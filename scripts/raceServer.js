@@ -0,0 +1,158 @@
+import { randomInt, randomUUID } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+import { localizedAliases } from "../src/i18n.js";
+import { createRace, joinProblem, RACE_MODES, raceReducer, scoreboard } from "../src/race.js";
+import { loadServerMaps } from "./serverMaps.js";
+
+/**
+ * Local race server: players join a room by code, get the same seeded prompt
+ * sequence and race through it; answers are checked here (see src/race.js)
+ * and every change is broadcast as a scoreboard. No external services: maps
+ * come from public/data, so only vendored datasets can be raced.
+ *
+ *   npm run race                   # ws://localhost:8787
+ *   RACE_PORT=9000 npm run race
+ *
+ * Messages are JSON objects with a `type`.
+ *   client -> server: create { name, dataset, mode } | join { code, name, token? }
+ *                     | start | answer { answer } | skip | leave
+ *   server -> client: hello { datasets, modes } | joined { code, token, dataset, mode, queue, status, moves }
+ *                     | board { status, host, players } | error { code }
+ */
+const CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I or O
+const EMPTY_ROOM_MS = 10 * 60 * 1000; // forget rooms nobody has been in for this long
+const PING_MS = 30 * 1000;
+
+/** { key: { names, aliases } }, accepting any shipped language in Type mode whatever the player's interface is in */
+export async function loadRaceMaps(root) {
+  const { maps, catalogs } = await loadServerMaps(root);
+  return Object.fromEntries(Object.entries(maps).map(([key, map]) => [
+    key,
+    { names: map.names, aliases: Object.values(catalogs).reduce((table, catalog) => localizedAliases(table, catalog, key), map.aliases) },
+  ]));
+}
+
+export function createRaceServer({ port = 8787, maps, log = console.log } = {}) {
+  const wss = new WebSocketServer({ port });
+  const rooms = new Map(); // code -> { race, sockets: Map(id -> ws), idleTimer }
+
+  const send = (ws, msg) => { if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg)); };
+  const broadcast = (room) => {
+    const { race } = room;
+    const board = { type: "board", status: race.status, players: scoreboard(race) };
+    for (const [id, ws] of room.sockets) send(ws, { ...board, host: race.host === id });
+  };
+  const newCode = () => {
+    let code;
+    do code = Array.from({ length: 4 }, () => CODE_LETTERS[randomInt(CODE_LETTERS.length)]).join("");
+    while (rooms.has(code));
+    return code;
+  };
+
+  function enter(ws, room, { name, token }) {
+    const problem = joinProblem(room.race, { name, token });
+    if (problem) return send(ws, { type: "error", code: problem });
+    const me = { id: randomUUID(), token: token || randomUUID() };
+    room.race = raceReducer(room.race, { type: "JOIN", id: me.id, name: String(name || "").slice(0, 24), token: me.token });
+    room.sockets.set(me.id, ws);
+    clearTimeout(room.idleTimer);
+    ws.seat = { room, id: me.id };
+    const { code, dataset, mode, queue, status, players } = room.race;
+    const moves = players.find((p) => p.id === me.id).moves;
+    send(ws, { type: "joined", code, token: me.token, dataset, mode, queue, status, moves });
+    broadcast(room);
+  }
+
+  function leave(ws) {
+    if (!ws.seat) return;
+    const { room, id } = ws.seat;
+    ws.seat = null;
+    room.sockets.delete(id);
+    room.race = raceReducer(room.race, { type: "LEAVE", id, now: Date.now() });
+    broadcast(room);
+    if (!room.sockets.size) {
+      room.idleTimer = setTimeout(() => rooms.delete(room.race.code), EMPTY_ROOM_MS);
+      room.idleTimer.unref?.();
+    }
+  }
+
+  function handle(ws, msg) {
+    const seat = ws.seat;
+    switch (msg.type) {
+      case "create": {
+        const map = Object.hasOwn(maps, msg.dataset) ? maps[msg.dataset] : null;
+        if (!map) return send(ws, { type: "error", code: "noMap" });
+        if (!RACE_MODES.includes(msg.mode)) return send(ws, { type: "error", code: "badMode" });
+        if (!String(msg.name || "").trim()) return send(ws, { type: "error", code: "name" });
+        leave(ws);
+        const code = newCode();
+        const room = { race: createRace({ code, dataset: msg.dataset, mode: msg.mode, ...map }), sockets: new Map(), idleTimer: null };
+        rooms.set(code, room);
+        log(`room ${code}: ${msg.dataset}, ${msg.mode}`);
+        return enter(ws, room, msg);
+      }
+      case "join": {
+        const room = rooms.get(String(msg.code || "").toUpperCase().trim());
+        if (!room) return send(ws, { type: "error", code: "noRoom" });
+        if (seat?.room === room) return;
+        leave(ws);
+        return enter(ws, room, msg);
+      }
+      case "start":
+      case "answer":
+      case "skip": {
+        if (!seat) return;
+        const type = msg.type.toUpperCase();
+        const next = raceReducer(seat.room.race, { type, id: seat.id, answer: String(msg.answer ?? "").slice(0, 100), now: Date.now() });
+        if (next === seat.room.race) return;
+        seat.room.race = next;
+        return broadcast(seat.room);
+      }
+      case "leave":
+        return leave(ws);
+      default:
+        return undefined;
+    }
+  }
+
+  wss.on("connection", (ws) => {
+    ws.alive = true;
+    ws.on("pong", () => { ws.alive = true; });
+    ws.on("message", (data) => {
+      let msg;
+      try { msg = JSON.parse(String(data)); } catch { return; }
+      if (msg && typeof msg === "object") handle(ws, msg);
+    });
+    ws.on("close", () => leave(ws));
+    send(ws, { type: "hello", datasets: Object.keys(maps), modes: RACE_MODES });
+  });
+
+  // Drop connections that stopped answering pings (sleeping laptops, lost Wi-Fi)
+  const pinger = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.alive) { ws.terminate(); continue; }
+      ws.alive = false;
+      ws.ping();
+    }
+  }, PING_MS);
+  pinger.unref?.();
+
+  return {
+    wss,
+    rooms,
+    close() {
+      clearInterval(pinger);
+      for (const room of rooms.values()) clearTimeout(room.idleTimer);
+      for (const ws of wss.clients) ws.terminate();
+      return new Promise((resolve) => wss.close(resolve));
+    },
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.RACE_PORT) || 8787;
+  const maps = await loadRaceMaps();
+  createRaceServer({ port, maps });
+  console.log(`Race server on ws://localhost:${port} (${Object.keys(maps).join(", ")})`);
+}
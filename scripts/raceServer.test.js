@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { createRaceServer, loadRaceMaps } from "./raceServer.js";
+
+const MAPS = { tiny: { names: ["France", "Spain", "Italy"], aliases: {} } };
+
+/** A client that queues incoming messages so tests can await the next one of a type */
+async function connect(port) {
+  const ws = new WebSocket(`ws://localhost:${port}`);
+  const inbox = [];
+  const waiters = [];
+  ws.on("message", (data) => {
+    inbox.push(JSON.parse(String(data)));
+    waiters.splice(0).forEach((wake) => wake());
+  });
+  await new Promise((resolve, reject) => { ws.once("open", resolve); ws.once("error", reject); });
+  const next = async (type) => {
+    for (;;) {
+      const i = inbox.findIndex((m) => m.type === type);
+      if (i >= 0) return inbox.splice(i, 1)[0];
+      await new Promise((wake) => waiters.push(wake));
+    }
+  };
+  return { ws, next, send: (msg) => ws.send(JSON.stringify(msg)), drain: () => inbox.splice(0) };
+}
+
+test("two players race a room and see the server's scoreboard", async (t) => {
+  const server = createRaceServer({ port: 0, maps: MAPS, log: () => {} });
+  t.after(() => server.close());
+  const { port } = server.wss.address();
+
+  const ana = await connect(port);
+  assert.deepEqual((await ana.next("hello")).datasets, ["tiny"]);
+  ana.send({ type: "create", name: "Ana", dataset: "tiny", mode: "click" });
+  const room = await ana.next("joined");
+  assert.equal(room.queue.length, 3);
+  assert.match(room.code, /^[A-Z]{4}$/);
+
+  const ben = await connect(port);
+  ben.send({ type: "join", code: room.code.toLowerCase(), name: "Ben" });
+  const benRoom = await ben.next("joined");
+  assert.deepEqual(benRoom.queue, room.queue);
+
+  ana.send({ type: "start" });
+  let board;
+  do board = await ben.next("board"); while (board.status !== "running");
+  assert.equal(board.host, false);
+
+  ana.send({ type: "answer", answer: room.queue[0] });
+  ana.send({ type: "answer", answer: "Atlantis" });
+  do board = await ben.next("board"); while (board.players[0].answered < 2);
+  assert.deepEqual(board.players.map((p) => [p.name, p.score, p.misses]), [["Ana", 1, 1], ["Ben", 0, 0]]);
+
+  // Ben answers once, drops and comes back with his token
+  ana.drain();
+  ben.send({ type: "answer", answer: room.queue[0] });
+  do board = await ana.next("board"); while (board.players.find((p) => p.name === "Ben").answered < 1);
+  ben.ws.close();
+  do board = await ana.next("board"); while (board.players.find((p) => p.name === "Ben").connected);
+  const again = await connect(port);
+  again.send({ type: "join", code: room.code, token: benRoom.token });
+  const rejoined = await again.next("joined");
+  assert.equal(rejoined.status, "running");
+  assert.equal(rejoined.moves.length, 1);
+  do board = await again.next("board"); while (!board.players.find((p) => p.name === "Ben").connected);
+
+  again.ws.close();
+  ana.ws.close();
+});
+
+test("unknown rooms and maps are reported, not crashed on", async (t) => {
+  const server = createRaceServer({ port: 0, maps: MAPS, log: () => {} });
+  t.after(() => server.close());
+  const client = await connect(server.wss.address().port);
+  client.send({ type: "join", code: "ZZZZ", name: "Cy" });
+  assert.equal((await client.next("error")).code, "noRoom");
+  client.send({ type: "create", name: "Cy", dataset: "atlantis", mode: "click" });
+  assert.equal((await client.next("error")).code, "noMap");
+  client.send({ type: "create", name: "Cy", dataset: "__proto__", mode: "click" });
+  assert.equal((await client.next("error")).code, "noMap");
+  client.ws.send("not json");
+  client.send({ type: "create", name: "Cy", dataset: "tiny", mode: "choice" });
+  assert.equal((await client.next("error")).code, "badMode");
+  client.ws.close();
+});
+
+test("vendored maps are raceable with their names and aliases", async () => {
+  const maps = await loadRaceMaps();
+  assert.ok(maps.world.names.includes("France"));
+  assert.ok(maps.usa48.aliases.california.includes("CA"));
+  assert.ok(maps.world.aliases.germany.includes("Alemania")); // every language is accepted
+  assert.ok(maps.nyc.names.includes("Staten Island"));
+  assert.ok(maps.mexico.aliases["ciudad de mexico"].includes("CDMX"));
+});
@@ -0,0 +1,38 @@
+import { readFile, readdir } from "node:fs/promises";
+import { basename, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { feature } from "topojson-client";
+import { loadRegistry } from "../src/datasetRegistry.js";
+import { isRenderableFeature } from "../src/utils.js";
+
+/**
+ * Maps as the game sees them, for the local servers (race, leaderboard) that
+ * have to agree with the browser on region names. Only datasets vendored in
+ * public/data are loaded: the servers don't reach out to upstream hosts.
+ */
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const readJson = async (path) => JSON.parse(await readFile(path, "utf8"));
+
+/** { maps: { key: { names, aliases } }, catalogs: { lang: catalog } } */
+export async function loadServerMaps(root = ROOT) {
+  const manifest = await readJson(join(root, "src", "datasets.json"));
+  const { datasets } = loadRegistry(manifest);
+  const catalogs = {};
+  for (const file of await readdir(join(root, "src", "locales"))) {
+    if (file.endsWith(".json")) catalogs[basename(file, ".json")] = await readJson(join(root, "src", "locales", file));
+  }
+  const maps = {};
+  for (const [key, conf] of Object.entries(datasets)) {
+    if (typeof conf.url !== "string" || !conf.url.startsWith("/data/")) continue;
+    const data = await readJson(join(root, "public", conf.url));
+    const features = conf.format === "topojson" ? feature(data, Object.values(data.objects)[0]).features : data.features || [];
+    // Same filtering as the map layer in MapQuizGame.jsx
+    const names = features
+      .filter(isRenderableFeature)
+      .map((f) => conf.getName(f))
+      .filter((name) => name && (!conf.filter || conf.filter(name)));
+    maps[key] = { names, aliases: conf.aliases };
+  }
+  return { maps, catalogs };
+}
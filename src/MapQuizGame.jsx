@@ -1,6 +1,38 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import { ComposableMap, Geographies, Geography, ZoomableGroup } from "react-simple-maps";
 import { geoCentroid, geoBounds } from "d3-geo";
+import { safeList, norm, isRenderableFeature, shuffle } from "./utils.js";
+import { aliasesFor, TYPO_TOLERANCE } from "./matching.js";
+import { createQuizState, MAX_PLAYERS, quizReducer, standings } from "./quizEngine.js";
+import { RACE_MODES } from "./race.js";
+import { connectRace, defaultRaceUrl, loadRaceSession, raceUpdate, saveRaceSession } from "./raceClient.js";
+import { defaultLeaderboardUrl, fetchLeaderboard, LEADERBOARD_MODES, requestRunSeed, runQueue, submitRun } from "./leaderboard.js";
+import { buildChoices, describeRegion } from "./distractors.js";
+import { ARROW_DIRECTIONS, neighbourInDirection } from "./mapNavigation.js";
+import { easeInOut, fitFeature, homeView, interpolateView, MAP_SIZE } from "./camera.js";
+import { HIT_RADIUS_PX, nearestRegion, regionShape, shapesInPolygon, SMALL_REGION_PX2, TARGET_RADIUS_PX } from "./hitTest.js";
+import { CONTINENT_DATASET, CONTINENTS, FILTER_MODES, filterFrame, inRegion, isRegionFilter } from "./continents.js";
+import { DEFAULT_TIER, projectedAreas, TIER_MODES, tierNames, TIERS } from "./difficulty.js";
+import { pickTwist, SILHOUETTE_SIZE, silhouettePath, twistTransform, TWISTS } from "./silhouette.js";
+import { loadQuizzes, QUIZ_MODES, quizQueue, removeQuiz, saveQuizzes, searchRegions, upsertQuiz } from "./customQuizzes.js";
+import { buildLearnQueue, loadHistory, masteredCount, recordOutcome, saveHistory } from "./regionHistory.js";
+import { dailyChallenge, dailyQueue, loadDailyResult, outcomeMark, saveDailyResult, shareText } from "./daily.js";
+import { parseConfig, serializeConfig, TIMER_DURATIONS } from "./urlState.js";
+import {
+  customKey, fitProjection, guessNameField, loadCustomDatasets, parseMapFile, propertyKeys,
+  saveCustomDatasets, slimFeatures, toDatasetConf,
+} from "./customDatasets.js";
+import { applyUpdate, downloadDataset, isDatasetCached, onUpdateReady } from "./offline.js";
+import { loadRegistry } from "./datasetRegistry.js";
+import datasetManifest from "./datasets.json";
+import { loadLanguage, localizedAliases, regionNamer, saveLanguage, translator } from "./i18n.js";
+import en from "./locales/en.json";
+import es from "./locales/es.json";
+import fr from "./locales/fr.json";
+import de from "./locales/de.json";
+import ru from "./locales/ru.json";
+import { downloadText, eventsToCsv, eventsToJson, exportFileName, missedRegions, outcomeEvent } from "./eventLog.js";
+import { accuracyColor, formatDuration, loadSessions, regionAccuracy, regionStats, saveSession, sessionTotals } from "./stats.js";
 
 /**
  * Map Quiz Game – Stable Build r5a (ASCII-safe)
@@ -15,220 +47,46 @@ import { geoCentroid, geoBounds } from "d3-geo";
  *  - Lives (5) with Game Over overlay + Reset
  *  - Countdown mode (10/20/30/60s) that subtracts a life on timeout
  *  - High score per dataset+mode (localStorage)
- *  - Datasets: World, USA-48, Canada, Mexico, India, UK Countries, UK Counties, Australia, NYC Boroughs, Israel (from /public/data/israel.json)
+ *  - Datasets: World, USA-48, Canada, Mexico, India, UK Countries, UK Counties, Australia, NYC Boroughs, Israel
+ *    (listed in datasets.json; vendored ones are built into /public/data by `npm run data`)
+ *  - Interface and region names in English, Spanish, French, German and Russian (src/locales)
+ *  - Hot seat: 2-6 players sharing one device in Click/Choice/Type, by turns or all on each prompt
+ *  - Race: players on their own devices race through the same prompts via a local server (npm run race)
+ *  - Leaderboard: free-play scores can be sent to a self-hosted server that replays them first (npm run leaderboard)
+ *  - Session log: every turn of the game, viewable after Game Over and exportable as JSON or CSV
+ *  - Review: missed regions next to what was given instead, shown on the map; "Retry missed" replays just those
+ *  - Custom quizzes: named region subsets picked on the map (click, box, lasso) or from a list, played in Click/Type
+ *  - Continent filter: World Click/Type games on one continent or UN sub-region, framed by the camera
+ *  - Difficulty: Easy/Medium ask only the largest regions on screen, Hard asks them all (own high scores)
+ *  - Silhouette: name a region from its outline alone (typed or picked, optionally turned or mirrored),
+ *    then see where it is on the map
+ *
+ * Game rules (score, streak, lives, prompt queue, game over) live in quizEngine.js.
  */
 
-/******************** Utils ********************/
-const safeList = (v) => (Array.isArray(v) ? v : []);
-const isNum = (x) => typeof x === "number" && isFinite(x);
-const norm = (s) =>
-  (s || "")
-    .normalize("NFD")
-    .replace(/\p{Diacritic}/gu, "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
-
-/** Validate that a feature has usable polygon coordinates */
-function isRenderableFeature(f) {
-  if (!f || !f.geometry) return false;
-  const { type, coordinates } = f.geometry;
-  if (!coordinates) return false;
-  const hasFirstNumber = (arr) =>
-    Array.isArray(arr) && arr.length > 0 &&
-    Array.isArray(arr[0]) && arr[0].length > 0 &&
-    Array.isArray(arr[0][0]) && arr[0][0].length > 0 &&
-    isNum(arr[0][0][0]);
-  if (type === "Polygon") return hasFirstNumber(coordinates);
-  if (type === "MultiPolygon") return Array.isArray(coordinates) && coordinates.length > 0 && hasFirstNumber(coordinates[0]);
-  return false; // ignore non-polygons
-}
-
-// Utility: pick a readable name from varying UK property keys (plain JS)
-function pickName(props, keys) {
-  keys = Array.isArray(keys) && keys.length
-    ? keys
-    : ["name", "NAME", "NAME_1", "NAME_2"];
-  if (!props || typeof props !== "object") return "";
-  // Try preferred keys in order
-  for (const k of keys) {
-    const v = props[k];
-    if (typeof v === "string" && v.trim()) return v;
-  }
-  // Fallback: first non-empty string prop (handles ctyua17nm, lad18nm, etc.)
-  for (const k in props) {
-    const v = props[k];
-    if (typeof v === "string" && v.trim()) return v;
-  }
-  return "";
-}
-
-// --- UK-specific name resolver (handles ONS fields & code->name) ---
-const UK_COUNTRY_CODE_MAP = {
-  E92000001: "England",
-  S92000003: "Scotland",
-  W92000004: "Wales",
-  N92000002: "Northern Ireland",
-};
-
-function pickNameUK(props) {
-  if (!props || typeof props !== "object") return "";
-
-  // Prefer known *name* fields used in UK datasets
-  const candidates = [
-    props.name, props.NAME, props.NAME_1, props.NAME_2,
-    props.ctry17nm, props.ctry19nm, props.ctry20nm, props.country,
-    props.ctyua17nm, props.ctyua19nm, props.lad17nm, props.lad18nm,
-    props.area_name, props.layer, props.laua_name
-  ].filter(v => typeof v === "string" && v.trim());
-
-  if (candidates.length) return candidates[0];
-
-  // Map common code fields -> country name (for nations layer)
-  const code =
-    props.ctry17cd || props.ctry19cd || props.gss_code ||
-    props.ctyua17cd || props.lad17cd || props.lad18cd ||
-    props.code || props.id;
-
-  if (typeof code === "string" && UK_COUNTRY_CODE_MAP[code]) {
-    return UK_COUNTRY_CODE_MAP[code];
-  }
-
-  // If the only string looks like a GSS code (e.g., E92000001), return empty
-  // so the feature is filtered out rather than prompting with a code.
-  if (typeof code === "string" && /^[A-Z]{1,3}\d{5,}$/.test(code)) return "";
-
-  // As a last resort, pick the first string prop that's not code-like
-  for (const k in props) {
-    const v = props[k];
-    if (typeof v === "string" && v.trim() && !/^[A-Z]{1,3}\d{5,}$/.test(v)) {
-      return v;
-    }
-  }
-  return "";
-}
-
 /******************** Datasets ********************/
-const CTH = (slug) => `https://raw.githubusercontent.com/codeforamerica/click_that_hood/master/public/data/${slug}.geojson`;
-
-const DATASETS = {
-  world: {
-    label: "World",
-    url: "https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json",
-    projection: { name: "geoEqualEarth", scale: 160, center: [0, 20] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || "",
-    exploreScope: "country",
-  },
-  usa48: {
-    label: "USA",
-    url: CTH("united-states"),
-    projection: { name: "geoEqualEarth", scale: 700, center: [-98, 38] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || "",
-    exploreScope: { country: "United States" },
-    filter: (name) => !["alaska","hawaii","puerto rico","guam","american samoa","northern mariana islands","united states virgin islands","district of columbia"].includes(norm(name)),
-  },
-  canada: {
-    label: "Canada",
-    url: CTH("canada"),
-    projection: { name: "geoEqualEarth", scale: 380, center: [-96, 62] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || "",
-    exploreScope: { country: "Canada" },
-  },
-  mexico: {
-    label: "Mexico",
-    url: CTH("mexico"),
-    projection: { name: "geoEqualEarth", scale: 900, center: [-102, 24] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || "",
-    exploreScope: { country: "Mexico" },
-  },
-  india: {
-    label: "India",
-    url: CTH("india"),
-    projection: { name: "geoEqualEarth", scale: 1100, center: [79, 22] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || "",
-    exploreScope: { country: "India" },
-  },
-  israel: {
-    label: "Israel",
-    // load from your repo's public folder to avoid CORS/license surprises
-    url: "/data/israel.json",
-    projection: { name: "geoEqualEarth", scale: 5200, center: [35.2, 31.7] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || geo?.properties?.district || geo?.properties?.District || geo?.properties?.name_en || geo?.properties?.english_name || "",
-    exploreScope: { country: "Israel" },
-  },
-uk_countries: {
-  label: "UK",
-  url: "/data/topo_uk_level_1.json", // you uploaded this to public/data/
-  projection: { name: "geoEqualEarth", scale: 1300, center: [-2, 54] },
-  getName: (geo) => pickNameUK(geo && geo.properties),
-  exploreScope: { country: "United Kingdom" },
-},
-uk_counties: {
-  label: "UK (Counties)",
-  url: "/data/topo_uk_level_2.json",
-  projection: { name: "geoEqualEarth", scale: 1300, center: [-2, 54] },
-  getName: (geo) => pickNameUK(geo && geo.properties),
-  exploreScope: { country: "United Kingdom" },
-},
-  australia: {
-    label: "Australia",
-    url: CTH("australia"),
-    projection: { name: "geoEqualEarth", scale: 900, center: [134, -25] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.NAME || "",
-    exploreScope: { country: "Australia" },
-  },
-  nyc: {
-    label: "NYC",
-    url: CTH("new-york-city-boroughs"),
-    projection: { name: "geoEqualEarth", scale: 30000, center: [-73.94, 40.70] },
-    getName: (geo) => geo?.properties?.name || geo?.properties?.boro_name || geo?.properties?.NAME || "",
-    exploreScope: { city: "New York City", country: "United States" },
-  },
-};
-
-const DATASET_ORDER = [
-  "world",
-  "usa48",
-  "nyc",
-  "canada",
-  "australia",
-  "uk_countries",
-  "uk_counties",
-  "mexico",
-  "india",
-  "israel"
-];
-
-const MODES = { explore: "Explore", click: "Click", type: "Type" };
-
-/******************** Matching ********************/
-const NAME_ALIASES = {
-  // Canada (sample)
-  ontario: ["on"], quebec: ["qc", "pq", "quebec"], "newfoundland and labrador": ["newfoundland", "nl"],
-  "prince edward island": ["pei"], "nova scotia": ["ns"], "new brunswick": ["nb"], "british columbia": ["bc"],
-  "northwest territories": ["nwt"], nunavut: ["nu"], yukon: ["yt"],
-  // US postal (sample)
-  alabama:["al"], alaska:["ak"], arizona:["az"], arkansas:["ar"], california:["ca"], colorado:["co"],
-  connecticut:["ct"], delaware:["de"], florida:["fl"], georgia:["ga"], hawaii:["hi"], idaho:["id"],
-  illinois:["il"], indiana:["in"], iowa:["ia"], kansas:["ks"], kentucky:["ky"], louisiana:["la"],
-  maine:["me"], maryland:["md"], massachusetts:["ma"], michigan:["mi"], minnesota:["mn"],
-  mississippi:["ms"], missouri:["mo"], montana:["mt"], nebraska:["ne"], nevada:["nv"],
-  "new hampshire":["nh"], "new jersey":["nj"], "new mexico":["nm"], "new york":["ny"],
-  "north carolina":["nc"], "north dakota":["nd"], ohio:["oh"], oklahoma:["ok"], oregon:["or"],
-  pennsylvania:["pa"], "rhode island":["ri"], "south carolina":["sc"], "south dakota":["sd"],
-  tennessee:["tn"], texas:["tx"], utah:["ut"], vermont:["vt"], virginia:["va"], washington:["wa"],
-  "west virginia":["wv"], wisconsin:["wi"], wyoming:["wy"],
-  // World exonyms
-  "cote d'ivoire":["ivory coast", "cote divoire"], czechia:["czech republic"], eswatini:["swaziland"], myanmar:["burma"],
-  "democratic republic of the congo":["drc","dr congo","congo-kinshasa"], "republic of the congo":["congo-brazzaville"],
-  "united states of america":["united states","usa","us"], "united kingdom":["uk","great britain","britain"],
-};
-const matchesAnswer = (answer, canonical) => {
-  const a = norm(answer), c = norm(canonical);
-  if (a === c) return true;
-  const aliases = NAME_ALIASES[c] || [];
-  return aliases.some((alt) => norm(alt) === a);
-};
+// Described in datasets.json (see datasetRegistry.js for the schema). Broken
+// entries are skipped and reported once the game mounts.
+const { datasets: DATASETS, order: DATASET_ORDER, errors: DATASET_ERRORS } = loadRegistry(datasetManifest);
+const DEFAULT_DATASET = DATASET_ORDER[0];
+
+// Labels are translated as `mode.<key>`
+const MODES = { explore: "Explore", learn: "Learn", click: "Click", choice: "Choice", type: "Type", silhouette: "Silhouette" };
+const isQuizMode = (m) => m === "learn" || m === "click" || m === "choice" || m === "type" || m === "silhouette";
+// Modes a hot-seat game can be played in (Learn schedules prompts for one person's history)
+const isHotSeatMode = (m) => m === "click" || m === "choice" || m === "type";
+// Learn mode: no game over on lives, and misses come back after this many prompts
+const LEARN_REQUEUE = 3;
+// Touch magnifier: lens diameter (px) and how much it enlarges
+const LENS_PX = 120;
+const LENS_ZOOM = 3;
+// World features carry their world-atlas id (see continents.js)
+const featureId = (geo) => geo.properties?.id;
+
+/******************** Languages ********************/
+// UI strings and region names per language (see i18n.js); English fills any gaps
+const CATALOGS = { en, es, fr, de, ru };
+const LANGUAGES = Object.keys(CATALOGS);
 
 /******************** Explore data fetchers ********************/
 async function fetchCountryInfo(countryName) {
@@ -318,6 +176,59 @@ function MergedGeographies({ urls, children }) {
   );
 }
 
+/******************** Race scoreboard ********************/
+// Rows come ranked from the race server (see race.js scoreboard)
+function RaceBoard({ rows, total, t }) {
+  if (!rows || !rows.length) return null;
+  return (
+    <table className="mqg-table mqg-players" style={{ marginTop: 8 }}>
+      <thead><tr><th>{t("seat.rank")}</th><th>{t("seat.name")}</th><th>{t("hud.score")}</th><th>{t("race.progress")}</th></tr></thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.rank} className={row.connected ? "" : "mqg-out"}>
+            <td>{row.rank}</td>
+            <td>{row.name}{row.host ? " \u2605" : ""}</td>
+            <td>{row.score}</td>
+            <td>
+              {row.answered} / {total}
+              {row.finished !== null ? ` \u2713 ${t("race.finished")}` : ""}
+              {row.connected ? "" : ` (${t("race.offline")})`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/******************** Leaderboard ********************/
+// Each player's best run, ranked by the leaderboard server; `best` is this player's
+function LeaderboardTable({ board, url, t }) {
+  if (!board) return null;
+  if (board.error) return <div style={{ fontSize: 12, opacity: 0.7 }}>{t("lb.err.unreachable", { url })}</div>;
+  return (
+    <>
+      {board.top.length ? (
+        <table className="mqg-table mqg-players">
+          <thead><tr><th>{t("seat.rank")}</th><th>{t("lb.player")}</th><th>{t("stats.score")}</th><th>{t("stats.misses")}</th><th>{t("stats.time")}</th></tr></thead>
+          <tbody>
+            {board.top.map((row) => (
+              <tr key={row.id} className={board.best?.id === row.id ? "mqg-seat" : ""}>
+                <td>{row.rank}</td>
+                <td>{row.player}</td>
+                <td>{row.score}</td>
+                <td>{row.misses}</td>
+                <td>{formatDuration(row.ms)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : <div style={{ fontSize: 12, opacity: 0.7 }}>{t("lb.empty")}</div>}
+      {board.best && <div style={{ fontSize: 12, marginTop: 6 }}>{t("lb.best", { rank: board.best.rank, score: board.best.score })}</div>}
+    </>
+  );
+}
+
 /******************** Component ********************/
 export default function MapQuizGame() {
   
@@ -325,10 +236,19 @@ export default function MapQuizGame() {
 const MIN_ZOOM = 0.5;   // was 0.8
 const MAX_ZOOM = 24;    // was 8
 const ZOOM_STEP = 1.8;  // was 1.5
+const FLY_MS = 600;     // camera fly-to duration
   // THEME
   const [theme, setTheme] = useState(() => (typeof localStorage !== "undefined" && localStorage.getItem("mqg_theme")) || "light");
   useEffect(() => { try { localStorage.setItem("mqg_theme", theme); } catch {} }, [theme]);
 
+  // LANGUAGE (persisted; the first visit follows the browser)
+  const [lang, setLang] = useState(() => loadLanguage(LANGUAGES));
+  useEffect(() => {
+    saveLanguage(lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
+  const t = useMemo(() => translator(CATALOGS, lang), [lang]);
+
  // Sync theme-color meta with current theme
 useEffect(() => {
   const barColor = theme === "dark" ? "#0b0f14" : "#ffffff";
@@ -342,21 +262,171 @@ useEffect(() => {
 }, [theme]);
 
 
+  // Imported maps ("Load your own map") live next to the built-in DATASETS
+  const [customEntries, setCustomEntries] = useState(() => (typeof localStorage !== "undefined" ? loadCustomDatasets() : {}));
+  const allDatasets = useMemo(() => {
+    const out = { ...DATASETS };
+    for (const [key, entry] of Object.entries(customEntries)) out[key] = toDatasetConf(entry);
+    return out;
+  }, [customEntries]);
+  const datasetOrder = [...DATASET_ORDER, ...Object.keys(customEntries)];
+
   // UI state
-  const [dataset, setDataset] = useState("world");
-  const [mode, setMode] = useState("click"); // explore | click | type
+  // Initial configuration can come from a shared link (?dataset=usa48&mode=type&timer=10)
+  const [urlInit] = useState(() =>
+    typeof window !== "undefined"
+      ? parseConfig(window.location.search, { datasets: allDatasets, modes: MODES })
+      : { config: {}, errors: [] }
+  );
+  const [dataset, setDataset] = useState(urlInit.config.dataset || DEFAULT_DATASET);
+  const [mode, setMode] = useState(urlInit.config.mode || "click"); // explore | learn | click | choice | type | silhouette
+
+  // Daily challenge: the day's config while it's being played, else null
+  const [daily, setDaily] = useState(null);
+  const [dailyResult, setDailyResult] = useState(null); // { challenge, ...result } shown in the daily panel
+  const dailyStartedRef = useRef(null); // dateKey once the daily game has actually begun
+  const dailyMarksRef = useRef([]);
+  const [copied, setCopied] = useState(false);
 
   // Hard mode toggles (Click mode only)
- const [hardMode, setHardMode] = useState(false);
+ const [hardModeSetting, setHardMode] = useState(!!urlInit.config.hardMode);
+ // The daily plays by its own rules while it's on; the player's settings stay as they were
+ const hardMode = daily ? daily.hardMode : hardModeSetting;
 
-  // Game state
-  const [prompt, setPrompt] = useState(null);
+  // Game state (rules live in quizEngine.js)
+  const [quiz, dispatch] = useReducer(quizReducer, undefined, () => createQuizState());
+  const { prompt, score, streak, lives, gameOver, highScore } = quiz;
   const [input, setInput] = useState("");
-  const [score, setScore] = useState(0);
-  const [streak, setStreak] = useState(0);
-  const [lives, setLives] = useState(5);
   const [message, setMessage] = useState("");
-  const [gameOver, setGameOver] = useState(false);
+  const [typoSetting, setTypoLevel] = useState("normal"); // key of TYPO_TOLERANCE (Type mode)
+  const typoLevel = daily ? daily.typos : typoSetting;
+
+  // Hot seat: { players: [name], order } while a local multiplayer game is on, else null.
+  // The setup dialog edits a draft; names are remembered for the next meeting.
+  const [hotSeat, setHotSeat] = useState(null);
+  const [seatDraft, setSeatDraft] = useState(null); // { names, order } while the dialog is open
+  const players = quiz.players;
+  const openSeatSetup = () => {
+    let names = [];
+    try { names = JSON.parse(localStorage.getItem("mqg_players") || "[]"); } catch {}
+    if (!Array.isArray(names) || names.length < 2) names = ["", ""];
+    setSeatDraft({ names: names.slice(0, MAX_PLAYERS), order: hotSeat?.order || "turns" });
+  };
+  // Race: { url, name, conn, code?, dataset?, mode?, queue?, moves?, sync, status, board, host, error? }.
+  // `code` is set once the server has let us into a room; see raceUpdate for `sync`.
+  const [race, setRace] = useState(null);
+  const [raceDraft, setRaceDraft] = useState(null); // { url, name, code, error } while the dialog is open
+  const racing = !!race?.code;
+  const seated = !!hotSeat && isHotSeatMode(mode) && !daily && !race;
+  const raceRef = useRef(null);
+  raceRef.current = race;
+  const openRaceSetup = () => {
+    const last = loadRaceSession() || {};
+    setRaceDraft({ url: last.url || defaultRaceUrl(), name: last.name || "", code: "", error: "" });
+  };
+  const leaveRace = () => {
+    raceRef.current?.conn.close();
+    saveRaceSession(null);
+    setRace(null);
+  };
+  const onRaceMessage = (msg) => {
+    if (msg.type === "joined") {
+      const { url, name } = raceRef.current;
+      saveRaceSession({ url, name, code: msg.code, token: msg.token });
+      setRaceDraft(null);
+      setHotSeat(null);
+      setDaily(null);
+      setDataset(msg.dataset);
+      setMode(msg.mode);
+      setRace((r) => raceUpdate(r, msg));
+    } else if (msg.type === "board") {
+      setRace((r) => raceUpdate(r, msg));
+    } else if (msg.type === "error") {
+      // Before a room: show it in the dialog. Rejoining a room the server forgot: give up.
+      if (!raceRef.current?.code) setRaceDraft((d) => d && { ...d, error: t(`race.err.${msg.code}`) });
+      else if (msg.code === "noRoom") { leaveRace(); setMessage(t("race.err.noRoom")); }
+    }
+  };
+  const startRace = (first) => {
+    raceRef.current?.conn.close();
+    const { url, name } = raceDraft || loadRaceSession();
+    const conn = connectRace(url, {
+      first: { ...first, name },
+      onMessage: (msg) => onRaceMessage(msg),
+      onStatus: (status) => setRace((r) => r && { ...r, link: status }),
+    });
+    setRace({ url, name, conn, sync: 0, status: "lobby", board: [], host: false, link: "connecting" });
+  };
+  // Back into the room after a reload
+  useEffect(() => {
+    const last = loadRaceSession();
+    if (last && last.token) startRace({ type: "join", code: last.code, token: last.token });
+    return () => raceRef.current?.conn.close();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+  // Leaderboard: free-play Click/Choice/Type games are seeded and logged so the
+  // server can replay them (see leaderboard.js). runRef is { dataset, mode, seed, startedAt, log };
+  // its seed is null until the server's arrives.
+  const runRef = useRef(null);
+  const [leaderboardUrl, setLeaderboardUrl] = useState(() => {
+    try { return localStorage.getItem("mqg_leaderboard") || defaultLeaderboardUrl(); } catch { return defaultLeaderboardUrl(); }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_leaderboard", leaderboardUrl); } catch {} }, [leaderboardUrl]);
+  const [playerName, setPlayerName] = useState(() => {
+    try { return localStorage.getItem("mqg_player") || ""; } catch { return ""; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_player", playerName); } catch {} }, [playerName]);
+  const [board, setBoard] = useState(null); // { top, best } | { error } for the current dataset and mode
+  const [submission, setSubmission] = useState(null); // { status: "sending" | "done" | "error", rank?, error? }
+  const loadBoard = () => {
+    if (!LEADERBOARD_MODES.includes(mode)) { setBoard(null); return; }
+    fetchLeaderboard(leaderboardUrl, { dataset, mode, player: playerName.trim() })
+      .then(setBoard, () => setBoard({ error: true }));
+  };
+  const submitScore = async () => {
+    const run = runRef.current;
+    if (!run || !playerName.trim()) return;
+    setSubmission({ status: "sending" });
+    try {
+      const { dataset: key, mode: runMode, seed, log } = run;
+      const res = await submitRun(leaderboardUrl, { dataset: key, mode: runMode, seed, player: playerName.trim(), score: quiz.score, log });
+      setSubmission({ status: "done", rank: res.rank });
+      loadBoard();
+    } catch (e) {
+      const error = !e.code ? "unreachable" : ["noMap", "seen"].includes(e.code) ? e.code : "rejected";
+      setSubmission({ status: "error", error });
+    }
+  };
+
+  // Moves go to the race server too, which keeps the score everyone sees, and into the run log
+  const play = (action) => {
+    // A move before the seed arrived: this game stays unranked
+    if (runRef.current && !runRef.current.seed) runRef.current = null;
+    const run = runRef.current;
+    if (run && quiz.prompt && !quiz.gameOver) {
+      const answer = action.type === "ANSWER" ? { answer: action.answer, typos: typoLevel, lang } : {};
+      run.log.push({ type: action.type.toLowerCase(), ...answer, at: Date.now() - run.startedAt });
+    }
+    dispatch(action);
+    if (racing) race.conn.send(action.type === "SKIP" ? { type: "skip" } : { type: "answer", answer: action.answer });
+  };
+
+  const startHotSeat = () => {
+    const names = seatDraft.names.map((n) => n.trim()).filter(Boolean);
+    if (names.length < 2) return;
+    try { localStorage.setItem("mqg_players", JSON.stringify(names)); } catch {}
+    setSeatDraft(null);
+    setHotSeat({ players: names, order: seatDraft.order });
+    if (!isHotSeatMode(mode)) setMode("click");
+    setMessage("");
+    setInput("");
+  };
+
+  // Keyboard focus: the region Tab lands on (the others are reached with the arrow keys)
+  const [focusName, setFocusName] = useState(null);
+  // Screen-reader announcements; `id` changes so a repeated "Correct!" is read again
+  const [announcement, setAnnouncement] = useState({ text: "", id: 0 });
+  const announce = (text) => setAnnouncement((a) => ({ text, id: a.id + 1 }));
 
   // Visual feedback for Click mode card: 'correct' | 'wrong' | null
 const [flash, setFlash] = useState(null);
@@ -367,18 +437,88 @@ const triggerFlash = (kind) => {
   flashTimerRef.current = setTimeout(() => setFlash(null), 600);
 };
 
-  // High score per dataset+mode
-  const hsKey = (d=dataset,m=mode) => `mqg_hs_v1_${d}_${m}`;
-  const [highScore, setHighScore] = useState(() => Number((typeof localStorage !== "undefined" && localStorage.getItem(hsKey())) || 0));
-  useEffect(() => { try { setHighScore(Number(localStorage.getItem(hsKey())) || 0); } catch {} }, [dataset, mode]);
-  const bumpHighScore = (val) => {
+  // Custom quizzes (customQuizzes.js): saved subsets for this dataset, the one being
+  // played, and the builder { id?, name, regions, tool, query } while it's open.
+  const [quizzes, setQuizzes] = useState(() => loadQuizzes(dataset));
+  const [activeQuiz, setActiveQuiz] = useState(null);
+  const [showQuizzes, setShowQuizzes] = useState(false);
+  const [builder, setBuilder] = useState(null);
+  useEffect(() => { setQuizzes(loadQuizzes(dataset)); setActiveQuiz(null); setBuilder(null); }, [dataset]);
+  const quizOn = !!activeQuiz && QUIZ_MODES.includes(mode) && !daily && !racing && !seated;
+  const storeQuizzes = (next) => { setQuizzes(next); saveQuizzes(dataset, next); };
+  const playQuiz = (quiz, quizMode) => {
+    setShowQuizzes(false);
+    setHotSeat(null);
+    setDaily(null);
+    setActiveQuiz(quiz);
+    setMode(quizMode);
+    setMessage("");
+    setInput("");
+  };
+  const toggleRegions = (names, on) => setBuilder((b) => {
+    const regions = new Set(b.regions);
+    names.forEach((n) => ((on ?? !regions.has(n)) ? regions.add(n) : regions.delete(n)));
+    return { ...b, regions: [...regions] };
+  });
+  const saveBuilder = () => {
+    if (!builder.name.trim() || !builder.regions.length) return;
+    const next = upsertQuiz(quizzes, builder);
+    storeQuizzes(next);
+    // Editing the quiz being played restarts it with the new regions
+    if (activeQuiz && activeQuiz.id === builder.id) setActiveQuiz(next.find((q) => q.id === builder.id));
+    setBuilder(null);
+    setShowQuizzes(true);
+  };
+
+  // Continent filter (continents.js): a continent or sub-region key, remembered between visits.
+  // It narrows free-play Click/Type games on World; a custom quiz takes precedence.
+  const [regionFilter, setRegionFilter] = useState(() => {
+    try { const key = localStorage.getItem("mqg_continent"); return key && isRegionFilter(key) ? key : null; } catch { return null; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_continent", regionFilter || ""); } catch {} }, [regionFilter]);
+  const canFilter = dataset === CONTINENT_DATASET && FILTER_MODES.includes(mode) && !daily && !racing && !seated && !quizOn;
+  const filterOn = canFilter && !!regionFilter;
+  const filterNames = () => featuresRef.current.filter((g) => inRegion(regionFilter, featureId(g))).map((g) => conf.getName(g));
+
+  // Difficulty tier (difficulty.js) for free-play Click/Choice/Type; Hard is the whole map
+  const [tier, setTier] = useState(() => {
+    try { const key = localStorage.getItem("mqg_tier"); return TIERS.includes(key) ? key : DEFAULT_TIER; } catch { return DEFAULT_TIER; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_tier", tier); } catch {} }, [tier]);
+  const canTier = TIER_MODES.includes(mode) && !daily && !racing && !seated && !quizOn;
+  const tierOn = canTier && tier !== DEFAULT_TIER;
+  const tierPool = (pool) => tierNames(pool, projectedAreas(featuresRef.current, projectionRef.current, conf.getName), tier);
+
+  // Silhouette mode (silhouette.js): answers are typed or picked from four, and `twist` may turn
+  // or mirror the shape. After each answer `reveal` ({ prompt, result }) shows it on the map.
+  const [silAnswer, setSilAnswer] = useState(() => {
+    try { return localStorage.getItem("mqg_sil_answer") === "pick" ? "pick" : "type"; } catch { return "type"; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_sil_answer", silAnswer); } catch {} }, [silAnswer]);
+  const [twist, setTwist] = useState(() => {
+    try { const key = localStorage.getItem("mqg_sil_twist"); return TWISTS.includes(key) ? key : "none"; } catch { return "none"; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_sil_twist", twist); } catch {} }, [twist]);
+  const [reveal, setReveal] = useState(null);
+  const twistOn = mode === "silhouette" && twist !== "none";
+
+  // High score per dataset+mode (the engine tracks it, we persist it); a custom quiz, continent,
+  // easier tier, silhouette answer style or twist keeps its own
+  const hsKey = (d=dataset,m=mode) =>
+    `mqg_hs_v1_${d}_${m}${quizOn ? `_${activeQuiz.id}` : filterOn ? `_${regionFilter}` : ""}${tierOn ? `_${tier}` : ""}${m === "silhouette" ? `_${silAnswer}` : ""}${twistOn ? `_${twist}` : ""}`;
+  const readHighScore = () => {
+    try { return Number(localStorage.getItem(hsKey())) || 0; } catch { return 0; }
+  };
+  // A "Retry missed" game only asks past misses, so it neither reads nor sets the high score
+  const retryingRef = useRef(false);
+  useEffect(() => {
+    // Daily runs have their own result and races their board, not a free-play high score
+    if (daily || racing || retryingRef.current) return;
     try {
-      if (val > (Number(localStorage.getItem(hsKey())) || 0)) {
-        localStorage.setItem(hsKey(), String(val));
-        setHighScore(val);
-      }
+      if (highScore > readHighScore()) localStorage.setItem(hsKey(), String(highScore));
     } catch {}
-  };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [highScore]);
 
   // Explore state
   const [selectedName, setSelectedName] = useState(null);
@@ -387,72 +527,304 @@ const triggerFlash = (kind) => {
 
   const sheetRef = useRef(null);
 
-  // Zoom/pan state
-  const [zoom, setZoom] = useState(1);
+  // Camera: what ZoomableGroup shows. User panning and wheel zoom report back via onMoveEnd,
+  // so this always matches the screen and programmatic moves start from where the map is.
+  const [view, setView] = useState(() => homeView(DATASETS[DEFAULT_DATASET]));
+  const { zoom, center } = view;
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const flightRef = useRef(0); // requestAnimationFrame id of a running fly-to
 
   // Track map DOM size so we can pick a decent zoom
 const mapRef = useRef(null);
+const projectionRef = useRef(null); // the map's d3 projection, for hit testing
 
-// Center of the viewport for ZoomableGroup (starts at dataset default)
-const [center, setCenter] = useState(() => DATASETS["world"].projection.center);
-
-// Keep center in sync when dataset changes
-useEffect(() => {
-  setCenter(DATASETS[dataset].projection.center);
-}, [dataset]);
+  // Small regions: optional circle targets, and a magnifier lens for touch screens
+  const coarsePointer = typeof window !== "undefined" && !!window.matchMedia?.("(pointer: coarse)").matches;
+  const [targets, setTargets] = useState(() => {
+    try { return localStorage.getItem("mqg_targets") === "on"; } catch { return false; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_targets", targets ? "on" : "off"); } catch {} }, [targets]);
+  const [magnifier, setMagnifier] = useState(() => {
+    try { return coarsePointer && localStorage.getItem("mqg_magnifier") !== "off"; } catch { return coarsePointer; }
+  });
+  useEffect(() => { try { localStorage.setItem("mqg_magnifier", magnifier ? "on" : "off"); } catch {} }, [magnifier]);
+  const [lens, setLens] = useState(null); // { x, y, viewBox } while a finger is down
+
+  const conf = allDatasets[dataset] || DATASETS[DEFAULT_DATASET];
+
+  // Regions keep the map's own names in the game; these are what the player sees and may type
+  const regionName = useMemo(() => regionNamer(CATALOGS[lang], dataset), [lang, dataset]);
+  const localAliases = useMemo(() => localizedAliases(conf.aliases, CATALOGS[lang], dataset), [conf, lang, dataset]);
+  // A race is graded by the server, which takes any shipped language; match it
+  const raceAliases = useMemo(
+    () => Object.values(CATALOGS).reduce((table, catalog) => localizedAliases(table, catalog, dataset), conf.aliases),
+    [conf, dataset]
+  );
+  const aliases = racing ? raceAliases : localAliases;
+  useEffect(() => { dispatch({ type: "ALIASES", aliases }); }, [aliases]);
+  const datasetLabel = (key) => (CATALOGS[lang].datasets || {})[key] || (allDatasets[key] || {}).label || key;
 
 
   // Geography load tracking
   const namesRef = useRef([]);
+  const featuresRef = useRef([]);
   const lastLenRef = useRef(0);
   const [geoVersion, setGeoVersion] = useState(0);
 
-  const conf = DATASETS[dataset];
-
   // Countdown timer
-  const [timerOn, setTimerOn] = useState(false);
-  const [duration, setDuration] = useState(20); // seconds
+  const [timerSetting, setTimerOn] = useState(!!urlInit.config.timerOn);
+  const [durationSetting, setDuration] = useState(urlInit.config.duration || 20); // seconds
+  const timerOn = !!daily || timerSetting;
+  const duration = daily ? daily.duration : durationSetting;
   const [timeLeft, setTimeLeft] = useState(duration);
-  useEffect(() => { setTimeLeft(duration); }, [duration, dataset, mode, geoVersion]);
+  // Restart the countdown on every new turn (answer, timeout, skip)
+  useEffect(() => { setTimeLeft(duration); }, [duration, dataset, mode, geoVersion, quiz.turn]);
   useEffect(() => {
-    if (!timerOn || gameOver || (mode !== "click" && mode !== "type")) return;
-    const id = setInterval(() => {
-      setTimeLeft((t) => {
-        if (t <= 1) {
-          setLives((l) => {
-            const next = Math.max(0, l - 1);
-            if (next === 0) setGameOver(true);
-            return next;
-          });
-          return duration; // restart timer
-        }
-        return t - 1;
-      });
-    }, 1000);
+    if (!timerOn || gameOver || !prompt || !isQuizMode(mode) || racing || builder || reveal) return;
+    const id = setInterval(() => setTimeLeft((t) => Math.max(0, t - 1)), 1000);
     return () => clearInterval(id);
-  }, [timerOn, duration, mode, gameOver]);
+  }, [timerOn, duration, mode, gameOver, prompt, racing, builder, reveal]);
+  useEffect(() => {
+    if (timerOn && timeLeft <= 0) play({ type: "TIMEOUT", mode });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [timeLeft]);
 
   // Reset on dataset change
   useEffect(() => {
-    setZoom(1);
+    cancelFlight();
+    setView(homeView(conf));
     setMessage("");
-    setPrompt(null);
     setSelectedName(null);
     setInfo(null);
-    setLives(5);
-    setGameOver(false);
+    setFocusName(null);
   }, [dataset]);
 
-  // Initialize the no-repeat queue whenever geos/mode/dataset change
+  // Per-region answer history for this dataset (drives Learn mode scheduling)
+  const [history, setHistory] = useState(() => loadHistory(dataset));
+  useEffect(() => { setHistory(loadHistory(dataset)); }, [dataset]);
+  const promptShownAtRef = useRef(Date.now());
+
+  // Session log for the stats dashboard: one entry per finished (or abandoned) game
+  const sessionRef = useRef(null); // { dataset, mode, startedAt } of the running game
+  const [sessions, setSessions] = useState(() => loadSessions(dataset));
+  useEffect(() => { setSessions(loadSessions(dataset)); }, [dataset]);
+  const endSession = () => {
+    const sess = sessionRef.current;
+    sessionRef.current = null;
+    if (!sess || quiz.score + quiz.misses === 0) return;
+    const next = saveSession(sess.dataset, {
+      at: sess.startedAt, mode: sess.mode, score: quiz.score, misses: quiz.misses, ms: Date.now() - sess.startedAt,
+    });
+    if (sess.dataset === dataset) setSessions(next);
+  };
+  useEffect(() => {
+    if (gameOver) endSession();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameOver]);
+
+  // Turn-by-turn log of the current game (eventLog.js), viewable and exportable after Game Over
+  const [events, setEvents] = useState([]);
+  const eventSessionRef = useRef({ dataset, mode, startedAt: Date.now() });
+  const [showLog, setShowLog] = useState(false);
+  const exportLog = (format) => {
+    const session = eventSessionRef.current;
+    if (format === "csv") downloadText(exportFileName(session, "csv"), eventsToCsv(events), "text/csv");
+    else downloadText(exportFileName(session, "json"), eventsToJson(session, events), "application/json");
+  };
+
+  // Post-game review: the Game Over panel steps aside so the map can show each miss.
+  // reviewFocus is { target, picks } (region names) for the entry being shown.
+  const misses = useMemo(() => missedRegions(events), [events]);
+  const [reviewing, setReviewing] = useState(false);
+  const [reviewFocus, setReviewFocus] = useState(null);
+  const retryRef = useRef(null); // { dataset, mode, names } for the next startGame
+
+  // One attempt per day: a second click on Daily just shows the stored result
+  const startDaily = () => {
+    const challenge = dailyChallenge();
+    const prior = loadDailyResult(challenge.dateKey);
+    if (prior) { setDailyResult({ challenge, ...prior }); return; }
+    setDaily(challenge);
+    setHotSeat(null);
+    setDataset(challenge.dataset);
+    setMode(challenge.mode);
+    setMessage("");
+    setInput("");
+  };
+  // Store the final (or abandoned) daily result
+  const finishDaily = () => {
+    const prior = loadDailyResult(daily.dateKey) || {};
+    const result = {
+      finished: true, score: quiz.score, misses: quiz.misses, total: quiz.names.length && Math.min(daily.length, quiz.names.length),
+      ms: Date.now() - (prior.startedAt || Date.now()), marks: [...dailyMarksRef.current],
+    };
+    saveDailyResult(daily.dateKey, result);
+    return result;
+  };
+  // Leaving the daily's dataset/mode forfeits the attempt; clearing `daily` restarts free play
+  useEffect(() => {
+    if (daily && dailyStartedRef.current === daily.dateKey && (dataset !== daily.dataset || mode !== daily.mode)) {
+      finishDaily();
+      setDaily(null);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [dataset, mode]);
+
+  // Start a fresh game (new no-repeat queue) whenever geos/mode/dataset change
+  const startGame = () => {
+    endSession();
+    runRef.current = null;
+    setSubmission(null);
+    setEvents([]);
+    setShowLog(false);
+    setReviewing(false);
+    setReviewFocus(null);
+    setReveal(null);
+    retryingRef.current = false;
+    eventSessionRef.current = { dataset, mode, startedAt: Date.now() };
+    const names = isQuizMode(mode) ? namesRef.current : [];
+    // A hot-seat game is the table's, not yours: no session log or high score
+    sessionRef.current = names.length && !seated && !racing ? { dataset, mode, startedAt: Date.now() } : null;
+    if (daily) {
+      // Reset during the daily forfeits it; clearing `daily` restarts free play.
+      if (dailyStartedRef.current === daily.dateKey) {
+        finishDaily();
+        setDaily(null);
+        return;
+      }
+      if (names.length) {
+        dailyStartedRef.current = daily.dateKey;
+        dailyMarksRef.current = [];
+        saveDailyResult(daily.dateKey, { finished: false, score: 0, misses: 0, startedAt: Date.now(), marks: [] });
+      }
+      dispatch({ type: "RESET", names, aliases, queue: names.length ? dailyQueue(names, daily) : [], lives: daily.lives, highScore: 0 });
+      return;
+    }
+    // Retry missed: only the regions from the review, once
+    const retry = retryRef.current;
+    retryRef.current = null;
+    const retryQueue = retry && retry.dataset === dataset && retry.mode === mode && !racing && !seated
+      ? shuffle(retry.names.filter((n) => names.includes(n))) : [];
+    if (retryQueue.length) {
+      const learn = mode === "learn" ? { lives: Infinity, requeueMisses: LEARN_REQUEUE } : {};
+      retryingRef.current = true;
+      dispatch({ type: "RESET", names, aliases, queue: retryQueue, ...learn, highScore: 0 });
+      return;
+    }
+    if (mode === "learn") {
+      const queue = buildLearnQueue(names, loadHistory(dataset));
+      dispatch({ type: "RESET", names, aliases, queue, lives: Infinity, requeueMisses: LEARN_REQUEUE, highScore: readHighScore() });
+      return;
+    }
+    if (racing) {
+      // Idle in the lobby; then the room's queue, replaying any moves the server already has
+      const queue = race.status === "lobby" || dataset !== race.dataset || mode !== race.mode ? [] : race.queue;
+      dispatch({ type: "RESET", names, aliases, queue, lives: Infinity, highScore: 0 });
+      if (queue.length) race.moves.forEach(dispatch);
+      return;
+    }
+    if (seated) {
+      dispatch({ type: "RESET", names, aliases, players: hotSeat.players, order: hotSeat.order, highScore: readHighScore() });
+      return;
+    }
+    if (quizOn) {
+      dispatch({ type: "RESET", names, aliases, queue: quizQueue(activeQuiz, names), highScore: readHighScore() });
+      return;
+    }
+    if (filterOn || tierOn) {
+      const pool = filterOn ? filterNames() : names;
+      dispatch({ type: "RESET", names, aliases, queue: shuffle(tierOn ? tierPool(pool) : pool), highScore: readHighScore() });
+      return;
+    }
+    if (LEADERBOARD_MODES.includes(mode) && names.length) {
+      // Play starts at once; the server's seed reorders the game if it comes before the first move
+      const run = { dataset, mode, seed: null, startedAt: 0, log: [] };
+      runRef.current = run;
+      dispatch({ type: "RESET", names, aliases, highScore: readHighScore() });
+      requestRunSeed(leaderboardUrl).then(({ seed }) => {
+        if (runRef.current !== run || !seed) return;
+        Object.assign(run, { seed, startedAt: Date.now() });
+        dispatch({ type: "RESET", names, aliases, queue: runQueue(names, seed), highScore: readHighScore() });
+      }, () => {
+        if (runRef.current === run) runRef.current = null;
+      });
+      return;
+    }
+    dispatch({ type: "RESET", names, aliases, highScore: readHighScore() });
+  };
 useEffect(() => {
-  if (mode === "click" || mode === "type") {
-    seedRemaining();                                 // fill queue from namesRef.current
-    Promise.resolve().then(() => nextPromptOrFinish()); // show the first prompt
-  } else {
-    setPrompt(null);
-  }
+  startGame();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-}, [geoVersion, mode, dataset]);
+}, [geoVersion, mode, dataset, daily, hotSeat, race?.code, race?.sync, quizOn && activeQuiz, filterOn && regionFilter, tierOn && tier, mode === "silhouette" && silAnswer, twistOn && twist]);
+
+  // Turn engine outcomes into HUD feedback
+  useEffect(() => {
+    const out = quiz.lastOutcome;
+    if (!out) return;
+    const player = quiz.players?.[out.player];
+    if (daily && out.result !== "skip") dailyMarksRef.current.push(outcomeMark(out.result));
+    const ms = Date.now() - promptShownAtRef.current;
+    const { score: n, lives: left } = player || quiz;
+    setEvents((list) => [...list, outcomeEvent(out, {
+      n: list.length + 1, at: Date.now(), dataset, mode, player: player ? player.name : null,
+      responseMs: ms, timeLeft: timerOn && !racing ? timeLeft : null, score: n, lives: left,
+    })]);
+    if (out.result !== "skip" && !player) {
+      const correct = out.result === "correct" || out.result === "almost";
+      setHistory((h) => {
+        const next = recordOutcome(h, out.prompt, { correct, ms });
+        saveHistory(dataset, next);
+        return next;
+      });
+    }
+    const name = regionName(out.prompt);
+    let text = "";
+    if (out.result === "correct") {
+      text = t("msg.correct");
+      if (mode !== "type") triggerFlash('correct');
+    } else if (out.result === "almost") {
+      text = t("msg.almost", { name });
+    } else if (out.result === "wrong") {
+      const answer = regionName(out.answer);
+      // Everyone-answers order: don't give the prompt away while others still have to answer it
+      const hidden = player && quiz.prompt === out.prompt && !quiz.gameOver;
+      text =
+        hidden && mode === "choice" ? t("seat.wrong") :
+        mode === "click" ? t("msg.wrongClick", { answer }) :
+        mode === "learn" ? t("msg.wrongLearn", { answer, name }) :
+        mode === "choice" || mode === "silhouette" ? t("msg.wrongChoice", { name }) :
+        t("msg.wrongType");
+      if (mode !== "type") triggerFlash('wrong');
+    } else if (out.result === "timeout") {
+      text = t("msg.timeout");
+    } else if (out.result === "skip") {
+      text = t("msg.skipped", { name });
+    }
+    if (player) text = t("seat.said", { name: player.name, text });
+    setMessage(text);
+    // Screen readers also hear what the HUD shows: score after a hit, lives after a miss
+    const lostLife = out.result === "wrong" || out.result === "timeout";
+    const status = quiz.gameOver ? (player ? "" : t("a11y.gameOver", { n }))
+      : lostLife ? (Number.isFinite(left) ? t("a11y.lives", { n: left }) : "")
+      : out.result === "skip" ? "" : t("a11y.score", { n });
+    const next = player && !quiz.gameOver ? t("a11y.turn", { name: quiz.players[quiz.current].name }) : "";
+    announce([text, status, next].filter(Boolean).join(" "));
+    // Silhouette: show where the shape was
+    if (mode === "silhouette" && out.result !== "skip") {
+      setReveal({ prompt: out.prompt, result: out.result });
+      const geo = featuresRef.current.find((g) => norm(conf.getName(g)) === norm(out.prompt));
+      if (geo) focusOnGeo(geo);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quiz.lastOutcome]);
+  // Daily finished: store the result and show the share panel (after the last mark is in)
+  useEffect(() => {
+    if (gameOver && daily && dailyStartedRef.current === daily.dateKey) setDailyResult({ challenge: daily, ...finishDaily() });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameOver]);
+  // Runs after the outcome effect above, so response times measure the previous turn
+  useEffect(() => { promptShownAtRef.current = Date.now(); }, [prompt, quiz.turn]);
 
   // If we enter Explore mode and already have a selectedName, try to refocus on it
 useEffect(() => {
@@ -462,217 +834,473 @@ useEffect(() => {
   }
 }, [mode, selectedName]);
 
-  // Heuristic: choose a zoom that roughly fits the bounds in the viewport.
-// We don't rely on the internal projection instance, so we use a degree-span guess.
-function pickZoomForBounds(bounds, containerWidth, containerHeight) {
-  if (!bounds || !Array.isArray(bounds) || bounds.length !== 2) return 1;
-
-  const [minLon, minLat] = bounds[0];
-  const [maxLon, maxLat] = bounds[1];
-  const lonSpan = Math.max(0.1, Math.abs(maxLon - minLon));
-  const latSpan = Math.max(0.1, Math.abs(maxLat - minLat));
-
-  // Adjust for viewport aspect (lat spans visually stretch differently)
-  const aspect = containerWidth / Math.max(1, containerHeight);
-  const effectiveSpan = Math.max(lonSpan, latSpan * (1 / aspect + 0.5)); // light bias
-
-  // Map span (in degrees) to a zoom factor. Tuned for EqualEarth-like projections.
-  // Smaller span -> larger zoom. Clamp with your MIN/MAX settings.
-  const raw = 180 / effectiveSpan; // 180 is a decent starting constant for "fit"
-  return Math.min(typeof MAX_ZOOM !== "undefined" ? MAX_ZOOM : 8, Math.max(1.2, raw));
-}
-
-// Helper: compute [minLon, minLat, maxLon, maxLat] for a feature
-function getFeatureBounds(geo) {
-  if (!geo || !geo.geometry) return null;
-
-  let coords = [];
-  if (geo.geometry.type === "Polygon") {
-    coords = geo.geometry.coordinates.flat(1);
-  } else if (geo.geometry.type === "MultiPolygon") {
-    coords = geo.geometry.coordinates.flat(2);
-  } else {
-    return null;
+  // Camera moves. flyTo animates from the current view unless the user prefers reduced motion.
+  function cancelFlight() {
+    cancelAnimationFrame(flightRef.current);
+    flightRef.current = 0;
+  }
+  function flyTo(target, duration = FLY_MS) {
+    cancelFlight();
+    const projection = projectionRef.current;
+    const still = typeof window === "undefined" || window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    if (!projection || still || typeof requestAnimationFrame === "undefined") {
+      setView(target);
+      return;
+    }
+    const at = interpolateView(projection, viewRef.current, target);
+    let start = null; // timed from the first frame's timestamp
+    const step = (now) => {
+      if (start === null) start = now;
+      const t = Math.min(1, (now - start) / duration);
+      setView(at(easeInOut(t)));
+      flightRef.current = t < 1 ? requestAnimationFrame(step) : 0;
+    };
+    flightRef.current = requestAnimationFrame(step);
+  }
+  useEffect(() => cancelFlight, []);
+  // Keep state in step with drags and wheel zoom; a user gesture takes over from a fly-to
+  const onMoveStart = useCallback(() => cancelFlight(), []);
+  const onMoveEnd = useCallback(({ coordinates, zoom }) => setView({ center: coordinates, zoom }), []);
+  const zoomBy = (factor) => flyTo({ center, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * factor)) }, FLY_MS / 2);
+
+  // Part of the map (in viewBox units) not hidden by the side panel, or the bottom sheet on phones
+  function freeMapBox() {
+    const svg = mapRef.current?.querySelector("svg");
+    const ctm = svg?.getScreenCTM?.();
+    const panel = sheetRef.current?.getBoundingClientRect();
+    if (!ctm || !ctm.a || !panel || !panel.width) return undefined;
+    const rect = svg.getBoundingClientRect();
+    let { left, top, right, bottom } = rect;
+    if (window.innerWidth <= 768) bottom = Math.min(bottom, panel.top);
+    else right = Math.min(right, panel.left);
+    const [width, height] = MAP_SIZE;
+    const x = (px) => Math.min(width, Math.max(0, (px - ctm.e) / ctm.a));
+    const y = (px) => Math.min(height, Math.max(0, (px - ctm.f) / ctm.d));
+    const box = [[x(left), y(top)], [x(right), y(bottom)]];
+    // A panel covering most of the map isn't worth dodging
+    return box[1][0] - box[0][0] > width / 3 && box[1][1] - box[0][1] > height / 3 ? box : undefined;
   }
 
-  let minLon = 180, maxLon = -180, minLat = 90, maxLat = -90;
-  coords.forEach(([lon, lat]) => {
-    if (lon < minLon) minLon = lon;
-    if (lon > maxLon) maxLon = lon;
-    if (lat < minLat) minLat = lat;
-    if (lat > maxLat) maxLat = lat;
-  });
-
-  return [minLon, minLat, maxLon, maxLat];
-}
-
-// Focus the map on the clicked/highlighted geo
-function focusOnGeo(geo) {
-  const bounds = getFeatureBounds(geo);
-  if (!bounds) return;
-
-  const [[minLon, minLat, maxLon, maxLat]] = [bounds];
-  const centerLon = (minLon + maxLon) / 2;
-  const centerLat = (minLat + maxLat) / 2;
-
-  const width = maxLon - minLon;
-  const height = maxLat - minLat;
+  // Fly to the clicked/highlighted geo, measured with the map's own projection
+  function focusOnGeo(geo) {
+    const projection = projectionRef.current;
+    if (!projection) return;
+    const target = fitFeature(geo, projection, { box: freeMapBox(), minZoom: 1, maxZoom: MAX_ZOOM });
+    if (target) flyTo(target);
+  }
 
-  // crude zoom heuristic: smaller area → zoom in more
-  const newZoom = Math.min(
-    MAX_ZOOM,
-    Math.max(1.5, 4 / Math.max(width / 30, height / 15))
-  );
+  // The map's resting view: the filtered continent, else the whole dataset
+  function flyHome() {
+    const projection = projectionRef.current;
+    const frame = filterOn && projection
+      ? fitFeature(filterFrame(regionFilter, featuresRef.current, featureId), projection, { box: freeMapBox(), minZoom: 1, maxZoom: MAX_ZOOM })
+      : null;
+    flyTo(frame || homeView(conf));
+  }
+  // Frame a continent when it's picked, and go back out when the filter is cleared
+  const framedRef = useRef(null);
+  useEffect(() => {
+    const key = filterOn ? regionFilter : null;
+    if (key || framedRef.current) flyHome();
+    framedRef.current = key;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filterOn && regionFilter, geoVersion]);
+
+  // Explore: select a region, fly to it and load its info card
+  const exploreRegion = (geo, name) => {
+    setSelectedName(name);
+    setInfo(null);
 
-  // 👉 detect mobile
-  const isMobile = window.innerWidth <= 768;
+    // Zoom/pan to the clicked feature and keep it highlighted
+    focusOnGeo(geo);
 
-  // shift center upward on mobile so the panel doesn’t overlap
-  const shiftedLat = isMobile ? centerLat + height * 0.8 : centerLat;
+    if (conf.exploreScope === "country") {
+      fetchCountryInfo(name).then(setInfo);
+    } else {
+      fetchSubnationalInfo(name, conf.exploreScope).then(setInfo);
+    }
+  };
 
-  setZoom(newZoom);
-  // center is [lon, lat]
-  conf.projection.center = [centerLon, shiftedLat];
-}
+  // URL sync: push a history entry per config change; back/forward restores it.
+  const pendingRegionRef = useRef(urlInit.config.region || null); // Explore region waiting for geos
+  const urlSyncedRef = useRef(false);
+  const [popVersion, setPopVersion] = useState(0);
+  useEffect(() => {
+    const region = selectedName || pendingRegionRef.current;
+    // The player's settings, not a daily's rules
+    const qs = serializeConfig({ dataset, mode, timerOn: timerSetting, duration: durationSetting, hardMode: hardModeSetting, region });
+    if (qs === window.location.search) { urlSyncedRef.current = true; return; }
+    const url = window.location.pathname + qs + window.location.hash;
+    // First sync only canonicalises the landing URL
+    if (urlSyncedRef.current) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+    urlSyncedRef.current = true;
+  }, [dataset, mode, timerSetting, durationSetting, hardModeSetting, selectedName]);
+  useEffect(() => {
+    const onPop = () => {
+      const { config } = parseConfig(window.location.search, { datasets: allDatasets, modes: MODES });
+      setDataset(config.dataset || DEFAULT_DATASET);
+      setMode(config.mode || "click");
+      setTimerOn(!!config.timerOn);
+      if (config.duration) setDuration(config.duration);
+      setHardMode(!!config.hardMode);
+      pendingRegionRef.current = config.region || null;
+      if (!config.region) { setSelectedName(null); setInfo(null); }
+      setPopVersion((v) => v + 1);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [allDatasets]);
+  // Apply a linked Explore region once its dataset has loaded
+  useEffect(() => {
+    const wanted = pendingRegionRef.current;
+    if (!wanted || mode !== "explore") return;
+    const list = featuresRef.current;
+    const geo = list.find((g) => norm(conf.getName(g)) === norm(wanted));
+    if (!geo) {
+      if (list.length) pendingRegionRef.current = null; // loaded, but no such region here
+      return;
+    }
+    pendingRegionRef.current = null;
+    exploreRegion(geo, conf.getName(geo));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [geoVersion, mode, dataset, popVersion]);
+  useEffect(() => {
+    if (urlInit.errors.length) setMessage(t("msg.badLink", { errors: urlInit.errors.join("; ") }));
+    else if (DATASET_ERRORS.length) setMessage(t("msg.skippedMaps", { errors: DATASET_ERRORS.join("; ") }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   const onGeoClick = (geo) => {
-    if (gameOver) return;
     const name = conf.getName(geo);
+    if (builder) {
+      // A box/lasso drag that ended on a region isn't also a click on it
+      if (name && !sweptRef.current) toggleRegions([name]);
+      sweptRef.current = false;
+      return;
+    }
+    if (gameOver) return;
     if (!name) return;
 
 if (mode === "explore") {
-  setSelectedName(name);
-  setInfo(null);
-
-  // Zoom/pan to the clicked feature and keep it highlighted
-  focusOnGeo(geo);
-
-  if (conf.exploreScope === "country") {
-    fetchCountryInfo(name).then(setInfo);
-  } else {
-    fetchSubnationalInfo(name, conf.exploreScope).then(setInfo);
-  }
+  exploreRegion(geo, name);
   return;
 }
 
 
-    if (mode === "click") {
+    if (mode === "click" || mode === "learn") {
     if (!prompt) return;
-
-    // correct click
-if (norm(name) === norm(prompt)) {
-  setScore((s) => { const val = s + 1; bumpHighScore(val); return val; });
-  setStreak((s) => s + 1);
-  setMessage("Correct!");
-  triggerFlash('correct');
-  nextPromptOrFinish();
-  setTimeLeft(duration);
-    } else {
-  // wrong click -> lose a life...
-  setStreak(0);
-  setLives((l) => {
-    const next = Math.max(0, l - 1);
-    if (next === 0) setGameOver(true);
-    return next;
-  });
-  setMessage(`That was ${name}.`);
-  triggerFlash('wrong');
-
-  nextPromptOrFinish();
-  setTimeLeft(duration);
-}
-
+    play({ type: "ANSWER", answer: name, mode });
     return;
   }
 
     if (mode === "type") {
-      setMessage("A region is highlighted. Type its name to score.");
+      setMessage(t("msg.typeHint"));
+    }
+
+    if (mode === "choice") {
+      setMessage(t("msg.choiceHint"));
     }
   };
 
-  const submitTyped = (e) => {
-    if (e?.preventDefault) e.preventDefault();
-    if (gameOver || !prompt) return;
-   if (matchesAnswer(input, prompt)) {
-  setScore((s) => { const val = s + 1; bumpHighScore(val); return val; });
-  setStreak((s) => s + 1);
-  setMessage("Correct!");
-  setInput("");
-  nextPromptOrFinish();
-  setTimeLeft(duration);
-    } else {
-      setStreak(0);
-      setLives((l) => {
-        const next = Math.max(0, l - 1);
-        if (next === 0) setGameOver(true);
-        return next;
-      });
-      setMessage("Not quite. Try again.");
-      setInput("");
-      setTimeLeft(duration);
+  // Keyboard play: arrows move to the neighbouring region, Enter/Space act like a click
+  const onGeoKeyDown = (e, geo, index) => {
+    const dir = ARROW_DIRECTIONS[e.key];
+    if (dir) {
+      e.preventDefault();
+      const list = featuresRef.current;
+      const centroids = list.map((g) => describeRegion(g, "").centroid);
+      const next = neighbourInDirection(centroids, index, dir);
+      if (next < 0) return;
+      setFocusName(conf.getName(list[next]));
+      if (zoom > 1) flyTo({ center: centroids[next], zoom }, FLY_MS / 2); // keep it on screen when zoomed in
+      mapRef.current?.querySelector(`[data-region="${next}"]`)?.focus();
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      onGeoClick(geo);
     }
   };
 
-  function pickRandomPrompt() {
-  const list = namesRef.current || [];
-  if (!list.length) return null;
-  return list[Math.floor(Math.random() * list.length)];
-}
+  // Hit testing: the zoomable layer's screen transform maps client pixels to projected units
+  const layerCTM = () => mapRef.current?.querySelector(".rsm-zoomable-group")?.getScreenCTM?.() || null;
+  // Nearest region within the tolerance radius of a point that hit no polygon
+  const regionNear = (clientX, clientY, pointerType) => {
+    const ctm = layerCTM();
+    const svg = mapRef.current?.querySelector("svg");
+    const projection = projectionRef.current;
+    if (!ctm || !svg || !projection) return null;
+    const pt = svg.createSVGPoint();
+    pt.x = clientX;
+    pt.y = clientY;
+    const { x, y } = pt.matrixTransform(ctm.inverse());
+    const list = featuresRef.current;
+    const radius = (pointerType === "touch" ? HIT_RADIUS_PX.touch : HIT_RADIUS_PX.mouse) / ctm.a;
+    const i = nearestRegion([x, y], list.map((g) => regionShape(g, projection)), radius);
+    return i < 0 ? null : list[i];
+  };
+  const onMapClick = (e) => {
+    if (e.target.closest?.("[data-region],[data-target]")) return; // the region's own onClick handled it
+    const geo = regionNear(e.clientX, e.clientY, e.nativeEvent.pointerType || (coarsePointer ? "touch" : "mouse"));
+    if (geo) onGeoClick(geo);
+  };
 
+  // Touch magnifier: while a finger is down the lens shows the map under it enlarged;
+  // lifting the finger picks the region under it (or the nearest one) instead of a tap
+  const lensOn = magnifier && !builder && (mode === "click" || mode === "learn" || mode === "explore");
+  const lensOnRef = useRef(lensOn);
+  lensOnRef.current = lensOn;
+  const lensAt = (touch) => {
+    const svg = mapRef.current?.querySelector("svg");
+    const ctm = svg?.getScreenCTM?.();
+    if (!ctm) return null;
+    const pt = svg.createSVGPoint();
+    pt.x = touch.clientX;
+    pt.y = touch.clientY;
+    const { x, y } = pt.matrixTransform(ctm.inverse());
+    const size = LENS_PX / (ctm.a * LENS_ZOOM);
+    return { x: touch.clientX, y: touch.clientY, viewBox: `${x - size / 2} ${y - size / 2} ${size} ${size}` };
+  };
+  const onLensStart = (e) => setLens(lensOn && e.touches.length === 1 ? lensAt(e.touches[0]) : null);
+  const onLensMove = (e) => { if (lens && e.touches.length === 1) setLens(lensAt(e.touches[0])); };
+  const onLensEnd = (e) => {
+    if (!lens) return;
+    e.preventDefault(); // no synthetic click
+    setLens(null);
+    const touch = e.changedTouches[0];
+    const hit = document.elementFromPoint(touch.clientX, touch.clientY)?.closest?.("[data-region],[data-target]");
+    const geo = hit
+      ? featuresRef.current[Number(hit.getAttribute("data-region") ?? hit.getAttribute("data-target"))]
+      : regionNear(touch.clientX, touch.clientY, "touch");
+    if (geo) onGeoClick(geo);
+  };
+  // Quiz builder box/lasso: a drag draws the selection instead of panning.
+  // `sweep` is { tool, points } in client pixels while drawing.
+  const [sweep, setSweep] = useState(null);
+  const sweptRef = useRef(false);
+  const sweepOn = !!builder && builder.tool !== "click";
+  const sweepOnRef = useRef(sweepOn);
+  sweepOnRef.current = sweepOn;
+  const onSweepStart = (e) => {
+    sweptRef.current = false;
+    if (!sweepOn || !e.isPrimary || e.button > 0) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setSweep({ tool: builder.tool, points: [[e.clientX, e.clientY]] });
+  };
+  const onSweepMove = (e) => {
+    if (!sweep) return;
+    const point = [e.clientX, e.clientY];
+    setSweep((sw) => sw && { ...sw, points: sw.tool === "box" ? [sw.points[0], point] : [...sw.points, point] });
+  };
+  const onSweepEnd = (e) => {
+    if (!sweep) return;
+    setSweep(null);
+    const polygon = sweepPolygon(sweep);
+    const ctm = layerCTM();
+    const svg = mapRef.current?.querySelector("svg");
+    const projection = projectionRef.current;
+    if (polygon.length < 3 || !ctm || !svg || !projection) return;
+    sweptRef.current = true;
+    const inverse = ctm.inverse();
+    const projected = polygon.map(([x, y]) => {
+      const pt = svg.createSVGPoint();
+      pt.x = x;
+      pt.y = y;
+      const p = pt.matrixTransform(inverse);
+      return [p.x, p.y];
+    });
+    const list = featuresRef.current;
+    const hits = shapesInPolygon(list.map((g) => regionShape(g, projection)), projected);
+    // Alt takes the swept regions out of the selection
+    toggleRegions(hits.map((i) => conf.getName(list[i])), !e.altKey);
+  };
+  // A box is its two corners; a lasso its path. Tiny drags are clicks.
+  const sweepPolygon = ({ tool, points }) => {
+    if (tool === "box") {
+      const [[x0, y0], [x1, y1]] = points.length > 1 ? points : [points[0], points[0]];
+      return Math.abs(x1 - x0) < 4 && Math.abs(y1 - y0) < 4 ? [] : [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    }
+    return points.length < 3 ? [] : points;
+  };
 
-// remaining prompts for the current game (no repeats)
-const [remaining, setRemaining] = useState([]);
+  // One finger drives the lens instead of panning; pinch still zooms
+  const filterZoomEvent = useCallback((e) => {
+    if (sweepOnRef.current && e && e.type !== "wheel" && !(e.touches && e.touches.length > 1)) return false;
+    if (lensOnRef.current && e && e.type.startsWith("touch") && e.touches.length < 2) return false;
+    return e ? !e.ctrlKey && !e.button : false; // react-simple-maps' default
+  }, []);
 
-  function seedRemaining() {
-  const uniques = Array.from(
-    new Set((namesRef.current || []).map((n) => n))
-  ).filter(Boolean);
-  setRemaining(shuffle(uniques));
-}
+  // Screen-reader name of a region: its real name only where that isn't the answer
+  const regionLabel = (name, highlighted, index, total) =>
+    mode === "explore" ? regionName(name)
+      : highlighted ? t("a11y.highlighted")
+      : t("a11y.region", { n: index + 1, total });
 
-function nextPromptOrFinish() {
-  setRemaining((curr) => {
-    if (!curr || curr.length === 0) {
-      setPrompt(null);
-      setGameOver(true);
-      return [];
-    }
-    const [head, ...tail] = curr;
-    setPrompt(head);
-    return tail;
-  });
-}
+  const submitTyped = (e) => {
+    if (e?.preventDefault) e.preventDefault();
+    if (gameOver || !prompt || reveal) return;
+    // Races use the server's (default) typo tolerance
+    play({ type: "ANSWER", answer: input, mode, ...(racing ? {} : { tolerance: TYPO_TOLERANCE[typoLevel] }) });
+    setInput("");
+  };
+
+  const skipPrompt = () => play({ type: "SKIP" });
+
+  // Choice mode: four options per prompt, distractors from nearby/similar-sized regions
+  const picking = mode === "choice" || (mode === "silhouette" && silAnswer === "pick");
+  const choices = useMemo(() => {
+    if (!picking || !prompt) return [];
+    const regions = featuresRef.current.map((g) => describeRegion(g, conf.getName(g)));
+    return buildChoices(prompt, regions);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [picking, prompt, quiz.turn]);
+  const pickChoice = (name) => {
+    if (gameOver || !prompt || reveal) return;
+    play({ type: "ANSWER", answer: name, mode });
+  };
+
+  // Silhouette: the prompt's outline on its own, turned per prompt when a twist is on
+  const silhouette = useMemo(() => {
+    if (mode !== "silhouette" || !prompt) return null;
+    const geo = featuresRef.current.find((g) => norm(conf.getName(g)) === norm(prompt));
+    return geo ? silhouettePath(geo) : null;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, prompt, geoVersion]);
+  const shapeTwist = useMemo(() => pickTwist(twist), [prompt, quiz.turn, twist]);
+  const nextShape = () => {
+    setReveal(null);
+    flyHome();
+  };
+  const hideMap = mode === "silhouette" && !reveal;
 
-  function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-  
   const resetAll = () => {
-  setScore(0);
-  setStreak(0);
-  setLives(5);
   setMessage("");
   setInput("");
-  setGameOver(false);
   setSelectedName(null);
   setInfo(null);
   setTimeLeft(duration);
-
-  if (mode === "click" || mode === "type") {
-    seedRemaining();
-    Promise.resolve().then(() => nextPromptOrFinish());
-  } else {
-    setPrompt(null);
-  }
+  startGame();
 };
 
+  // Fly to a missed region, framing the wrong picks with it
+  const showMiss = (miss) => {
+    const byName = (name) => featuresRef.current.find((g) => norm(conf.getName(g)) === norm(name));
+    const target = byName(miss.prompt);
+    const picks = mode === "type" ? [] : miss.answers.map(byName).filter(Boolean);
+    setReviewFocus({ target: miss.prompt, picks: picks.map((g) => conf.getName(g)) });
+    const projection = projectionRef.current;
+    if (!target || !projection) return;
+    const framed = { type: "FeatureCollection", features: [target, ...picks] };
+    const view = fitFeature(framed, projection, { box: freeMapBox(), minZoom: 1, maxZoom: MAX_ZOOM });
+    if (view) flyTo(view);
+  };
+  const retryMissed = () => {
+    retryRef.current = { dataset, mode, names: misses.map((m) => m.prompt) };
+    resetAll();
+  };
+
+
+  const mastered = masteredCount(namesRef.current, history);
+  const regionCount = new Set(namesRef.current).size;
+  const builderList = builder ? searchRegions(namesRef.current, builder.query, regionName) : [];
+
+  // Stats dashboard
+  const [showStats, setShowStats] = useState(false);
+  const [heatmap, setHeatmap] = useState(false);
+  const regionRows = showStats ? regionStats(history) : [];
+  const totals = sessionTotals(sessions);
+  // Fetch the leaderboard when something shows it: the stats dialog or a ranked game's end
+  const ranked = gameOver && !!runRef.current;
+  useEffect(() => {
+    if (showStats || ranked) loadBoard();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showStats, ranked, dataset, mode, leaderboardUrl]);
+
+  // Offline: connectivity, whether the current dataset is cached, pending SW update
+  const [online, setOnline] = useState(() => typeof navigator === "undefined" || navigator.onLine !== false);
+  const [offlineReady, setOfflineReady] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [updateReady, setUpdateReady] = useState(false);
+  useEffect(() => {
+    const up = () => setOnline(true), down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    const unsubscribe = onUpdateReady(setUpdateReady);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+      unsubscribe();
+    };
+  }, []);
+  useEffect(() => {
+    let alive = true;
+    setOfflineReady(false);
+    isDatasetCached(conf).then((ok) => { if (alive) setOfflineReady(ok); });
+    return () => { alive = false; };
+  }, [dataset, geoVersion]);
+  const downloadForOffline = () => {
+    setDownloading(true);
+    downloadDataset(conf)
+      .then(() => { setOfflineReady(true); setMessage(t("msg.offlineReady", { map: datasetLabel(dataset) })); })
+      .catch(() => setMessage(t("msg.downloadFailed", { map: datasetLabel(dataset) })))
+      .finally(() => setDownloading(false));
+  };
+
+  // Load your own map: null = closed, else the importer's working state
+  const [importer, setImporter] = useState(null);
+  const openImporter = () => setImporter({ features: null, keys: [], nameField: "", label: "", error: "", note: "" });
+  const readMapFile = (file) => {
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const { features, objectName } = parseMapFile(text);
+        const keys = propertyKeys(features);
+        setImporter({
+          features, keys, objectName, nameField: guessNameField(keys),
+          label: file.name.replace(/\.(geo|topo)?json$/i, ""), error: "", note: "",
+        });
+      })
+      .catch((e) => setImporter((im) => ({ ...im, features: null, keys: [], error: t(`import.err.${e.code || "read"}`) })));
+  };
+  const saveImportedMap = () => {
+    const features = slimFeatures(importer.features, importer.nameField);
+    if (!features.length) {
+      setImporter({ ...importer, error: t("import.noName", { field: importer.nameField }) });
+      return;
+    }
+    const label = importer.label.trim() || t("import.defaultName");
+    const key = customKey(label, allDatasets);
+    const next = { ...customEntries, [key]: { label, projection: fitProjection(features), features } };
+    const saved = saveCustomDatasets(next);
+    setCustomEntries(next);
+    setDataset(key);
+    if (saved) setImporter(null);
+    else setImporter({ ...importer, features: null, keys: [], note: t("import.sessionOnly", { map: label }) });
+  };
+  const deleteCustomDataset = (key) => {
+    const next = { ...customEntries };
+    delete next[key];
+    saveCustomDatasets(next);
+    setCustomEntries(next);
+    if (dataset === key) setDataset(DEFAULT_DATASET);
+  };
 
-  const highlightName = mode === "type" ? prompt : (mode === "explore" ? selectedName : null);
+  const dailyShare = dailyResult ? shareText(dailyResult.challenge, dailyResult, {
+    title: t("daily.shareTitle"),
+    datasetLabel: datasetLabel(dailyResult.challenge.dataset),
+    modeLabel: t(`mode.${dailyResult.challenge.mode}`),
+    misses: (n) => t(n === 1 ? "daily.miss" : "daily.misses", { n }),
+  }) : "";
+
+  // Type mode: once a region is answered, list the other names it accepts
+  // (not after a miss, when the same region is still being asked)
+  const lastOut = quiz.lastOutcome;
+  const answered = mode === "type" && lastOut && (lastOut.result === "correct" || lastOut.result === "almost");
+  const answeredName = answered ? regionName(lastOut.prompt) : "";
+  const otherNames = answered
+    ? [lastOut.prompt, ...aliasesFor(lastOut.prompt, aliases)].filter((s) => norm(s) !== norm(answeredName))
+    : [];
+  const typedAliases = otherNames.length ? { name: answeredName, list: otherNames } : null;
+  const highlightName = builder ? null : (mode === "type" || mode === "choice") ? prompt : (mode === "explore" ? selectedName : null);
 
   // Theme palette via CSS variables
   const vars = theme === "dark" ? {
@@ -685,6 +1313,8 @@ function nextPromptOrFinish() {
     "--hover":"#F59E0B",
     "--pressed":"#D97706",
     "--hl":"#10B981",
+    "--miss":"#EF4444",
+    "--focus":"#60A5FA",
       "--sheet":"rgba(17,24,39,.92)" 
   } : {
     "--bg":"#ffffff",
@@ -696,10 +1326,27 @@ function nextPromptOrFinish() {
     "--hover":"#F59E0B",
     "--pressed":"#FDE68A",
     "--hl":"#A7F3D0",
+    "--miss":"#FCA5A5",
+    "--focus":"#2563EB",
     "--sheet":"rgba(255,255,255,.94)"
   };
 
 const baseFill = "var(--map)";
+// Heatmap: colour attempted regions by accuracy (green = known, red = weak)
+const heatFill = (name) => {
+  if (!heatmap) return baseFill;
+  const acc = regionAccuracy(history, name);
+  return acc === null ? baseFill : accuracyColor(acc);
+};
+// Review: the missed region and what was picked instead; the builder: the selection;
+// Silhouette: the shape just answered
+const markFill = (name) => {
+  if (builder) return builder.regions.includes(name) ? "var(--hl)" : null;
+  if (reveal && norm(name) === norm(reveal.prompt)) return reveal.result === "correct" || reveal.result === "almost" ? "var(--hl)" : "var(--miss)";
+  if (!reviewing || !reviewFocus) return null;
+  if (norm(name) === norm(reviewFocus.target)) return "var(--hl)";
+  return reviewFocus.picks.some((p) => norm(p) === norm(name)) ? "var(--miss)" : null;
+};
 const isHard = hardMode && mode === "click";
 const strokeColor = isHard ? "transparent" : "var(--stroke)";
 const strokeWidth = isHard ? 0 : 0.5;
@@ -746,9 +1393,40 @@ const pressedFill = isHard ? baseFill : "var(--pressed)";
     .mqg-img{max-height:90vh;max-width:90vw}
     .mqg-row{display:flex;gap:8px;flex-wrap:wrap;align-items:center}
     .mqg-meter{font-variant-numeric:tabular-nums}
+    .mqg-choices{display:grid;grid-template-columns:1fr 1fr;gap:8px}
+    .mqg-progress{height:6px;border-radius:3px;background:var(--border);overflow:hidden;margin-top:8px}
+    .mqg-progress > div{height:100%;background:var(--hl);transition:width .3s ease}
     .mqg-overlay{position:fixed;inset:0;background:rgba(0,0,0,.7);display:flex;align-items:center;justify-content:center;color:white;z-index:60}
     .mqg-panel{background:#111827;border-radius:12px;padding:24px;min-width:280px;border:1px solid #374151}
     .mqg-panel h2{margin:0 0 8px 0}
+    .mqg-drop{display:block;border:2px dashed #4b5563;border-radius:10px;padding:20px;text-align:center;cursor:pointer;font-size:14px}
+    .mqg-share{white-space:pre-wrap;font-family:inherit;font-size:15px;line-height:1.5;margin:8px 0}
+    .mqg-stats{max-height:85vh;overflow:auto;max-width:min(640px,92vw)}
+    .mqg-stats h3{margin:16px 0 6px 0;font-size:15px}
+    .mqg-table{width:100%;border-collapse:collapse;font-size:13px;font-variant-numeric:tabular-nums}
+    .mqg-table th,.mqg-table td{text-align:left;padding:4px 6px;border-bottom:1px solid #374151}
+    .mqg-badge{border:1px solid #f59e0b;color:#f59e0b;border-radius:10px;padding:8px 12px;font-size:13px;font-weight:600}
+    .mqg-update{display:flex;gap:8px;align-items:center;justify-content:center;flex-wrap:wrap;margin-bottom:8px;padding:8px;border:1px solid var(--border);border-radius:10px;background:var(--card);font-size:14px}
+    .mqg-sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
+    .mqg-map path:focus{outline:none}
+    .mqg-map path:focus-visible{stroke:var(--focus) !important;stroke-width:2.5px !important;vector-effect:non-scaling-stroke}
+    .mqg-players td,.mqg-players th{padding:2px 6px}
+    .mqg-players .mqg-seat{background:var(--hl);color:#fff;font-weight:700}
+    .mqg-players .mqg-out{opacity:.5;text-decoration:line-through}
+    .mqg-target{stroke:var(--stroke);stroke-width:1px;stroke-dasharray:2 2;vector-effect:non-scaling-stroke;fill-opacity:.7;cursor:pointer}
+    .mqg-target:hover{fill:var(--hover)}
+    .mqg-btn[aria-pressed="true"]{border-color:var(--focus);box-shadow:0 0 0 1px var(--focus) inset}
+    .mqg-checklist{list-style:none;margin:6px 0 0;padding:0;max-height:30vh;overflow:auto;font-size:13px}
+    .mqg-checklist label{padding:2px 0;cursor:pointer}
+    .mqg-silhouette{position:absolute;inset:0;z-index:1;display:flex;align-items:center;justify-content:center;padding:24px 400px 24px 24px;box-sizing:border-box;background:var(--bg)}
+    .mqg-silhouette svg{width:min(100%,70vh);height:auto;max-height:100%}
+    .mqg-silhouette path{fill:var(--map);stroke:var(--stroke);stroke-width:1.5;stroke-linejoin:round}
+    @media (max-width: 768px){.mqg-silhouette{padding:16px 16px 45vh;align-items:flex-start}}
+    .mqg-sweep{position:fixed;inset:0;width:100vw;height:100vh;z-index:50;pointer-events:none}
+    .mqg-sweep polygon{fill:rgba(37,99,235,.15);stroke:var(--focus);stroke-width:1.5;stroke-dasharray:4 3}
+    .mqg-lens{position:fixed;z-index:70;width:${LENS_PX}px;height:${LENS_PX}px;border-radius:50%;overflow:hidden;border:2px solid var(--focus);background:var(--bg);box-shadow:0 4px 16px rgba(0,0,0,.35);pointer-events:none}
+    .mqg-lens::after{content:"";position:absolute;left:50%;top:50%;width:8px;height:8px;margin:-6px 0 0 -6px;border-radius:50%;border:2px solid var(--focus)}
+    .mqg-swatch{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:6px}
     .mqg-flag {
   height: 40px;
   width: auto;           /* prevent width:100% rules from stretching */
@@ -773,6 +1451,10 @@ const pressedFill = isHard ? baseFill : "var(--pressed)";
   font-size:14px;
   transition: background-color .25s ease, box-shadow .25s ease, border-color .25s ease;
 }
+.mqg-review{list-style:none;margin:0;padding:0;display:flex;flex-direction:column;gap:4px;max-height:40vh;overflow:auto}
+.mqg-review-item{display:flex;flex-direction:column;align-items:flex-start;gap:2px;width:100%;text-align:left;padding:6px 8px;border-radius:10px;border:1px solid var(--border);background:transparent;color:inherit;cursor:pointer;font:inherit}
+.mqg-review-item span{font-size:12px;opacity:.8}
+.mqg-review-item.mqg-active{border-color:var(--miss);box-shadow:0 0 0 2px var(--miss) inset}
 .mqg-msg.mqg-correct {
   background: rgba(16,185,129,.25);  /* green fill */
   border-color: rgba(16,185,129,.8);
@@ -841,12 +1523,15 @@ html, body { background: var(--bg); margin: 0;
 
   `;
 
-  // Geo renderer
-  const GeoLayer = ({ children }) => {
+  // Geo renderer. A plain function, not a component defined in here: a new
+  // component type every render would remount <Geographies>, blank the map and
+  // bump geoVersion (restarting the game) on every state change.
+  // Keyed by dataset so a switch starts from an empty list, not the old features.
+  const geoLayer = (children) => {
     if (conf?.urls) {
-      return <MergedGeographies urls={conf.urls}>{children}</MergedGeographies>;
+      return <MergedGeographies key={dataset} urls={conf.urls}>{children}</MergedGeographies>;
     }
-    return <Geographies geography={conf.url}>{children}</Geographies>;
+    return <Geographies key={dataset} geography={conf.geography || conf.url}>{children}</Geographies>;
   };
 
   return (
@@ -855,31 +1540,58 @@ html, body { background: var(--bg); margin: 0;
       <div className="mqg-container">
         <header className="mqg-header">
           <div className="mqg-row">
-            <h1 className="mqg-title">Map Quiz Game</h1>
-            <button className="mqg-btn" onClick={()=> setTheme(t=> t==='light'?'dark':'light')}>{theme === 'light' ? 'Dark' : 'Light'} mode</button>
+            <h1 className="mqg-title">{t("title")}</h1>
+            <button className="mqg-btn" onClick={()=> setTheme(th=> th==='light'?'dark':'light')}>{theme === 'light' ? t("theme.dark") : t("theme.light")}</button>
           </div>
           <div className="mqg-selects">
-            <select className="mqg-select" value={dataset} onChange={(e)=> setDataset(e.target.value)} aria-label="Dataset">
-              {DATASET_ORDER.map((key) => {
-    const ds = DATASETS[key];
+            <select className="mqg-select" value={dataset} onChange={(e)=> setDataset(e.target.value)} aria-label={t("header.dataset")} disabled={racing}>
+              {datasetOrder.map((key) => {
     return (
       <option key={key} value={key}>
-        {ds.label}
+        {datasetLabel(key)}
       </option>
     );
   })}
             </select>
-            <select className="mqg-select" value={mode} onChange={(e)=>{setMode(e.target.value); setMessage(''); setInput('');}} aria-label="Mode">
-              {Object.entries(MODES).map(([key,label])=> (<option key={key} value={key}>{label}</option>))}
+            <select className="mqg-select" value={mode} onChange={(e)=>{setMode(e.target.value); setMessage(''); setInput('');}} aria-label={t("header.mode")} disabled={racing}>
+              {Object.keys(MODES).map((key)=> (<option key={key} value={key}>{t(`mode.${key}`)}</option>))}
             </select>
-            <button className="mqg-btn" onClick={resetAll}>Reset</button>
+            <select className="mqg-select" value={lang} onChange={(e) => setLang(e.target.value)} aria-label={t("header.language")}>
+              {LANGUAGES.map((code) => <option key={code} value={code}>{CATALOGS[code].language}</option>)}
+            </select>
+            <button className="mqg-btn" onClick={resetAll}>{t("header.reset")}</button>
+            <button className="mqg-btn" onClick={() => setShowStats(true)}>{t("header.stats")}</button>
+            <button className="mqg-btn" onClick={startDaily} disabled={!!daily || !!race}>{t("header.daily")}</button>
+            <button className="mqg-btn" onClick={openSeatSetup} disabled={!!daily || !!race}>{t("header.players")}</button>
+            <button className="mqg-btn" onClick={openRaceSetup} disabled={!!race}>{t("header.race")}</button>
+            <button className="mqg-btn" onClick={() => setShowQuizzes(true)} disabled={!!race}>{t("header.quizzes")}</button>
+            <button className="mqg-btn" onClick={openImporter}>{t("header.import")}</button>
+            {!online && <span className="mqg-badge" role="status">{t("header.offline")}</span>}
           </div>
         </header>
 
+        <div className="mqg-sr-only" role="status" aria-live="polite" aria-atomic="true">
+          <span key={announcement.id}>{announcement.text}</span>
+        </div>
+
+        {updateReady && (
+          <div className="mqg-update" role="status">
+            {t("update.available")}
+            <button className="mqg-btn" onClick={applyUpdate}>{t("update.reload")}</button>
+            <button className="mqg-btn" onClick={() => setUpdateReady(false)}>{t("update.later")}</button>
+          </div>
+        )}
+
         <div className="mqg-stage">
 
   {/* MAP AS BACKGROUND */}
-  <div className="mqg-map" ref={mapRef}>
+  <div
+    className="mqg-map" ref={mapRef} role="group" aria-label={t("a11y.map", { map: datasetLabel(dataset) })} aria-describedby="mqg-map-help"
+    aria-hidden={hideMap || undefined}
+    onClick={onMapClick} onTouchStart={onLensStart} onTouchMove={onLensMove} onTouchEnd={onLensEnd} onTouchCancel={() => setLens(null)}
+    onPointerDown={onSweepStart} onPointerMove={onSweepMove} onPointerUp={onSweepEnd} onPointerCancel={() => setSweep(null)}
+  >
+    <p id="mqg-map-help" className="mqg-sr-only">{t("a11y.mapHelp")}</p>
     <ComposableMap
       projection={conf.projection.name}
       projectionConfig={{ scale: conf.projection.scale }}
@@ -887,11 +1599,15 @@ html, body { background: var(--bg); margin: 0;
       <ZoomableGroup
         zoom={zoom}
         center={center}
-        minZoom={typeof MIN_ZOOM !== "undefined" ? MIN_ZOOM : 0.8}
-        maxZoom={typeof MAX_ZOOM !== "undefined" ? MAX_ZOOM : 8}
+        minZoom={MIN_ZOOM}
+        maxZoom={MAX_ZOOM}
+        filterZoomEvent={filterZoomEvent}
+        onMoveStart={onMoveStart}
+        onMoveEnd={onMoveEnd}
+        id="mqg-map-layer"
       >
-        <GeoLayer>
-          {({ geographies }) => {
+        {geoLayer(({ geographies, projection }) => {
+            projectionRef.current = projection || null;
             const raw = safeList(geographies);
             const list = raw.filter((g) => {
               if (!isRenderableFeature(g)) return false;
@@ -901,6 +1617,7 @@ html, body { background: var(--bg); margin: 0;
               return true;
             });
 
+            featuresRef.current = list;
             namesRef.current = list.map((g) => conf.getName(g));
 
             if (lastLenRef.current !== list.length) {
@@ -912,13 +1629,17 @@ html, body { background: var(--bg); margin: 0;
               return (
                 <g>
                   <text x={0} y={20} style={{ fill: "currentColor", fontSize: 12 }}>
-                    No regions loaded for this dataset. Try another dataset or source.
+                    {online ? t("map.empty") : t("map.emptyOffline")}
                   </text>
                 </g>
               );
             }
 
-            return list.map((geo, idx) => {
+            // Roving tabindex: one region is in the Tab order, arrows reach the rest
+            const tabTarget = norm(focusName || highlightName || "");
+            const tabStop = Math.max(0, list.findIndex((g) => norm(conf.getName(g)) === tabTarget));
+
+            const regions = list.map((geo, idx) => {
               const name = conf.getName(geo);
               const isHL = !!highlightName && norm(name) === norm(highlightName);
               const key = geo.rsmKey || name || idx;
@@ -926,10 +1647,16 @@ html, body { background: var(--bg); margin: 0;
                 <Geography
                   key={key}
                   geography={geo}
+                  data-region={idx}
+                  tabIndex={idx === tabStop && !hideMap ? 0 : -1}
+                  role="button"
+                  aria-label={regionLabel(name, isHL, idx, list.length)}
                   onClick={() => onGeoClick(geo)}
+                  onKeyDown={(e) => onGeoKeyDown(e, geo, idx)}
+                  onFocus={() => setFocusName(name)}
                   style={{
                     default: {
-                      fill: isHL ? "var(--hl)" : baseFill,
+                      fill: markFill(name) || (isHL ? "var(--hl)" : heatFill(name)),
                       stroke: strokeColor,
                       strokeWidth,
                       outline: "none",
@@ -940,84 +1667,363 @@ html, body { background: var(--bg); margin: 0;
                 />
               );
             });
-          }}
-        </GeoLayer>
+
+            // Circle targets over regions too small to hit (drawn last so they're on top)
+            if (!targets || isHard || !projection) return regions;
+            const svgScale = mapRef.current?.querySelector("svg")?.getScreenCTM?.()?.a || 1;
+            const pxPerUnit = zoom * svgScale;
+            const circles = list.map((geo, idx) => {
+              const { area, centroid } = regionShape(geo, projection);
+              if (area * pxPerUnit * pxPerUnit >= SMALL_REGION_PX2 || !centroid.every(Number.isFinite)) return null;
+              const isHL = !!highlightName && norm(conf.getName(geo)) === norm(highlightName);
+              return (
+                <circle
+                  key={`target-${idx}`}
+                  className="mqg-target"
+                  data-target={idx}
+                  cx={centroid[0]}
+                  cy={centroid[1]}
+                  r={TARGET_RADIUS_PX / pxPerUnit}
+                  fill={markFill(conf.getName(geo)) || (isHL ? "var(--hl)" : "transparent")}
+                  onClick={() => onGeoClick(geo)}
+                  aria-hidden="true"
+                />
+              );
+            });
+            return [...regions, ...circles];
+          })}
       </ZoomableGroup>
     </ComposableMap>
   </div>
 
+  {/* SILHOUETTE: covers the map until the answer is revealed */}
+  {hideMap && (
+    <div className="mqg-silhouette">
+      {silhouette && (
+        <svg viewBox={`0 0 ${SILHOUETTE_SIZE} ${SILHOUETTE_SIZE}`} role="img" aria-label={t("sil.shape")}>
+          <path d={silhouette} transform={twistTransform(shapeTwist)} />
+        </svg>
+      )}
+    </div>
+  )}
+
   {/* OVERLAY HUD */}
 <div className="mqg-overlay-panel" ref={sheetRef}>
 
+    {builder && (
+      <div className="mqg-card mqg-pad" role="region" aria-label={t("quiz.builder")}>
+        <div className="mqg-strong">{t(builder.id ? "quiz.edit" : "quiz.new")}</div>
+        <input className="mqg-input" value={builder.name} maxLength={40} style={{ marginTop: 6 }}
+          placeholder={t("quiz.name")} aria-label={t("quiz.name")}
+          onChange={(e) => setBuilder({ ...builder, name: e.target.value })} />
+        <div className="mqg-flex-row" role="group" aria-label={t("quiz.tool")} style={{ marginTop: 8 }}>
+          {["click", "box", "lasso"].map((tool) => (
+            <button key={tool} className="mqg-btn" aria-pressed={builder.tool === tool}
+              onClick={() => setBuilder({ ...builder, tool })}>{t(`quiz.tool.${tool}`)}</button>
+          ))}
+        </div>
+        <div style={{ fontSize: 12, opacity: 0.7, marginTop: 4 }}>{t(`quiz.hint.${builder.tool}`)}</div>
+        <input className="mqg-input" type="search" value={builder.query} style={{ marginTop: 8 }}
+          placeholder={t("quiz.search")} aria-label={t("quiz.search")}
+          onChange={(e) => setBuilder({ ...builder, query: e.target.value })} />
+        <ul className="mqg-checklist">
+          {builderList.map((name) => (
+            <li key={name}>
+              <label className="mqg-flex-row">
+                <input type="checkbox" checked={builder.regions.includes(name)} onChange={(e) => toggleRegions([name], e.target.checked)} />
+                {regionName(name)}
+              </label>
+            </li>
+          ))}
+        </ul>
+        <div className="mqg-row" style={{ fontSize: 12, marginTop: 6 }}>
+          <span role="status">{t("quiz.selected", { n: builder.regions.length, total: regionCount })}</span>
+          <button className="mqg-btn" onClick={() => toggleRegions(builderList, true)}>{t("quiz.selectShown")}</button>
+          <button className="mqg-btn" onClick={() => setBuilder({ ...builder, regions: [] })}>{t("quiz.clear")}</button>
+        </div>
+        <div className="mqg-row" style={{ marginTop: 8 }}>
+          <button className="mqg-btn" onClick={saveBuilder} disabled={!builder.name.trim() || !builder.regions.length}>{t("quiz.save")}</button>
+          <button className="mqg-btn" onClick={() => { setBuilder(null); setShowQuizzes(true); }}>{t("close")}</button>
+        </div>
+      </div>
+    )}
+
+    {reviewing && (
+      <div className="mqg-card mqg-pad" role="region" aria-label={t("review.title")}>
+        <div className="mqg-strong">{t("review.title")}</div>
+        <div style={{ fontSize: 12, opacity: 0.7, margin: "4px 0 6px" }}>{t("review.hint")}</div>
+        <ul className="mqg-review">
+          {misses.map((m) => (
+            <li key={m.prompt}>
+              <button className={"mqg-review-item" + (reviewFocus?.target === m.prompt ? " mqg-active" : "")}
+                aria-pressed={reviewFocus?.target === m.prompt} onClick={() => showMiss(m)}>
+                <strong>{regionName(m.prompt)}</strong>
+                <span>
+                  {m.answers.length
+                    ? t("review.instead", { answers: m.answers.map((a) => (mode === "type" ? a : regionName(a))).join(", ") })
+                    : t("review.noAnswer")}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="mqg-row" style={{ marginTop: 8 }}>
+          <button className="mqg-btn" onClick={retryMissed}>{t("over.retry")}</button>
+          <button className="mqg-btn" onClick={() => { setReviewing(false); setReviewFocus(null); }}>{t("review.back")}</button>
+        </div>
+      </div>
+    )}
+
     {/* stats row */}
     <div className="mqg-card mqg-pad">
+      {players ? (
+        <table className="mqg-table mqg-players">
+          <thead><tr><th>{t("seat.name")}</th><th>{t("hud.score")}</th><th>{t("hud.streak")}</th><th>{t("hud.lives")}</th></tr></thead>
+          <tbody>
+            {players.map((p, i) => (
+              <tr key={i} className={i === quiz.current && !gameOver ? "mqg-seat" : p.lives > 0 ? "" : "mqg-out"} aria-current={i === quiz.current && !gameOver ? "true" : undefined}>
+                <td>{p.name}</td>
+                <td>{p.score}</td>
+                <td>{p.streak}</td>
+                <td>{p.lives > 0 ? (Number.isFinite(p.lives) ? p.lives : "\u221E") : t("seat.out")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
       <div className="mqg-stat">
         <div className="box">
-          <div className="mqg-label">Score</div>
+          <div className="mqg-label">{t("hud.score")}</div>
           <div className="mqg-strong" style={{ fontSize: 22 }}>{score}</div>
         </div>
         <div className="box">
-          <div className="mqg-label">Streak</div>
+          <div className="mqg-label">{t("hud.streak")}</div>
           <div className="mqg-strong" style={{ fontSize: 22 }}>{streak}</div>
         </div>
         <div className="box">
-          <div className="mqg-label">Lives</div>
-          <div className="mqg-strong" style={{ fontSize: 22 }}>{lives}</div>
+          <div className="mqg-label">{t("hud.lives")}</div>
+          <div className="mqg-strong" style={{ fontSize: 22 }}>{Number.isFinite(lives) ? lives : "\u221E"}</div>
         </div>
       </div>
+      )}
 
+      {players ? (
+        <div className="mqg-row" style={{ marginTop: 8 }}>
+          <div className="mqg-strong">{gameOver ? "" : t("seat.turn", { name: players[quiz.current].name })}</div>
+          <button className="mqg-btn" onClick={openSeatSetup}>{t("header.players")}</button>
+          <button className="mqg-btn" onClick={() => setHotSeat(null)}>{t("seat.leave")}</button>
+        </div>
+      ) : (
       <div className="mqg-row mqg-meter" style={{ marginTop: 8 }}>
-        <div className="mqg-label">High score:</div>
+        <div className="mqg-label">{t("hud.highScore")}</div>
         <div className="mqg-strong">{highScore}</div>
       </div>
+      )}
 
       <div className="mqg-zoom" style={{ marginTop: 8 }}>
         <button className="mqg-btn"
-          onClick={() => setZoom((z) => Math.max(typeof MIN_ZOOM !== "undefined" ? MIN_ZOOM : 0.8, z / (typeof ZOOM_STEP !== "undefined" ? ZOOM_STEP : 1.5)))}
+          onClick={() => zoomBy(1 / ZOOM_STEP)}
         >-</button>
         <button className="mqg-btn"
-          onClick={() => setZoom((z) => Math.min(typeof MAX_ZOOM !== "undefined" ? MAX_ZOOM : 8, z * (typeof ZOOM_STEP !== "undefined" ? ZOOM_STEP : 1.5)))}
+          onClick={() => zoomBy(ZOOM_STEP)}
         >+</button>
-        <button className="mqg-btn" onClick={() => setZoom(1)}>Reset View</button>
+        <button className="mqg-btn" onClick={flyHome}>{t("hud.resetView")}</button>
       </div>
+
+      {!conf.custom && (
+        <div className="mqg-row" style={{ fontSize: 12, marginTop: 8 }}>
+          {offlineReady
+            ? <span>{t("hud.offlineReady")}</span>
+            : <button className="mqg-btn" onClick={downloadForOffline} disabled={downloading || !online}>
+                {downloading ? t("hud.downloading") : t("hud.download")}
+              </button>}
+        </div>
+      )}
+
+      <label className="mqg-flex-row" style={{ fontSize: 12, marginTop: 8 }}>
+        <input type="checkbox" checked={heatmap} onChange={(e) => setHeatmap(e.target.checked)} /> {t("hud.heatmap")}
+      </label>
+      <label className="mqg-flex-row" style={{ fontSize: 12, marginTop: 8 }}>
+        <input type="checkbox" checked={targets} onChange={(e) => setTargets(e.target.checked)} /> {t("hud.targets")}
+      </label>
+      {coarsePointer && (
+        <label className="mqg-flex-row" style={{ fontSize: 12, marginTop: 8 }}>
+          <input type="checkbox" checked={magnifier} onChange={(e) => setMagnifier(e.target.checked)} /> {t("hud.magnifier")}
+        </label>
+      )}
     </div>
 
     {/* mode-specific panels */}
-    {(mode === "click" || mode === "type") && (
+    {canFilter && (
+      <div className="mqg-card mqg-pad mqg-row">
+        <label className="mqg-label" htmlFor="mqg-continent">{t("continent.label")}</label>
+        <select id="mqg-continent" className="mqg-select" value={regionFilter || ""} onChange={(e) => setRegionFilter(e.target.value || null)}>
+          <option value="">{t("continent.world")}</option>
+          {Object.entries(CONTINENTS).map(([key, subs]) => (subs.length ? (
+            <optgroup key={key} label={t(`continent.${key}`)}>
+              <option value={key}>{t("continent.all", { name: t(`continent.${key}`) })}</option>
+              {subs.map((sub) => <option key={sub} value={sub}>{t(`continent.${sub}`)}</option>)}
+            </optgroup>
+          ) : <option key={key} value={key}>{t(`continent.${key}`)}</option>))}
+        </select>
+        {filterOn && !tierOn && <div className="mqg-strong mqg-meter">{t("quiz.count", { n: filterNames().length })}</div>}
+      </div>
+    )}
+    {canTier && (
+      <div className="mqg-card mqg-pad mqg-row">
+        <label className="mqg-label" htmlFor="mqg-tier">{t("tier.label")}</label>
+        <select id="mqg-tier" className="mqg-select" value={tier} onChange={(e) => setTier(e.target.value)}>
+          {TIERS.map((key) => <option key={key} value={key}>{t(`tier.${key}`)}</option>)}
+        </select>
+        {tierOn && <div className="mqg-strong mqg-meter">{t("quiz.count", { n: tierPool(filterOn ? filterNames() : namesRef.current).length })}</div>}
+      </div>
+    )}
+    {quizOn && (
+      <div className="mqg-card mqg-pad mqg-row">
+        <div className="mqg-label">{t("quiz.playing", { name: activeQuiz.name })}</div>
+        <div className="mqg-strong mqg-meter">{t("quiz.count", { n: activeQuiz.regions.length })}</div>
+        <button className="mqg-btn" onClick={() => setActiveQuiz(null)}>{t("quiz.wholeMap")}</button>
+      </div>
+    )}
+    {daily && (
+      <div className="mqg-card mqg-pad mqg-row">
+        <div className="mqg-label">{t("daily.progress", { date: daily.dateKey })}</div>
+        <div className="mqg-strong mqg-meter">{Math.max(0, quiz.names.length && Math.min(daily.length, quiz.names.length) - quiz.remaining.length)} / {Math.min(daily.length, quiz.names.length || daily.length)}</div>
+      </div>
+    )}
+
+    {race && (
+      <div className="mqg-card mqg-pad">
+        <div className="mqg-row">
+          <div className="mqg-strong">{race.code ? t("race.room", { code: race.code }) : t("race.connecting")}</div>
+          {race.host && race.status === "lobby" && <button className="mqg-btn" onClick={() => race.conn.send({ type: "start" })}>{t("race.start")}</button>}
+          <button className="mqg-btn" onClick={leaveRace}>{t("race.leave")}</button>
+        </div>
+        {race.link === "reconnecting" && <div style={{ fontSize: 12, marginTop: 6 }} role="status">{t("race.reconnecting")}</div>}
+        {race.status === "lobby" && race.code && <div style={{ fontSize: 12, marginTop: 6 }}>{race.host ? t("race.lobbyHost") : t("race.lobby")}</div>}
+        {race.status === "running" && gameOver && <div style={{ fontSize: 12, marginTop: 6 }}>{t("race.waiting")}</div>}
+        <RaceBoard rows={race.board} total={race.queue?.length || 0} t={t} />
+      </div>
+    )}
+
+    {isQuizMode(mode) && !racing && (
       <div className="mqg-card mqg-pad">
         <div className="mqg-row">
-          <label className="mqg-label">Countdown:</label>
-          <input type="checkbox" checked={timerOn} onChange={(e) => setTimerOn(e.target.checked)} />
-          <select className="mqg-select" value={duration} onChange={(e) => setDuration(Number(e.target.value))} disabled={!timerOn}>
-            {[10,20,30,60].map((s) => <option key={s} value={s}>{s}s</option>)}
+          <label className="mqg-label">{t("timer.countdown")}</label>
+          <input type="checkbox" checked={timerOn} onChange={(e) => setTimerOn(e.target.checked)} disabled={!!daily} />
+          <select className="mqg-select" value={duration} onChange={(e) => setDuration(Number(e.target.value))} disabled={!timerOn || !!daily}>
+            {TIMER_DURATIONS.map((s) => <option key={s} value={s}>{s}s</option>)}
           </select>
-          {timerOn && <span className="mqg-strong mqg-meter">Time left: {timeLeft}s</span>}
+          {timerOn && <span className="mqg-strong mqg-meter">{t("timer.left", { s: timeLeft })}</span>}
         </div>
       </div>
     )}
 
     {mode === "click" && (
       <div className="mqg-card mqg-pad" style={{ background: "var(--bg)" }}>
-        <div className="mqg-label">Click this region</div>
+        <div className="mqg-label">{t("click.prompt")}</div>
         <div className="mqg-strong" aria-live="polite" style={{ fontSize: 28, marginTop: 4 }}>
-          {prompt || "Loading..."}
+          {prompt ? regionName(prompt) : t("loading")}
         </div>
         <div className="mqg-flex-row" style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid var(--border)" }}>
           <label className="mqg-flex-row" style={{ fontSize: 12 }}>
-            <input type="checkbox" checked={hardMode} onChange={(e) => setHardMode(e.target.checked)} /> HARD MODE!
+            <input type="checkbox" checked={hardMode} onChange={(e) => setHardMode(e.target.checked)} disabled={!!daily} /> {t("click.hard")}
           </label>
+          <button className="mqg-btn" onClick={skipPrompt} disabled={!prompt}>{t("skip")}</button>
+        </div>
+      </div>
+    )}
+
+    {mode === "learn" && (
+      <div className="mqg-card mqg-pad" style={{ background: "var(--bg)" }}>
+        <div className="mqg-label">{t("learn.prompt")}</div>
+        <div className="mqg-strong" aria-live="polite" style={{ fontSize: 28, marginTop: 4 }}>
+          {prompt ? regionName(prompt) : t("loading")}
+        </div>
+        <div className="mqg-row mqg-meter" style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid var(--border)" }}>
+          <div className="mqg-label">{t("learn.mastered")}</div>
+          <div className="mqg-strong">{t("learn.masteredCount", { n: mastered, total: regionCount })}</div>
+          <button className="mqg-btn" onClick={skipPrompt} disabled={!prompt}>{t("skip")}</button>
+        </div>
+        <div className="mqg-progress"><div style={{ width: `${regionCount ? (100 * mastered) / regionCount : 0}%` }} /></div>
+      </div>
+    )}
+
+    {mode === "choice" && (
+      <div className="mqg-card mqg-pad" style={{ background: "var(--bg)", display: "flex", flexDirection: "column", gap: 8 }}>
+        <div className="mqg-label">{t("choice.prompt")}</div>
+        <div className="mqg-choices">
+          {choices.map((name) => (
+            <button key={name} className="mqg-btn" onClick={() => pickChoice(name)} disabled={gameOver}>{regionName(name)}</button>
+          ))}
+        </div>
+        <div className="mqg-row">
+          <button className="mqg-btn" onClick={skipPrompt} disabled={!prompt}>{t("skip")}</button>
         </div>
       </div>
     )}
 
     {mode === "type" && (
       <form onSubmit={submitTyped} className="mqg-card mqg-pad" style={{ background: "var(--bg)", display: "flex", flexDirection: "column", gap: 8 }}>
-        <div className="mqg-label">Type the highlighted region</div>
-        <input className="mqg-input" value={input} onChange={(e) => setInput(e.target.value)} placeholder="Start typing the name... (aliases OK)" aria-label="Type region name" />
-        <button type="submit" className="mqg-btn">Submit</button>
+        <div className="mqg-label">{t("type.prompt")}</div>
+        <input className="mqg-input" value={input} onChange={(e) => setInput(e.target.value)} placeholder={t("type.placeholder")} aria-label={t("type.inputLabel")} lang={lang} />
+        <div className="mqg-row" hidden={racing}>
+          <label className="mqg-label">{t("type.typos")}</label>
+          <select className="mqg-select" value={typoLevel} onChange={(e) => setTypoLevel(e.target.value)} aria-label={t("type.typoLabel")} disabled={!!daily}>
+            {Object.keys(TYPO_TOLERANCE).map((level) => <option key={level} value={level}>{t(`typo.${level}`)}</option>)}
+          </select>
+        </div>
+        {typedAliases && (
+          <div style={{ fontSize: 12 }}>
+            <span className="mqg-strong">{typedAliases.name}</span> {t("type.alsoAccepts", { list: typedAliases.list.join(", ") })}
+          </div>
+        )}
+        <div className="mqg-row">
+          <button type="submit" className="mqg-btn">{t("submit")}</button>
+          <button type="button" className="mqg-btn" onClick={skipPrompt} disabled={!prompt}>{t("skip")}</button>
+        </div>
       </form>
     )}
 
+    {mode === "silhouette" && (
+      <div className="mqg-card mqg-pad" style={{ background: "var(--bg)", display: "flex", flexDirection: "column", gap: 8 }}>
+        <div className="mqg-label">{t("sil.prompt")}</div>
+        {reveal ? (
+          <div className="mqg-row">
+            <span className="mqg-strong">{regionName(reveal.prompt)}</span>
+            {!gameOver && <button className="mqg-btn" onClick={nextShape} autoFocus>{t("sil.next")}</button>}
+          </div>
+        ) : silAnswer === "pick" ? (
+          <div className="mqg-choices">
+            {choices.map((name) => (
+              <button key={name} className="mqg-btn" onClick={() => pickChoice(name)} disabled={gameOver}>{regionName(name)}</button>
+            ))}
+          </div>
+        ) : (
+          <form onSubmit={submitTyped} className="mqg-row">
+            <input className="mqg-input" value={input} onChange={(e) => setInput(e.target.value)} placeholder={t("type.placeholder")} aria-label={t("type.inputLabel")} lang={lang} />
+            <button type="submit" className="mqg-btn">{t("submit")}</button>
+          </form>
+        )}
+        <div className="mqg-row">
+          <label className="mqg-label" htmlFor="mqg-sil-answer">{t("sil.answer")}</label>
+          <select id="mqg-sil-answer" className="mqg-select" value={silAnswer} onChange={(e) => setSilAnswer(e.target.value)}>
+            <option value="type">{t("sil.answer.type")}</option>
+            <option value="pick">{t("sil.answer.pick")}</option>
+          </select>
+        </div>
+        <div className="mqg-row">
+          <label className="mqg-label" htmlFor="mqg-sil-twist">{t("sil.twist")}</label>
+          <select id="mqg-sil-twist" className="mqg-select" value={twist} onChange={(e) => setTwist(e.target.value)}>
+            {TWISTS.map((key) => <option key={key} value={key}>{t(`sil.twist.${key}`)}</option>)}
+          </select>
+        </div>
+        <div className="mqg-row">
+          <button className="mqg-btn" onClick={skipPrompt} disabled={!prompt || !!reveal}>{t("skip")}</button>
+        </div>
+      </div>
+    )}
+
     {message && (
       <div className={"mqg-msg " + (flash === "correct" ? "mqg-correct" : flash === "wrong" ? "mqg-wrong" : "")}>
         {message}
@@ -1030,7 +2036,7 @@ html, body { background: var(--bg); margin: 0;
       className="mqg-strong"
       style={{ fontSize: 28, marginBottom: 8 }}
     >
-      {selectedName}
+      {regionName(selectedName)}
     </div>
 
     {info ? (
@@ -1038,7 +2044,7 @@ html, body { background: var(--bg); margin: 0;
         {info.flag && (
           <img
             src={info.flag}
-            alt="flag"
+            alt={t("explore.flag")}
             className="mqg-flag"
             style={{ cursor: "zoom-in" }}
             onClick={() => setModalImg(info.flag)}
@@ -1048,7 +2054,7 @@ html, body { background: var(--bg); margin: 0;
         {info.coat && (
           <img
             src={info.coat}
-            alt="coat of arms"
+            alt={t("explore.coat")}
             className="mqg-coat"
             style={{ cursor: "zoom-in" }}
             onClick={() => setModalImg(info.coat)}
@@ -1066,28 +2072,28 @@ html, body { background: var(--bg); margin: 0;
 
         {info.official && (
           <div>
-            <strong>Official:</strong> {info.official}
+            <strong>{t("explore.official")}</strong> {info.official}
           </div>
         )}
         {info.capital && (
           <div>
-            <strong>Capital:</strong> {info.capital}
+            <strong>{t("explore.capital")}</strong> {info.capital}
           </div>
         )}
         {info.population && (
           <div>
-            <strong>Population:</strong>{" "}
-            {info.population?.toLocaleString?.()}
+            <strong>{t("explore.population")}</strong>{" "}
+            {info.population?.toLocaleString?.(lang)}
           </div>
         )}
         {info.area && (
           <div>
-            <strong>Area:</strong> {info.area?.toLocaleString?.()} km^2
+            <strong>{t("explore.area")}</strong> {info.area?.toLocaleString?.(lang)} km^2
           </div>
         )}
         {(info.region || info.subregion) && (
           <div>
-            <strong>Region:</strong> {info.region}
+            <strong>{t("explore.region")}</strong> {info.region}
             {info.subregion ? ` - ${info.subregion}` : ""}
           </div>
         )}
@@ -1108,7 +2114,7 @@ html, body { background: var(--bg); margin: 0;
         )}
       </div>
     ) : (
-      <div style={{ fontSize: 14, opacity: 0.7 }}>Loading details...</div>
+      <div style={{ fontSize: 14, opacity: 0.7 }}>{t("explore.loading")}</div>
     )}
   </div>
 )}
@@ -1119,57 +2125,394 @@ html, body { background: var(--bg); margin: 0;
 
 </div>
 
+      {sweep && (
+        <svg className="mqg-sweep" aria-hidden="true">
+          <polygon points={(sweepPolygon(sweep).length ? sweepPolygon(sweep) : sweep.points).map((p) => p.join(",")).join(" ")} />
+        </svg>
+      )}
+
+      {lens && (
+        <div className="mqg-lens" style={{ left: lens.x - LENS_PX / 2, top: lens.y - LENS_PX - 48 }} aria-hidden="true">
+          <svg viewBox={lens.viewBox} width={LENS_PX} height={LENS_PX}><use href="#mqg-map-layer" /></svg>
+        </div>
+      )}
+
       {modalImg && (
         <div className="mqg-modal" onClick={()=> setModalImg(null)}>
           <img src={modalImg} alt="zoom" className="mqg-img" />
         </div>
       )}
 
-      {gameOver && (
+      {showStats && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true" onClick={() => setShowStats(false)}>
+          <div className="mqg-panel mqg-stats" onClick={(e) => e.stopPropagation()}>
+            <h2>{t("stats.title", { map: datasetLabel(dataset) })}</h2>
+            <div className="mqg-row mqg-meter">
+              <div className="mqg-label">{t("stats.sessions")}</div><div className="mqg-strong">{totals.sessions}</div>
+              <div className="mqg-label">{t("stats.answers")}</div><div className="mqg-strong">{totals.answers}</div>
+              <div className="mqg-label">{t("stats.accuracy")}</div><div className="mqg-strong">{Math.round(totals.accuracy * 100)}%</div>
+              <div className="mqg-label">{t("stats.played")}</div><div className="mqg-strong">{formatDuration(totals.ms)}</div>
+            </div>
+            <label className="mqg-flex-row" style={{ fontSize: 12, marginTop: 8 }}>
+              <input type="checkbox" checked={heatmap} onChange={(e) => setHeatmap(e.target.checked)} /> {t("stats.heatmap")}
+            </label>
+
+            <h3>{t("stats.recent")}</h3>
+            {sessions.length ? (
+              <table className="mqg-table">
+                <thead><tr><th>{t("stats.when")}</th><th>{t("stats.mode")}</th><th>{t("stats.score")}</th><th>{t("stats.misses")}</th><th>{t("stats.time")}</th></tr></thead>
+                <tbody>
+                  {sessions.slice(-10).reverse().map((s) => (
+                    <tr key={s.at}>
+                      <td>{new Date(s.at).toLocaleString(lang)}</td>
+                      <td>{MODES[s.mode] ? t(`mode.${s.mode}`) : s.mode}</td>
+                      <td>{s.score}</td>
+                      <td>{s.misses}</td>
+                      <td>{formatDuration(s.ms)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : <div style={{ opacity: 0.7 }}>{t("stats.noSessions")}</div>}
+
+            <h3>{t("stats.regions")}</h3>
+            {regionRows.length ? (
+              <table className="mqg-table">
+                <thead><tr><th>{t("stats.region")}</th><th>{t("stats.attempts")}</th><th>{t("stats.accuracy")}</th><th>{t("stats.avgTime")}</th></tr></thead>
+                <tbody>
+                  {regionRows.map((r) => (
+                    <tr key={r.name}>
+                      <td><span className="mqg-swatch" style={{ background: accuracyColor(r.accuracy) }} />{regionName(r.name)}</td>
+                      <td>{r.attempts}</td>
+                      <td>{Math.round(r.accuracy * 100)}%</td>
+                      <td>{(r.avgMs / 1000).toFixed(1)}s</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : <div style={{ opacity: 0.7 }}>{t("stats.noRegions")}</div>}
+            <div style={{ fontSize: 12, opacity: 0.7, marginTop: 8 }}>
+              {t("stats.notTried", { n: Math.max(0, regionCount - regionRows.length), total: regionCount })}
+            </div>
+
+            <h3>{t("lb.title")}</h3>
+            {LEADERBOARD_MODES.includes(mode)
+              ? <LeaderboardTable board={board} url={leaderboardUrl} t={t} />
+              : <div style={{ fontSize: 12, opacity: 0.7 }}>{t("lb.modes")}</div>}
+            <label className="mqg-label" htmlFor="mqg-lb-url" style={{ display: "block", marginTop: 8 }}>{t("lb.server")}</label>
+            <input id="mqg-lb-url" className="mqg-input" key={leaderboardUrl} defaultValue={leaderboardUrl}
+              onBlur={(e) => setLeaderboardUrl(e.target.value.trim().replace(/\/+$/, "") || defaultLeaderboardUrl())}
+              onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }} />
+
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button className="mqg-btn" onClick={() => setShowStats(false)}>{t("close")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {importer && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true">
+          <div className="mqg-panel mqg-stats">
+            <h2>{t("import.title")}</h2>
+            <label
+              className="mqg-drop"
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => { e.preventDefault(); readMapFile(e.dataTransfer.files[0]); }}
+            >
+              {t("import.drop")}
+              <input type="file" accept=".json,.geojson,.topojson,application/json" style={{ display: "none" }}
+                onChange={(e) => readMapFile(e.target.files[0])} />
+            </label>
+            {importer.error && <div className="mqg-msg mqg-wrong" style={{ marginTop: 8 }}>{importer.error}</div>}
+            {importer.note && <div className="mqg-msg" style={{ marginTop: 8 }}>{importer.note}</div>}
+
+            {importer.features && (
+              <>
+                <div style={{ fontSize: 13, marginTop: 8 }}>
+                  {importer.objectName
+                    ? t("import.foundIn", { n: importer.features.length, object: importer.objectName })
+                    : t("import.found", { n: importer.features.length })}{" "}
+                  {t("import.pickName")}
+                </div>
+                {importer.keys.length ? (
+                  <table className="mqg-table">
+                    <thead><tr><th></th><th>{t("import.property")}</th><th>{t("import.filled")}</th><th>{t("import.examples")}</th></tr></thead>
+                    <tbody>
+                      {importer.keys.map((k) => (
+                        <tr key={k.key}>
+                          <td><input type="radio" name="mqg-name-field" checked={importer.nameField === k.key}
+                            onChange={() => setImporter({ ...importer, nameField: k.key })} /></td>
+                          <td>{k.key}</td>
+                          <td>{k.filled}/{importer.features.length}</td>
+                          <td>{k.samples.join(", ")}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : <div className="mqg-msg mqg-wrong">{t("import.noText")}</div>}
+                <div className="mqg-row" style={{ marginTop: 8 }}>
+                  <label className="mqg-label">{t("import.mapName")}</label>
+                  <input className="mqg-input" value={importer.label} onChange={(e) => setImporter({ ...importer, label: e.target.value })} />
+                </div>
+              </>
+            )}
+
+            {!!Object.keys(customEntries).length && (
+              <>
+                <h3>{t("import.yourMaps")}</h3>
+                {Object.entries(customEntries).map(([key, entry]) => (
+                  <div key={key} className="mqg-row" style={{ justifyContent: "space-between" }}>
+                    <span>{t("import.mapRegions", { map: entry.label, n: entry.features.length })}</span>
+                    <button className="mqg-btn" onClick={() => deleteCustomDataset(key)}>{t("import.delete")}</button>
+                  </div>
+                ))}
+              </>
+            )}
+
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button className="mqg-btn" onClick={saveImportedMap} disabled={!importer.features || !importer.nameField}>{t("import.add")}</button>
+              <button className="mqg-btn" onClick={() => setImporter(null)}>{t("close")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {dailyResult && (
         <div className="mqg-overlay" role="dialog" aria-modal="true">
           <div className="mqg-panel">
-            <h2>Game Over</h2>
-            <div className="mqg-row"><div className="mqg-label">Score</div><div className="mqg-strong">{score}</div></div>
-            <div className="mqg-row"><div className="mqg-label">High Score</div><div className="mqg-strong">{highScore}</div></div>
+            <h2>{t("daily.title")}</h2>
+            <pre className="mqg-share">{dailyShare}</pre>
+            <div style={{ fontSize: 13, opacity: 0.8 }}>
+              {dailyResult.finished ? t("daily.done") : t("daily.inProgress")}
+            </div>
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button className="mqg-btn" onClick={() => {
+                navigator.clipboard?.writeText(dailyShare).then(() => setCopied(true), () => {});
+              }}>{copied ? t("daily.copied") : t("daily.copy")}</button>
+              <button className="mqg-btn" onClick={() => { setDailyResult(null); setCopied(false); setDaily(null); }}>{t("close")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {gameOver && players && !builder && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true">
+          <div className="mqg-panel">
+            <h2>{t("seat.standings")}</h2>
+            <table className="mqg-table">
+              <thead><tr><th>{t("seat.rank")}</th><th>{t("seat.name")}</th><th>{t("hud.score")}</th><th>{t("stats.misses")}</th><th>{t("seat.best")}</th></tr></thead>
+              <tbody>
+                {standings(players).map((p) => (
+                  <tr key={p.index}><td>{p.rank}</td><td>{p.name}</td><td>{p.score}</td><td>{p.misses}</td><td>{p.bestStreak}</td></tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mqg-row" style={{marginTop:12}}>
+              <button className="mqg-btn" onClick={resetAll}>{t("over.again")}</button>
+              <button className="mqg-btn" onClick={() => setHotSeat(null)}>{t("seat.leave")}</button>
+              <button className="mqg-btn" onClick={() => setShowLog(true)}>{t("over.log")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {seatDraft && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true" aria-labelledby="mqg-seat-title">
+          <form className="mqg-panel" onSubmit={(e) => { e.preventDefault(); startHotSeat(); }}>
+            <h2 id="mqg-seat-title">{t("seat.title")}</h2>
+            <p style={{ fontSize: 13, opacity: 0.8 }}>{t("seat.intro")}</p>
+            {seatDraft.names.map((name, i) => (
+              <div className="mqg-row" key={i} style={{ marginBottom: 6 }}>
+                <input
+                  className="mqg-input" value={name} maxLength={24}
+                  placeholder={t("seat.player", { n: i + 1 })} aria-label={t("seat.player", { n: i + 1 })}
+                  onChange={(e) => setSeatDraft({ ...seatDraft, names: seatDraft.names.map((n, k) => (k === i ? e.target.value : n)) })}
+                />
+                {seatDraft.names.length > 2 && (
+                  <button type="button" className="mqg-btn" aria-label={t("seat.remove", { name: name || t("seat.player", { n: i + 1 }) })}
+                    onClick={() => setSeatDraft({ ...seatDraft, names: seatDraft.names.filter((_, k) => k !== i) })}>{"\u00D7"}</button>
+                )}
+              </div>
+            ))}
+            {seatDraft.names.length < MAX_PLAYERS && (
+              <button type="button" className="mqg-btn" onClick={() => setSeatDraft({ ...seatDraft, names: [...seatDraft.names, ""] })}>{t("seat.add")}</button>
+            )}
+            <div className="mqg-row" style={{ marginTop: 8 }}>
+              <label className="mqg-label">{t("seat.order")}</label>
+              <select className="mqg-select" value={seatDraft.order} onChange={(e) => setSeatDraft({ ...seatDraft, order: e.target.value })} aria-label={t("seat.order")}>
+                <option value="turns">{t("seat.turns")}</option>
+                <option value="same">{t("seat.same")}</option>
+              </select>
+            </div>
+            <div className="mqg-row" style={{ marginTop: 8 }}>
+              <label className="mqg-label">{t("seat.timer")}</label>
+              <input type="checkbox" checked={timerOn} onChange={(e) => setTimerOn(e.target.checked)} aria-label={t("seat.timer")} />
+              <select className="mqg-select" value={duration} onChange={(e) => setDuration(Number(e.target.value))} disabled={!timerOn}>
+                {TIMER_DURATIONS.map((s) => <option key={s} value={s}>{s}s</option>)}
+              </select>
+            </div>
+            {seatDraft.names.filter((n) => n.trim()).length < 2 && <div style={{ fontSize: 12, marginTop: 8 }}>{t("seat.needTwo")}</div>}
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button type="submit" className="mqg-btn" disabled={seatDraft.names.filter((n) => n.trim()).length < 2}>{t("seat.start")}</button>
+              <button type="button" className="mqg-btn" onClick={() => setSeatDraft(null)}>{t("close")}</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {racing && race.status === "done" && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true">
+          <div className="mqg-panel">
+            <h2>{t("race.results")}</h2>
+            <RaceBoard rows={race.board} total={race.queue.length} t={t} />
             <div className="mqg-row" style={{marginTop:12}}>
-              <button className="mqg-btn" onClick={resetAll}>Play Again</button>
+              <button className="mqg-btn" onClick={leaveRace}>{t("race.leave")}</button>
+              <button className="mqg-btn" onClick={() => setShowLog(true)}>{t("over.log")}</button>
             </div>
           </div>
         </div>
       )}
 
-      {/* DEV TESTS - keep existing, add ASCII-safe */}
-      {typeof window !== "undefined" && (
-        <script
-          dangerouslySetInnerHTML={{
-            __html: `
-              try { if (!window.__MAP_QUIZ_TESTED__) {
-                window.__MAP_QUIZ_TESTED__ = true;
-                function assert(name, cond){ console[cond ? 'log' : 'error']('Test ' + (cond ? 'passed' : 'failed') + ':', name); }
-                const normFn = ${norm.toString()};
-                assert('norm(Que\u00E9bec) -> quebec', normFn('Qu\u00E9bec') === 'quebec');
-                const matchFn = ${matchesAnswer.toString()};
-                assert('matches PEI', matchFn('PEI','Prince Edward Island') === true);
-                assert('matches NY', matchFn('NY','New York') === true);
-                assert('matches Ivory Coast', matchFn('Ivory Coast',"Cote d'Ivoire") === true);
-                const safeListFn = ${safeList.toString()};
-                assert('safeList(null) -> []', Array.isArray(safeListFn(null)) && safeListFn(null).length === 0);
-                assert('safeList(undefined) -> []', Array.isArray(safeListFn(undefined)) && safeListFn(undefined).length === 0);
-                const isRenderable = ${isRenderableFeature.toString()};
-                const nullGeom = { geometry: null };
-                const emptyPoly = { geometry: { type: 'Polygon', coordinates: [] } };
-                const badPoly = { geometry: { type: 'Polygon', coordinates: [[], []] } };
-                const goodPoly = { geometry: { type: 'Polygon', coordinates: [[[0,0],[1,1],[1,0],[0,0]]] } };
-                const goodMulti = { geometry: { type: 'MultiPolygon', coordinates: [[[[0,0],[1,1],[1,0],[0,0]]]] } };
-                assert('null geometry rejected', isRenderable(nullGeom) === false);
-                assert('empty polygon rejected', isRenderable(emptyPoly) === false);
-                assert('bad polygon rejected', isRenderable(badPoly) === false);
-                assert('valid polygon accepted', isRenderable(goodPoly) === true);
-                assert('valid multipolygon accepted', isRenderable(goodMulti) === true);
-              }} catch(e) { console.warn('tests skipped', e?.message||e); }
-            `,
-          }}
-        />
+      {raceDraft && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true" aria-labelledby="mqg-race-title">
+          <form className="mqg-panel" onSubmit={(e) => { e.preventDefault(); startRace({ type: "join", code: raceDraft.code }); }}>
+            <h2 id="mqg-race-title">{t("race.title")}</h2>
+            <p style={{ fontSize: 13, opacity: 0.8 }}>{t("race.intro")}</p>
+            <label className="mqg-label">{t("race.server")}</label>
+            <input className="mqg-input" value={raceDraft.url} onChange={(e) => setRaceDraft({ ...raceDraft, url: e.target.value })} aria-label={t("race.server")} />
+            <label className="mqg-label">{t("race.name")}</label>
+            <input className="mqg-input" value={raceDraft.name} maxLength={24} onChange={(e) => setRaceDraft({ ...raceDraft, name: e.target.value })} aria-label={t("race.name")} />
+            <label className="mqg-label">{t("race.code")}</label>
+            <div className="mqg-row">
+              <input className="mqg-input" value={raceDraft.code} maxLength={4} style={{ textTransform: "uppercase", width: "6em" }}
+                onChange={(e) => setRaceDraft({ ...raceDraft, code: e.target.value })} aria-label={t("race.code")} />
+              <button type="submit" className="mqg-btn" disabled={!raceDraft.name.trim() || raceDraft.code.trim().length !== 4}>{t("race.join")}</button>
+            </div>
+            <div className="mqg-row" style={{ marginTop: 8 }}>
+              <button type="button" className="mqg-btn" disabled={!raceDraft.name.trim()}
+                onClick={() => startRace({ type: "create", dataset, mode: RACE_MODES.includes(mode) ? mode : "click" })}>
+                {t("race.create", { map: datasetLabel(dataset), mode: t(`mode.${RACE_MODES.includes(mode) ? mode : "click"}`) })}
+              </button>
+            </div>
+            {(raceDraft.error || (race && race.link === "reconnecting")) && (
+              <div style={{ fontSize: 12, marginTop: 8 }} role="alert">{raceDraft.error || t("race.err.unreachable", { url: race.url })}</div>
+            )}
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button type="button" className="mqg-btn" onClick={() => { setRaceDraft(null); if (!racing) leaveRace(); }}>{t("close")}</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {gameOver && !dailyResult && !players && !racing && !reviewing && !builder && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true">
+          <div className="mqg-panel">
+            <h2>{mode === "learn" ? t("over.learn") : t("over.title")}</h2>
+            <div className="mqg-row"><div className="mqg-label">{t("over.score")}</div><div className="mqg-strong">{score}</div></div>
+            <div className="mqg-row"><div className="mqg-label">{t("over.highScore")}</div><div className="mqg-strong">{highScore}</div></div>
+            {ranked && (
+              <>
+                <h3>{t("lb.title")}</h3>
+                {submission?.status !== "done" && (
+                  <form className="mqg-flex-row" onSubmit={(e) => { e.preventDefault(); submitScore(); }}>
+                    <input className="mqg-input" value={playerName} onChange={(e) => setPlayerName(e.target.value)}
+                      placeholder={t("lb.name")} aria-label={t("lb.name")} maxLength={24} />
+                    <button className="mqg-btn" disabled={!playerName.trim() || submission?.status === "sending"}>{t("lb.submit")}</button>
+                  </form>
+                )}
+                {submission && (
+                  <div style={{ fontSize: 12, margin: "6px 0" }} role="status">
+                    {submission.status === "sending" ? t("lb.sending")
+                      : submission.status === "done" ? t("lb.ranked", { rank: submission.rank })
+                      : t(`lb.err.${submission.error}`, { url: leaderboardUrl })}
+                  </div>
+                )}
+                <LeaderboardTable board={board} url={leaderboardUrl} t={t} />
+              </>
+            )}
+            <div className="mqg-row" style={{marginTop:12}}>
+              <button className="mqg-btn" onClick={resetAll}>{t("over.again")}</button>
+              <button className="mqg-btn" onClick={() => setShowLog(true)}>{t("over.log")}</button>
+            </div>
+            {misses.length > 0 && (
+              <div className="mqg-row" style={{ marginTop: 8 }}>
+                <button className="mqg-btn" onClick={() => { setReviewing(true); showMiss(misses[0]); }}>{t("over.review", { n: misses.length })}</button>
+                <button className="mqg-btn" onClick={retryMissed}>{t("over.retry")}</button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showQuizzes && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true" aria-labelledby="mqg-quizzes-title" onClick={() => setShowQuizzes(false)}>
+          <div className="mqg-panel mqg-stats" onClick={(e) => e.stopPropagation()}>
+            <h2 id="mqg-quizzes-title">{t("quiz.title", { map: datasetLabel(dataset) })}</h2>
+            {quizzes.length ? (
+              <table className="mqg-table">
+                <tbody>
+                  {quizzes.map((q) => (
+                    <tr key={q.id}>
+                      <td>{q.name}</td>
+                      <td>{t("quiz.count", { n: q.regions.length })}</td>
+                      <td className="mqg-flex-row">
+                        {QUIZ_MODES.map((m) => (
+                          <button key={m} className="mqg-btn" onClick={() => playQuiz(q, m)}>{t("quiz.play", { mode: t(`mode.${m}`) })}</button>
+                        ))}
+                        <button className="mqg-btn" onClick={() => { setShowQuizzes(false); setBuilder({ ...q, tool: "click", query: "" }); }}>{t("quiz.editShort")}</button>
+                        <button className="mqg-btn" aria-label={t("quiz.delete", { name: q.name })}
+                          onClick={() => { storeQuizzes(removeQuiz(quizzes, q.id)); if (activeQuiz?.id === q.id) setActiveQuiz(null); }}>{"\u00D7"}</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : <div style={{ opacity: 0.7 }}>{t("quiz.none")}</div>}
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button className="mqg-btn" onClick={() => { setShowQuizzes(false); setBuilder({ name: "", regions: [], tool: "click", query: "" }); }} disabled={!regionCount}>{t("quiz.new")}</button>
+              <button className="mqg-btn" onClick={() => setShowQuizzes(false)}>{t("close")}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showLog && (
+        <div className="mqg-overlay" role="dialog" aria-modal="true" aria-labelledby="mqg-log-title" onClick={() => setShowLog(false)}>
+          <div className="mqg-panel mqg-stats" onClick={(e) => e.stopPropagation()}>
+            <h2 id="mqg-log-title">{t("log.title")}</h2>
+            {events.length ? (
+              <table className="mqg-table">
+                <thead>
+                  <tr>
+                    <th>{t("seat.rank")}</th>
+                    {players && <th>{t("seat.name")}</th>}
+                    <th>{t("log.prompt")}</th><th>{t("log.answer")}</th><th>{t("log.result")}</th>
+                    <th>{t("stats.time")}</th>{timerOn && <th>{t("log.left")}</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {events.map((e) => (
+                    <tr key={e.n}>
+                      <td>{e.n}</td>
+                      {players && <td>{e.player}</td>}
+                      <td>{regionName(e.prompt)}</td>
+                      <td>{e.answer === null ? "\u2014" : e.mode === "type" ? e.answer : regionName(e.answer)}</td>
+                      <td>{t(`log.${e.result}`)}</td>
+                      <td>{(e.responseMs / 1000).toFixed(1)}s</td>
+                      {timerOn && <td>{e.timeLeft === null ? "" : `${e.timeLeft}s`}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : <div style={{ opacity: 0.7 }}>{t("log.empty")}</div>}
+            <div className="mqg-row" style={{ marginTop: 12 }}>
+              <button className="mqg-btn" onClick={() => exportLog("json")} disabled={!events.length}>{t("log.json")}</button>
+              <button className="mqg-btn" onClick={() => exportLog("csv")} disabled={!events.length}>{t("log.csv")}</button>
+              <button className="mqg-btn" onClick={() => setShowLog(false)}>{t("close")}</button>
+            </div>
+          </div>
+        </div>
       )}
     </div>
   );
@@ -0,0 +1,54 @@
+import { geoPath } from "d3-geo";
+
+/******************** Camera ********************/
+/**
+ * A view is { center: [lon, lat], zoom } as ZoomableGroup takes it: the
+ * projected center lands in the middle of the map's viewBox, scaled by zoom.
+ * Fitting measures features with the map's own projection, so it works the
+ * same for Equal Earth, Albers USA or Mercator.
+ */
+// react-simple-maps' default viewBox
+export const MAP_SIZE = [800, 600];
+
+/** Initial view of a dataset */
+export function homeView(conf) {
+  return { center: conf.projection.center || [0, 0], zoom: 1 };
+}
+
+/**
+ * View that fits `feature` into `box` ([[x0, y0], [x1, y1]] in viewBox units,
+ * e.g. the part of the map not covered by a panel), or null if it has no
+ * projected extent.
+ */
+export function fitFeature(feature, projection, { box, padding = 0.15, minZoom = 1, maxZoom = 8 } = {}) {
+  const [[x0, y0], [x1, y1]] = geoPath(projection).bounds(feature);
+  if (![x0, y0, x1, y1].every(Number.isFinite)) return null;
+  const [width, height] = MAP_SIZE;
+  const [[bx0, by0], [bx1, by1]] = box || [[0, 0], MAP_SIZE];
+  const fit = Math.min((bx1 - bx0) / Math.max(x1 - x0, 1e-6), (by1 - by0) / Math.max(y1 - y0, 1e-6));
+  const zoom = Math.min(maxZoom, Math.max(minZoom, fit * (1 - padding)));
+  // Put the feature's middle at the box's middle: screen = p * zoom + (size / 2 - c * zoom)
+  const cx = (x0 + x1) / 2 - ((bx0 + bx1) / 2 - width / 2) / zoom;
+  const cy = (y0 + y1) / 2 - ((by0 + by1) / 2 - height / 2) / zoom;
+  const center = projection.invert?.([cx, cy]);
+  return center && center.every(Number.isFinite) ? { center, zoom } : null;
+}
+
+/** Ease in and out, for fly-to animations */
+export const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+/**
+ * t in [0, 1] -> view between `from` and `to`. Zoom changes geometrically and
+ * the center moves in a straight line on the map, not along a great circle.
+ */
+export function interpolateView(projection, from, to) {
+  const p0 = projection(from.center);
+  const p1 = projection(to.center);
+  return (t) => {
+    if (t >= 1) return to;
+    const zoom = from.zoom * Math.pow(to.zoom / from.zoom, t);
+    if (!p0 || !p1) return { center: t < 0.5 ? from.center : to.center, zoom };
+    const center = projection.invert([p0[0] + (p1[0] - p0[0]) * t, p0[1] + (p1[1] - p0[1]) * t]);
+    return { center: center && center.every(Number.isFinite) ? center : to.center, zoom };
+  };
+}
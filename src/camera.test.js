@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { geoEquirectangular } from "d3-geo";
+import { fitFeature, homeView, interpolateView, MAP_SIZE } from "./camera.js";
+
+// Like the map's projection: 1 unit per degree around the viewBox middle
+const projection = geoEquirectangular().scale(180 / Math.PI).translate([400, 300]).precision(0);
+const box = (lon, lat, w, h) => ({
+  type: "Feature",
+  properties: {},
+  geometry: { type: "Polygon", coordinates: [[[lon, lat], [lon, lat + h], [lon + w, lat + h], [lon + w, lat], [lon, lat]]] },
+});
+const close = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} !~ ${b}`);
+// Where a point ends up in the viewBox for a given view
+const onScreen = (lonLat, { center, zoom }) => {
+  const [px, py] = projection(lonLat);
+  const [cx, cy] = projection(center);
+  return [(px - cx) * zoom + MAP_SIZE[0] / 2, (py - cy) * zoom + MAP_SIZE[1] / 2];
+};
+
+test("fitFeature centers the feature and zooms until it fills the map", () => {
+  const view = fitFeature(box(10, 40, 20, 10), projection, { padding: 0, maxZoom: 100 });
+  close(view.center[0], 20);
+  close(view.center[1], 45);
+  close(view.zoom, 40); // 800 / 20 wide beats 600 / 10 tall
+  const [x0] = onScreen([10, 45], view);
+  const [x1] = onScreen([30, 45], view);
+  close(x0, 0);
+  close(x1, 800);
+});
+
+test("fitFeature keeps to the free part of the map and clamps the zoom", () => {
+  // Bottom half covered by a sheet: the feature goes in the top half
+  const view = fitFeature(box(0, 0, 10, 10), projection, { box: [[0, 0], [800, 300]], padding: 0, maxZoom: 100 });
+  close(view.zoom, 30);
+  const [x, y] = onScreen([5, 5], view);
+  close(x, 400);
+  close(y, 150);
+  assert.equal(fitFeature(box(0, 0, 0.01, 0.01), projection, { maxZoom: 8 }).zoom, 8);
+  assert.equal(fitFeature(box(-170, -80, 340, 160), projection, { minZoom: 3 }).zoom, 3);
+  assert.equal(fitFeature({ type: "Feature", properties: {}, geometry: null }, projection), null);
+});
+
+test("interpolateView zooms geometrically and pans in a straight line", () => {
+  const from = { center: [0, 0], zoom: 1 };
+  const to = { center: [20, 10], zoom: 4 };
+  const at = interpolateView(projection, from, to);
+  assert.deepEqual(at(0), from);
+  assert.equal(at(1), to);
+  close(at(0.5).zoom, 2);
+  close(at(0.5).center[0], 10);
+  close(at(0.5).center[1], 5);
+});
+
+test("homeView starts from the dataset's configured center", () => {
+  assert.deepEqual(homeView({ projection: { center: [-96, 38] } }), { center: [-96, 38], zoom: 1 });
+  assert.deepEqual(homeView({ projection: {} }), { center: [0, 0], zoom: 1 });
+});
@@ -0,0 +1,150 @@
+import { geoArea } from "d3-geo";
+
+/******************** Continents ********************/
+/**
+ * Continent and UN M49 sub-region of every World country, keyed by the
+ * world-atlas id (ISO 3166-1 numeric; the pipeline slugs the name of the three
+ * without one). Click and Type games on World can be narrowed to one of them.
+ * Continents follow the seven-continent model, so the Americas are split in
+ * North (with Central America and the Caribbean) and South. The French
+ * Southern Lands sit with Antarctica rather than in the UN's Eastern Africa,
+ * so framing Africa doesn't reach halfway to the pole.
+ */
+export const CONTINENT_DATASET = "world";
+export const FILTER_MODES = ["click", "type"];
+
+/** Continent -> its sub-regions, in selector order ([] when it is one region) */
+export const CONTINENTS = {
+  africa: ["northern-africa", "western-africa", "middle-africa", "eastern-africa", "southern-africa"],
+  antarctica: [],
+  asia: ["central-asia", "eastern-asia", "south-eastern-asia", "southern-asia", "western-asia"],
+  europe: ["eastern-europe", "northern-europe", "southern-europe", "western-europe"],
+  "north-america": ["northern-america", "central-america", "caribbean"],
+  oceania: ["australia-new-zealand", "melanesia"],
+  "south-america": [],
+};
+
+// Sub-region (or sub-region-less continent) -> { id: world-atlas name }
+const MEMBERS = {
+  "northern-africa": { "012": "Algeria", "434": "Libya", "504": "Morocco", "729": "Sudan", "732": "W. Sahara", "788": "Tunisia", "818": "Egypt" },
+  "western-africa": {
+    "204": "Benin", "270": "Gambia", "288": "Ghana", "324": "Guinea", "384": "C\u00f4te d'Ivoire", "430": "Liberia", "466": "Mali",
+    "478": "Mauritania", "562": "Niger", "566": "Nigeria", "624": "Guinea-Bissau", "686": "Senegal", "694": "Sierra Leone",
+    "768": "Togo", "854": "Burkina Faso",
+  },
+  "middle-africa": {
+    "024": "Angola", "120": "Cameroon", "140": "Central African Rep.", "148": "Chad", "178": "Congo", "180": "Dem. Rep. Congo",
+    "226": "Eq. Guinea", "266": "Gabon",
+  },
+  "eastern-africa": {
+    "108": "Burundi", "231": "Ethiopia", "232": "Eritrea", "262": "Djibouti", "404": "Kenya", "450": "Madagascar", "454": "Malawi",
+    "508": "Mozambique", "646": "Rwanda", "706": "Somalia", "716": "Zimbabwe", "728": "S. Sudan", "800": "Uganda", "834": "Tanzania",
+    "894": "Zambia", somaliland: "Somaliland",
+  },
+  "southern-africa": { "072": "Botswana", "426": "Lesotho", "516": "Namibia", "710": "South Africa", "748": "eSwatini" },
+  antarctica: { "010": "Antarctica", "260": "Fr. S. Antarctic Lands" },
+  "central-asia": { "398": "Kazakhstan", "417": "Kyrgyzstan", "762": "Tajikistan", "795": "Turkmenistan", "860": "Uzbekistan" },
+  "eastern-asia": { "156": "China", "158": "Taiwan", "392": "Japan", "408": "North Korea", "410": "South Korea", "496": "Mongolia" },
+  "south-eastern-asia": {
+    "096": "Brunei", "104": "Myanmar", "116": "Cambodia", "360": "Indonesia", "418": "Laos", "458": "Malaysia", "608": "Philippines",
+    "626": "Timor-Leste", "704": "Vietnam", "764": "Thailand",
+  },
+  "southern-asia": {
+    "004": "Afghanistan", "050": "Bangladesh", "064": "Bhutan", "144": "Sri Lanka", "356": "India", "364": "Iran", "524": "Nepal",
+    "586": "Pakistan",
+  },
+  "western-asia": {
+    "031": "Azerbaijan", "051": "Armenia", "196": "Cyprus", "268": "Georgia", "275": "Palestine", "368": "Iraq", "376": "Israel",
+    "400": "Jordan", "414": "Kuwait", "422": "Lebanon", "512": "Oman", "634": "Qatar", "682": "Saudi Arabia", "760": "Syria",
+    "784": "United Arab Emirates", "792": "Turkey", "887": "Yemen", "n-cyprus": "N. Cyprus",
+  },
+  "eastern-europe": {
+    "100": "Bulgaria", "112": "Belarus", "203": "Czechia", "348": "Hungary", "498": "Moldova", "616": "Poland", "642": "Romania",
+    "643": "Russia", "703": "Slovakia", "804": "Ukraine",
+  },
+  "northern-europe": {
+    "208": "Denmark", "233": "Estonia", "246": "Finland", "352": "Iceland", "372": "Ireland", "428": "Latvia", "440": "Lithuania",
+    "578": "Norway", "752": "Sweden", "826": "United Kingdom",
+  },
+  "southern-europe": {
+    "008": "Albania", "070": "Bosnia and Herz.", "191": "Croatia", "300": "Greece", "380": "Italy", "499": "Montenegro",
+    "620": "Portugal", "688": "Serbia", "705": "Slovenia", "724": "Spain", "807": "Macedonia", kosovo: "Kosovo",
+  },
+  "western-europe": {
+    "040": "Austria", "056": "Belgium", "250": "France", "276": "Germany", "442": "Luxembourg", "528": "Netherlands", "756": "Switzerland",
+  },
+  "northern-america": { "124": "Canada", "304": "Greenland", "840": "United States of America" },
+  "central-america": {
+    "084": "Belize", "188": "Costa Rica", "222": "El Salvador", "320": "Guatemala", "340": "Honduras", "484": "Mexico",
+    "558": "Nicaragua", "591": "Panama",
+  },
+  caribbean: { "044": "Bahamas", "192": "Cuba", "214": "Dominican Rep.", "332": "Haiti", "388": "Jamaica", "630": "Puerto Rico", "780": "Trinidad and Tobago" },
+  "australia-new-zealand": { "036": "Australia", "554": "New Zealand" },
+  melanesia: { "090": "Solomon Is.", "242": "Fiji", "540": "New Caledonia", "548": "Vanuatu", "598": "Papua New Guinea" },
+  "south-america": {
+    "032": "Argentina", "068": "Bolivia", "076": "Brazil", "152": "Chile", "170": "Colombia", "218": "Ecuador", "238": "Falkland Is.",
+    "328": "Guyana", "600": "Paraguay", "604": "Peru", "740": "Suriname", "858": "Uruguay", "862": "Venezuela",
+  },
+};
+
+const CONTINENT_OF_AREA = {};
+for (const [continent, subs] of Object.entries(CONTINENTS)) {
+  for (const area of subs.length ? subs : [continent]) CONTINENT_OF_AREA[area] = continent;
+}
+const AREA_OF_COUNTRY = {};
+for (const [area, members] of Object.entries(MEMBERS)) {
+  for (const id of Object.keys(members)) AREA_OF_COUNTRY[id] = area;
+}
+
+/** The continent of a world-atlas id, or null */
+export const continentOf = (id) => CONTINENT_OF_AREA[AREA_OF_COUNTRY[id]] || null;
+
+/** The UN sub-region of a world-atlas id; null if unknown or its continent has none */
+export function subregionOf(id) {
+  const area = AREA_OF_COUNTRY[id];
+  return area && !(area in CONTINENTS) ? area : null;
+}
+
+/** A continent or sub-region key */
+export const isRegionFilter = (key) => key in CONTINENTS || key in CONTINENT_OF_AREA;
+
+/** Does the country with this id belong to `filter` (a continent or sub-region)? */
+export const inRegion = (filter, id) => subregionOf(id) === filter || continentOf(id) === filter;
+
+/**
+ * Some continents are framed by a box ([west, south, east, north]) rather
+ * than their countries: Russia would stretch Europe out to the Bering Strait.
+ */
+const FRAMES = {
+  europe: [-25, 34, 45, 71],
+  "eastern-europe": [12, 41, 60, 70],
+};
+
+const largestPolygon = (geometry) =>
+  geometry.type === "MultiPolygon"
+    ? { type: "Polygon", coordinates: geometry.coordinates.reduce((best, rings) =>
+        geoArea({ type: "Polygon", coordinates: rings }) > geoArea({ type: "Polygon", coordinates: best }) ? rings : best) }
+    : geometry;
+
+/**
+ * What the camera fits when `filter` is picked: each member's largest polygon,
+ * so overseas territories (French Guiana, Alaska) don't pull the view away, or
+ * the points along the edge of its box. `idOf` reads a feature's world-atlas id.
+ */
+export function filterFrame(filter, features, idOf) {
+  const box = FRAMES[filter];
+  if (box) {
+    const [w, s, e, n] = box;
+    const points = [];
+    for (let i = 0; i <= 8; i++) {
+      const lon = w + ((e - w) * i) / 8;
+      const lat = s + ((n - s) * i) / 8;
+      points.push([lon, s], [lon, n], [w, lat], [e, lat]);
+    }
+    return { type: "MultiPoint", coordinates: points };
+  }
+  return {
+    type: "GeometryCollection",
+    geometries: features.filter((f) => f.geometry && inRegion(filter, idOf(f))).map((f) => largestPolygon(f.geometry)),
+  };
+}
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { geoEquirectangular, geoPath } from "d3-geo";
+import { feature } from "topojson-client";
+import { CONTINENTS, continentOf, filterFrame, inRegion, isRegionFilter, subregionOf } from "./continents.js";
+
+const world = JSON.parse(readFileSync(new URL("../public/data/world.json", import.meta.url), "utf8"));
+const countries = feature(world, world.objects.regions).features;
+const idOf = (f) => f.properties.id;
+const byName = (name) => countries.find((f) => f.properties.name === name);
+
+test("every World country has a continent", () => {
+  const lost = countries.filter((f) => !continentOf(idOf(f))).map((f) => f.properties.name);
+  assert.deepEqual(lost, []);
+  const sizes = Object.fromEntries(Object.keys(CONTINENTS).map((c) => [c, countries.filter((f) => continentOf(idOf(f)) === c).length]));
+  assert.deepEqual(sizes, { africa: 51, antarctica: 2, asia: 47, europe: 39, "north-america": 18, oceania: 7, "south-america": 13 });
+});
+
+test("a country is in its continent and its sub-region", () => {
+  const kenya = idOf(byName("Kenya"));
+  assert.deepEqual([continentOf(kenya), subregionOf(kenya)], ["africa", "eastern-africa"]);
+  assert.ok(inRegion("africa", kenya) && inRegion("eastern-africa", kenya) && !inRegion("western-africa", kenya));
+  assert.equal(subregionOf(idOf(byName("Brazil"))), null); // South America is one region
+  assert.ok(inRegion("south-america", idOf(byName("Brazil"))));
+  assert.equal(continentOf("kosovo"), "europe");
+  assert.ok(isRegionFilter("melanesia") && isRegionFilter("oceania") && !isRegionFilter("atlantis"));
+});
+
+test("filterFrame leaves out overseas territories and far-flung Russia", () => {
+  const path = geoPath(geoEquirectangular().scale(180 / Math.PI).translate([180, 90]).precision(0));
+  // Western Europe without French Guiana: nothing west of the Atlantic
+  const [[west], [east]] = path.bounds(filterFrame("western-europe", countries, idOf));
+  assert.ok(west > 170 && east < 200, `${west}..${east}`);
+  const [[w], [e]] = path.bounds(filterFrame("europe", countries, idOf));
+  assert.deepEqual([Math.round(w - 180), Math.round(e - 180)], [-25, 45]);
+});
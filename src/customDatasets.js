@@ -0,0 +1,129 @@
+import { geoBounds, geoEqualEarth, geoPath } from "d3-geo";
+import { feature } from "topojson-client";
+import { isRenderableFeature, pickName } from "./utils.js";
+
+/******************** Custom (imported) datasets ********************/
+/**
+ * "Load your own map": parse a GeoJSON/TopoJSON file, let the player pick the
+ * name property, fit a projection to the features and keep the result in
+ * localStorage so it shows up in the dataset selector next time.
+ */
+const STORAGE_KEY = "mqg_custom_datasets_v1";
+const PREFERRED_NAME_KEYS = ["name", "NAME", "NAME_1", "NAME_2", "name_en", "NAME_EN"];
+
+// parseMapFile's errors carry a `code`, which the page words as import.err.<code>
+const fileError = (code, message) => Object.assign(new Error(message), { code });
+
+/** Parse file text into { features, objectName }; throws an Error with a `code` (see above) */
+export function parseMapFile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw fileError("json", "That file isn't valid JSON.");
+  }
+  if (json && json.type === "Topology") {
+    const objects = json.objects || {};
+    // Auto-detect: the object with the most polygon geometries
+    let best = null, bestCount = -1;
+    for (const [name, obj] of Object.entries(objects)) {
+      const geoms = obj.type === "GeometryCollection" ? obj.geometries || [] : [obj];
+      const count = geoms.filter((g) => g.type === "Polygon" || g.type === "MultiPolygon").length;
+      if (count > bestCount) { best = name; bestCount = count; }
+    }
+    if (!best || bestCount <= 0) throw fileError("noLayers", "No polygon layers found in this TopoJSON file.");
+    const fc = feature(json, objects[best]);
+    return { features: (fc.features || [fc]).filter(isRenderableFeature), objectName: best };
+  }
+  const list = json?.type === "FeatureCollection" ? json.features
+    : json?.type === "Feature" ? [json]
+    : null;
+  if (!Array.isArray(list)) throw fileError("format", "Expected a GeoJSON FeatureCollection or a TopoJSON Topology.");
+  const features = list.filter(isRenderableFeature);
+  if (!features.length) throw fileError("noPolygons", "No polygon features found in this file.");
+  return { features, objectName: null };
+}
+
+/** String properties across features: [{ key, filled, unique, samples }], most useful first */
+export function propertyKeys(features) {
+  const stats = new Map();
+  for (const f of features) {
+    for (const [key, v] of Object.entries(f.properties || {})) {
+      if (typeof v !== "string" || !v.trim()) continue;
+      const s = stats.get(key) || { key, filled: 0, values: new Set() };
+      s.filled++;
+      s.values.add(v);
+      stats.set(key, s);
+    }
+  }
+  return [...stats.values()]
+    .map(({ key, filled, values }) => ({ key, filled, unique: values.size, samples: [...values].slice(0, 3) }))
+    .sort((a, b) => b.unique - a.unique || b.filled - a.filled);
+}
+
+/** Best guess at the name property: a familiar key if present, else the most distinctive one */
+export function guessNameField(keys) {
+  for (const k of PREFERRED_NAME_KEYS) if (keys.some((s) => s.key === k)) return k;
+  return keys[0]?.key || "";
+}
+
+/** Projection config { name, scale, center } that fits the features in a width x height map */
+export function fitProjection(features, { width = 800, height = 600, padding = 0.9 } = {}) {
+  const fc = { type: "FeatureCollection", features };
+  const [[x0, y0], [x1, y1]] = geoBounds(fc);
+  // geoBounds reports x0 > x1 when the features straddle the antimeridian
+  const lon = x0 <= x1 ? (x0 + x1) / 2 : ((x0 + x1 + 360) / 2 + 180) % 360 - 180;
+  const center = [lon, (y0 + y1) / 2];
+  const projection = geoEqualEarth().center(center).scale(1).translate([0, 0]);
+  const [[px0, py0], [px1, py1]] = geoPath(projection).bounds(fc);
+  const w = Math.max(px1 - px0, 1e-9), h = Math.max(py1 - py0, 1e-9);
+  const scale = padding * Math.min(width / w, height / h);
+  return { name: "geoEqualEarth", scale: Math.round(scale), center: center.map((v) => Math.round(v * 1000) / 1000) };
+}
+
+/** Trim features down to geometry + the chosen name so they fit in localStorage */
+export function slimFeatures(features, nameField) {
+  return features
+    .map((f) => ({ type: "Feature", properties: { name: pickName(f.properties, [nameField]) }, geometry: f.geometry }))
+    .filter((f) => f.properties.name);
+}
+
+/** Stable, unique-ish dataset key from a label */
+export function customKey(label, existing = {}) {
+  const slug = String(label).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "map";
+  let key = `custom_${slug}`, n = 2;
+  while (existing[key]) key = `custom_${slug}_${n++}`;
+  return key;
+}
+
+/** Runtime dataset config (same shape as DATASETS entries) for a stored entry */
+export function toDatasetConf(entry) {
+  return {
+    label: entry.label,
+    geography: { type: "FeatureCollection", features: entry.features },
+    projection: entry.projection,
+    getName: (geo) => pickName(geo && geo.properties, ["name"]),
+    aliases: {},
+    custom: true,
+  };
+}
+
+/** Stored entries: { [key]: { label, projection, features } } */
+export function loadCustomDatasets() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Persist entries; returns false when storage is full or unavailable */
+export function saveCustomDatasets(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  customKey, fitProjection, guessNameField, parseMapFile, propertyKeys, slimFeatures, toDatasetConf,
+} from "./customDatasets.js";
+
+const square = (x, y, s = 1) => [[[x, y], [x, y + s], [x + s, y + s], [x + s, y], [x, y]]];
+const FC = {
+  type: "FeatureCollection",
+  features: [
+    { type: "Feature", properties: { code: "A1", label: "North" }, geometry: { type: "Polygon", coordinates: square(10, 50) } },
+    { type: "Feature", properties: { code: "A2", label: "South" }, geometry: { type: "Polygon", coordinates: square(10, 48) } },
+    { type: "Feature", properties: { label: "Pin" }, geometry: { type: "Point", coordinates: [0, 0] } },
+  ],
+};
+const TOPO = {
+  type: "Topology",
+  arcs: [[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]],
+  objects: {
+    points: { type: "GeometryCollection", geometries: [{ type: "Point", coordinates: [0, 0] }] },
+    regions: { type: "GeometryCollection", geometries: [{ type: "Polygon", arcs: [[0]], properties: { NAME: "Box" } }] },
+  },
+};
+
+test("parseMapFile reads GeoJSON and keeps only polygons", () => {
+  const { features, objectName } = parseMapFile(JSON.stringify(FC));
+  assert.equal(features.length, 2);
+  assert.equal(objectName, null);
+});
+
+test("parseMapFile picks the polygon object out of a TopoJSON file", () => {
+  const { features, objectName } = parseMapFile(JSON.stringify(TOPO));
+  assert.equal(objectName, "regions");
+  assert.equal(features[0].properties.NAME, "Box");
+});
+
+test("parseMapFile explains bad input with an error code", () => {
+  assert.throws(() => parseMapFile("{nope"), { code: "json" });
+  assert.throws(() => parseMapFile("[1,2]"), { code: "format" });
+  assert.throws(() => parseMapFile(JSON.stringify({ type: "FeatureCollection", features: [FC.features[2]] })), { code: "noPolygons" });
+  assert.throws(() => parseMapFile(JSON.stringify({ type: "Topology", objects: {} })), { code: "noLayers" });
+});
+
+test("propertyKeys and guessNameField suggest a name column", () => {
+  const features = FC.features.slice(0, 2);
+  const keys = propertyKeys(features);
+  assert.deepEqual(keys.map((k) => k.key), ["code", "label"]);
+  assert.deepEqual(keys[1].samples, ["North", "South"]);
+  assert.equal(guessNameField(keys), "code");
+  assert.equal(guessNameField([{ key: "x" }, { key: "NAME" }]), "NAME");
+});
+
+test("fitProjection centres on the features and scales them up", () => {
+  const p = fitProjection(FC.features.slice(0, 2));
+  assert.equal(p.name, "geoEqualEarth");
+  assert.ok(Math.abs(p.center[0] - 10.5) < 0.01 && Math.abs(p.center[1] - 49.5) < 0.05);
+  assert.ok(p.scale > 5000);
+});
+
+test("fitProjection handles features across the antimeridian", () => {
+  const p = fitProjection([
+    { type: "Feature", geometry: { type: "Polygon", coordinates: square(178, 0) } },
+    { type: "Feature", geometry: { type: "Polygon", coordinates: square(-179.5, 0) } },
+  ]);
+  assert.ok(Math.abs(Math.abs(p.center[0]) - 179.75) < 0.01);
+});
+
+test("slimFeatures and toDatasetConf keep just the chosen name", () => {
+  const slim = slimFeatures(FC.features.slice(0, 2), "label");
+  assert.deepEqual(slim.map((f) => f.properties), [{ name: "North" }, { name: "South" }]);
+  const conf = toDatasetConf({ label: "Mine", projection: { name: "geoEqualEarth", scale: 1, center: [0, 0] }, features: slim });
+  assert.equal(conf.getName(conf.geography.features[1]), "South");
+});
+
+test("customKey avoids collisions", () => {
+  assert.equal(customKey("My Map!"), "custom_my_map");
+  assert.equal(customKey("My Map", { custom_my_map: {} }), "custom_my_map_2");
+});
@@ -0,0 +1,52 @@
+import { norm, shuffle } from "./utils.js";
+
+/******************** Custom quizzes ********************/
+/**
+ * Named subsets of a dataset's regions ("Balkans", "Northeast US states"),
+ * built on the map and kept in localStorage per dataset. A game on a subset
+ * asks only its regions; the rest of the map is still there to be clicked.
+ */
+export const QUIZ_MODES = ["click", "type"];
+const quizzesKey = (dataset) => `mqg_quizzes_v1_${dataset}`;
+
+/** [{ id, name, regions }] saved for a dataset, by name */
+export function loadQuizzes(dataset) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(quizzesKey(dataset)) || "[]");
+    return Array.isArray(parsed)
+      ? parsed.filter((q) => q && typeof q.id === "string" && typeof q.name === "string" && Array.isArray(q.regions))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveQuizzes(dataset, quizzes) {
+  try { localStorage.setItem(quizzesKey(dataset), JSON.stringify(quizzes)); } catch {}
+}
+
+/** Add a quiz, or replace the one with its id; a quiz without an id gets one */
+export function upsertQuiz(quizzes, quiz) {
+  const saved = {
+    id: quiz.id || `q${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: quiz.name.trim(),
+    regions: Array.from(new Set(quiz.regions)).sort(),
+  };
+  return [...quizzes.filter((q) => q.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export const removeQuiz = (quizzes, id) => quizzes.filter((q) => q.id !== id);
+
+/** The game's queue: the quiz's regions that are on the map, shuffled */
+export function quizQueue(quiz, names, rng) {
+  const known = new Set(names);
+  return shuffle(quiz.regions.filter((n) => known.has(n)), rng);
+}
+
+/** Names matching a search, by their shown label or the map's own name, sorted by label */
+export function searchRegions(names, query, label = (name) => name) {
+  const q = norm(query || "");
+  return Array.from(new Set(names))
+    .filter((name) => !q || norm(label(name)).includes(q) || norm(name).includes(q))
+    .sort((a, b) => label(a).localeCompare(label(b)));
+}
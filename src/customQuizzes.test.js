@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { quizQueue, removeQuiz, searchRegions, upsertQuiz } from "./customQuizzes.js";
+
+const NAMES = ["Serbia", "Croatia", "Bosnia and Herz.", "Albania", "France"];
+
+test("upsertQuiz adds, replaces and keeps quizzes by name", () => {
+  let quizzes = upsertQuiz([], { name: " Balkans ", regions: ["Serbia", "Croatia", "Serbia"] });
+  const [balkans] = quizzes;
+  assert.match(balkans.id, /^q/);
+  assert.deepEqual(balkans, { id: balkans.id, name: "Balkans", regions: ["Croatia", "Serbia"] });
+  quizzes = upsertQuiz(quizzes, { name: "Atlantic", regions: ["France"] });
+  assert.deepEqual(quizzes.map((q) => q.name), ["Atlantic", "Balkans"]);
+  quizzes = upsertQuiz(quizzes, { ...balkans, regions: [...balkans.regions, "Albania"] });
+  assert.equal(quizzes.length, 2);
+  assert.deepEqual(quizzes[1].regions, ["Albania", "Croatia", "Serbia"]);
+  assert.deepEqual(removeQuiz(quizzes, balkans.id).map((q) => q.name), ["Atlantic"]);
+});
+
+test("quizQueue asks only the quiz's regions that are on the map", () => {
+  const queue = quizQueue({ regions: ["Serbia", "Croatia", "Atlantis"] }, NAMES, () => 0);
+  assert.deepEqual([...queue].sort(), ["Croatia", "Serbia"]);
+});
+
+test("searchRegions matches shown labels and map names, sorted by label", () => {
+  const label = (name) => ({ "Bosnia and Herz.": "Bosnia and Herzegovina", Croatia: "Hrvatska" }[name] || name);
+  assert.deepEqual(searchRegions(NAMES, "herzeg", label), ["Bosnia and Herz."]);
+  assert.deepEqual(searchRegions(NAMES, "CROAT", label), ["Croatia"]);
+  assert.deepEqual(searchRegions(NAMES, "", label), ["Albania", "Bosnia and Herz.", "France", "Croatia", "Serbia"]);
+});
@@ -0,0 +1,78 @@
+import { seededRng } from "./random.js";
+import { shuffle } from "./utils.js";
+
+/******************** Daily challenge ********************/
+/**
+ * Everyone gets the same game on a given (UTC) day: the date seeds the
+ * dataset, mode and prompt order, and the rules (lives, timer, typo
+ * tolerance, hard mode) are fixed. One attempt per day is enforced through
+ * localStorage; the result can be shared as an emoji grid.
+ */
+export const DAILY_DATASETS = ["world", "usa48", "canada", "mexico", "india", "uk_counties"];
+export const DAILY_MODES = ["click", "type"];
+// `typos` is a TYPO_TOLERANCE level (Type mode); `hardMode` hides borders in Click mode
+export const DAILY_RULES = { lives: 3, duration: 20, length: 10, typos: "normal", hardMode: false };
+
+/** "YYYY-MM-DD" for the UTC day of `date` */
+export function dailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** { dateKey, dataset, mode, lives, duration, length, typos, hardMode } for the day */
+export function dailyChallenge(dateKey = dailyKey()) {
+  const rng = seededRng(`mqg-daily:${dateKey}`);
+  return {
+    dateKey,
+    dataset: DAILY_DATASETS[Math.floor(rng() * DAILY_DATASETS.length)],
+    mode: DAILY_MODES[Math.floor(rng() * DAILY_MODES.length)],
+    ...DAILY_RULES,
+  };
+}
+
+/**
+ * The day's prompt sequence. Names are sorted first so the order doesn't
+ * depend on how the dataset file happens to list its features.
+ */
+export function dailyQueue(names, challenge) {
+  const uniques = Array.from(new Set((names || []).filter(Boolean))).sort();
+  return shuffle(uniques, seededRng(`mqg-daily:${challenge.dateKey}:queue`)).slice(0, challenge.length);
+}
+
+const resultKey = (dateKey) => `mqg_daily_v1_${dateKey}`;
+
+/** Stored attempt for the day: { finished, score, misses, total, ms, marks } or null */
+export function loadDailyResult(dateKey) {
+  try {
+    const raw = localStorage.getItem(resultKey(dateKey));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveDailyResult(dateKey, result) {
+  try { localStorage.setItem(resultKey(dateKey), JSON.stringify(result)); } catch {}
+}
+
+// Outcome marks, one per answer/timeout
+const MARKS = { correct: "\u{1F7E9}", almost: "\u{1F7E8}", wrong: "\u{1F7E5}", timeout: "\u{1F7E5}" };
+export const outcomeMark = (result) => MARKS[result] || "";
+
+/**
+ * Copyable summary in the style of other daily puzzle games. The page passes
+ * the words in the player's language; `misses(n)` words the miss count.
+ */
+export function shareText(challenge, result, {
+  title = "Map Quiz Daily",
+  datasetLabel = challenge.dataset,
+  modeLabel = challenge.mode,
+  misses = (n) => `${n} ${n === 1 ? "miss" : "misses"}`,
+} = {}) {
+  const secs = Math.round((result.ms || 0) / 1000);
+  const time = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+  return [
+    `${title} ${challenge.dateKey} - ${datasetLabel} (${modeLabel})`,
+    (result.marks || []).join(""),
+    `${result.score}/${result.total || challenge.length} - ${misses(result.misses)} - ${time}`,
+  ].join("\n");
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TYPO_TOLERANCE } from "./matching.js";
+import { DAILY_DATASETS, DAILY_MODES, dailyChallenge, dailyKey, dailyQueue, outcomeMark, shareText } from "./daily.js";
+
+const NAMES = Array.from({ length: 30 }, (_, i) => `Region ${i}`);
+
+test("dailyKey uses the UTC date", () => {
+  assert.equal(dailyKey(new Date("2026-10-19T23:30:00Z")), "2026-10-19");
+});
+
+test("dailyChallenge is the same for everyone on a day", () => {
+  const a = dailyChallenge("2026-10-19");
+  assert.deepEqual(a, dailyChallenge("2026-10-19"));
+  assert.ok(DAILY_DATASETS.includes(a.dataset));
+  assert.ok(DAILY_MODES.includes(a.mode));
+  assert.ok(a.typos in TYPO_TOLERANCE);
+  assert.equal(typeof a.hardMode, "boolean");
+  const days = Array.from({ length: 30 }, (_, i) => dailyChallenge(`2026-11-${String(i + 1).padStart(2, "0")}`).dataset);
+  assert.ok(new Set(days).size > 1);
+});
+
+test("dailyQueue ignores feature order and duplicates", () => {
+  const ch = dailyChallenge("2026-10-19");
+  const q = dailyQueue(NAMES, ch);
+  assert.equal(q.length, ch.length);
+  assert.deepEqual(dailyQueue([...NAMES].reverse().concat(NAMES), ch), q);
+  assert.notDeepEqual(dailyQueue(NAMES, dailyChallenge("2026-10-20")), q);
+});
+
+test("shareText summarises score, misses and time", () => {
+  const ch = { dateKey: "2026-10-19", dataset: "usa48", mode: "click", length: 10 };
+  const marks = ["correct", "wrong", "almost"].map(outcomeMark);
+  const text = shareText(ch, { score: 9, misses: 1, ms: 72400, marks }, { datasetLabel: "USA", modeLabel: "Click" });
+  assert.equal(text, "Map Quiz Daily 2026-10-19 - USA (Click)\n\u{1F7E9}\u{1F7E5}\u{1F7E8}\n9/10 - 1 miss - 1:12");
+});
+
+test("shareText takes its words from the caller", () => {
+  const ch = { dateKey: "2026-10-19", dataset: "usa48", mode: "type", length: 10 };
+  const words = { title: "Map Quiz: reto diario", datasetLabel: "EE. UU.", modeLabel: "Escribir", misses: (n) => `${n} fallos` };
+  assert.equal(shareText(ch, { score: 8, misses: 2, ms: 30000, marks: [] }, words), "Map Quiz: reto diario 2026-10-19 - EE. UU. (Escribir)\n\n8/10 - 2 fallos - 0:30");
+});
+
+test("shareText uses the real prompt count for short datasets", () => {
+  const ch = { dateKey: "2026-10-19", dataset: "nyc", mode: "click", length: 10 };
+  assert.match(shareText(ch, { score: 4, misses: 2, total: 5, ms: 5000, marks: [] }), /^4\/5 - 2 misses - 0:05$/m);
+});
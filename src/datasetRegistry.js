@@ -0,0 +1,119 @@
+import { aliasTable } from "./matching.js";
+import { norm } from "./utils.js";
+
+/******************** Dataset registry ********************/
+/**
+ * Runtime dataset configs built from the declarative manifest (datasets.json).
+ * Each entry is validated field by field; a broken entry is left out and
+ * reported in `errors` (e.g. `datasets[3] "canada": projection.scale must be
+ * a positive number`) so one typo doesn't take the whole app down.
+ *
+ * Manifest entry:
+ *   key            unique id, lowercase letters/digits/underscores
+ *   label          shown in the dataset selector
+ *   source         URL of the map file, or a list of URLs merged together
+ *   format         "topojson" | "geojson"
+ *   nameProperties feature properties to read the region name from, in order
+ *   exclude        region names left out of the quiz (optional)
+ *   projection     { name, scale, center: [lon, lat] }
+ *   exploreScope   "country" or { country, city? } for Explore mode lookups
+ *   aliases        { "Region name": ["alternative", ...] } (optional)
+ */
+export const FORMATS = ["topojson", "geojson"];
+// d3-geo projections react-simple-maps can build by name
+export const PROJECTIONS = [
+  "geoEqualEarth", "geoMercator", "geoTransverseMercator", "geoEquirectangular", "geoNaturalEarth1",
+  "geoOrthographic", "geoStereographic", "geoGnomonic", "geoAzimuthalEqualArea", "geoAzimuthalEquidistant",
+  "geoAlbers", "geoAlbersUsa", "geoConicConformal", "geoConicEqualArea", "geoConicEquidistant",
+];
+const FIELDS = ["key", "label", "source", "format", "nameProperties", "exclude", "projection", "exploreScope", "aliases"];
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+const isTextList = (v) => Array.isArray(v) && v.every(isText);
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/** Problems with one manifest entry, as readable messages (empty when valid) */
+export function validateDataset(entry) {
+  if (!isObject(entry)) return ["must be an object"];
+  const problems = [];
+  const unknown = Object.keys(entry).filter((k) => !FIELDS.includes(k));
+  if (unknown.length) problems.push(`unknown field${unknown.length > 1 ? "s" : ""} ${unknown.map((k) => `"${k}"`).join(", ")}`);
+
+  if (!isText(entry.key) || !/^[a-z0-9_]+$/.test(entry.key)) problems.push("key must use lowercase letters, digits and underscores");
+  if (!isText(entry.label)) problems.push("label is required");
+  if (!(isText(entry.source) || (isTextList(entry.source) && entry.source.length))) {
+    problems.push("source must be a URL or a non-empty list of URLs");
+  }
+  if (!FORMATS.includes(entry.format)) problems.push(`format must be one of ${FORMATS.join(", ")}`);
+  if (!isTextList(entry.nameProperties) || !entry.nameProperties.length) {
+    problems.push("nameProperties must be a non-empty list of property names");
+  }
+  if (entry.exclude !== undefined && !isTextList(entry.exclude)) problems.push("exclude must be a list of region names");
+
+  const p = entry.projection;
+  if (!isObject(p)) problems.push("projection is required");
+  else {
+    if (!PROJECTIONS.includes(p.name)) problems.push(`projection.name "${p.name}" is not a supported projection`);
+    if (!isNumber(p.scale) || p.scale <= 0) problems.push("projection.scale must be a positive number");
+    if (!Array.isArray(p.center) || p.center.length !== 2 || !p.center.every(isNumber)
+      || Math.abs(p.center[0]) > 180 || Math.abs(p.center[1]) > 90) {
+      problems.push("projection.center must be [longitude, latitude]");
+    }
+  }
+
+  const scope = entry.exploreScope;
+  if (scope !== "country" && !(isObject(scope) && isText(scope.country) && (scope.city === undefined || isText(scope.city)))) {
+    problems.push('exploreScope must be "country" or { country, city? }');
+  }
+  if (entry.aliases !== undefined && !(isObject(entry.aliases) && Object.values(entry.aliases).every(isTextList))) {
+    problems.push("aliases must map region names to lists of alternatives");
+  }
+  return problems;
+}
+
+/** Runtime config for a valid entry: { label, format, url | urls, projection, getName, filter?, exploreScope, aliases } */
+export function compileDataset(entry) {
+  const keys = entry.nameProperties;
+  const exclude = new Set((entry.exclude || []).map(norm));
+  const conf = {
+    label: entry.label,
+    format: entry.format,
+    projection: { ...entry.projection, center: [...entry.projection.center] },
+    getName: (geo) => {
+      const props = (geo && geo.properties) || {};
+      for (const k of keys) if (isText(props[k])) return props[k].trim();
+      return "";
+    },
+    exploreScope: entry.exploreScope,
+    aliases: aliasTable(entry.aliases),
+  };
+  if (Array.isArray(entry.source)) conf.urls = [...entry.source];
+  else conf.url = entry.source;
+  if (exclude.size) conf.filter = (name) => !exclude.has(norm(name));
+  return conf;
+}
+
+/**
+ * Validate and compile a manifest: { datasets, order, errors }. Throws only
+ * when nothing usable is left, since the app can't run without a map.
+ */
+export function loadRegistry(manifest) {
+  const list = isObject(manifest) && Array.isArray(manifest.datasets) ? manifest.datasets : null;
+  if (!list) throw new Error('Dataset manifest must be an object with a "datasets" list');
+
+  const datasets = {}, order = [], errors = [];
+  list.forEach((entry, i) => {
+    const where = `datasets[${i}]${isObject(entry) && isText(entry.key) ? ` "${entry.key}"` : ""}`;
+    const problems = validateDataset(entry);
+    if (!problems.length && datasets[entry.key]) problems.push("duplicate key");
+    if (problems.length) {
+      errors.push(`${where}: ${problems.join("; ")}`);
+      return;
+    }
+    datasets[entry.key] = compileDataset(entry);
+    order.push(entry.key);
+  });
+  if (!order.length) throw new Error(`No valid datasets in the manifest: ${errors.join(" | ")}`);
+  return { datasets, order, errors };
+}
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { compileDataset, loadRegistry, validateDataset } from "./datasetRegistry.js";
+import { feature } from "topojson-client";
+import { norm } from "./utils.js";
+
+const manifest = JSON.parse(readFileSync(new URL("./datasets.json", import.meta.url), "utf8"));
+
+const entry = (over = {}) => ({
+  key: "testland",
+  label: "Testland",
+  source: "/data/testland.json",
+  format: "topojson",
+  nameProperties: ["name", "NAME"],
+  projection: { name: "geoEqualEarth", scale: 500, center: [10, 50] },
+  exploreScope: { country: "Testland" },
+  ...over,
+});
+
+test("the shipped manifest is valid", () => {
+  const { datasets, order, errors } = loadRegistry(manifest);
+  assert.deepEqual(errors, []);
+  assert.equal(order[0], "world");
+  assert.equal(order.length, manifest.datasets.length);
+  assert.ok(order.every((k) => typeof datasets[k].getName === "function"));
+});
+
+test("validateDataset explains what is wrong", () => {
+  assert.deepEqual(validateDataset(entry()), []);
+  assert.deepEqual(validateDataset(entry({ projection: { name: "geoFlat", scale: -1, center: [200, 0] } })), [
+    'projection.name "geoFlat" is not a supported projection',
+    "projection.scale must be a positive number",
+    "projection.center must be [longitude, latitude]",
+  ]);
+  assert.deepEqual(validateDataset(entry({ nameProperty: "name", format: "shp" })), [
+    'unknown field "nameProperty"',
+    "format must be one of topojson, geojson",
+  ]);
+  assert.deepEqual(validateDataset(entry({ exploreScope: "city", aliases: { Foo: "bar" } })), [
+    'exploreScope must be "country" or { country, city? }',
+    "aliases must map region names to lists of alternatives",
+  ]);
+  assert.deepEqual(validateDataset("world"), ["must be an object"]);
+});
+
+test("loadRegistry skips broken and duplicate entries but keeps the rest", () => {
+  const { order, errors } = loadRegistry({ datasets: [entry(), entry({ label: "" }), entry(), entry({ key: "Bad Key" })] });
+  assert.deepEqual(order, ["testland"]);
+  assert.deepEqual(errors, [
+    'datasets[1] "testland": label is required',
+    'datasets[2] "testland": duplicate key',
+    'datasets[3] "Bad Key": key must use lowercase letters, digits and underscores',
+  ]);
+  assert.throws(() => loadRegistry({ datasets: [entry({ source: [] })] }), /No valid datasets/);
+  assert.throws(() => loadRegistry([]), /"datasets" list/);
+});
+
+test("compileDataset reads names by priority and applies exclusions", () => {
+  const conf = compileDataset(entry({ exclude: ["District of Columbia"], source: ["/a.json", "/b.json"] }));
+  assert.equal(conf.getName({ properties: { NAME: "Upper", name: " lower " } }), "lower");
+  assert.equal(conf.getName({ properties: { NAME: "Upper", name: "" } }), "Upper");
+  assert.equal(conf.getName({ properties: { code: "X1" } }), "");
+  assert.equal(conf.filter("district of columbia"), false);
+  assert.equal(conf.filter("Texas"), true);
+  assert.deepEqual(conf.urls, ["/a.json", "/b.json"]);
+  assert.equal(conf.url, undefined);
+});
+
+test("compileDataset doesn't share the projection center with the manifest", () => {
+  const raw = entry();
+  compileDataset(raw).projection.center[0] = 99;
+  assert.deepEqual(raw.projection.center, [10, 50]);
+});
+
+test("alias tables fit the vendored maps", () => {
+  const { datasets } = loadRegistry(manifest);
+  // Every shipped map is vendored, so none of them skips these checks
+  assert.deepEqual(manifest.datasets.filter((d) => !d.source.startsWith("/data/")).map((d) => d.key), []);
+  for (const entry of manifest.datasets) {
+    const file = new URL(`../public${entry.source}`, import.meta.url);
+    const topo = JSON.parse(readFileSync(file, "utf8"));
+    const names = feature(topo, Object.values(topo.objects)[0]).features.map((f) => datasets[entry.key].getName(f));
+    const known = new Set(names.map(norm));
+    const owner = new Map();
+    for (const [region, alts] of Object.entries(entry.aliases || {})) {
+      assert.ok(known.has(norm(region)), `${entry.key}: no region called "${region}"`);
+      for (const alt of alts) {
+        assert.ok(!known.has(norm(alt)), `${entry.key}: alias "${alt}" is another region's name`);
+        assert.ok(!owner.has(norm(alt)), `${entry.key}: "${alt}" is listed for ${owner.get(norm(alt))} and ${region}`);
+        owner.set(norm(alt), region);
+      }
+    }
+    // Abbreviated source names ("Dem. Rep. Congo") always get their full form
+    for (const name of names.filter((n) => n.includes("."))) {
+      assert.ok(entry.aliases && entry.aliases[name], `${entry.key}: "${name}" needs aliases`);
+    }
+  }
+  const usa = manifest.datasets.find((d) => d.key === "usa48");
+  assert.equal(Object.keys(usa.aliases).length, 48, "every state has its postal code");
+});
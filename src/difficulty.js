@@ -0,0 +1,35 @@
+import { geoPath } from "d3-geo";
+
+/******************** Difficulty tiers ********************/
+/**
+ * Easy asks only the biggest regions on the map, Medium adds the middle
+ * ones and Hard asks everything (the classic game). Size is the area a
+ * region covers on screen in the map's own projection, so a tier means the
+ * same thing whether the map is Equal Earth, Albers USA or an imported file.
+ */
+export const TIERS = ["easy", "medium", "hard"];
+export const DEFAULT_TIER = "hard";
+export const TIER_MODES = ["click", "choice", "type", "silhouette"];
+// Share of the regions, largest first, each tier asks
+const TIER_SHARE = { easy: 1 / 3, medium: 2 / 3, hard: 1 };
+
+/** name -> projected area (viewBox units^2), summed over features sharing a name */
+export function projectedAreas(features, projection, getName) {
+  const areas = new Map();
+  if (!projection) return areas;
+  const path = geoPath(projection);
+  for (const f of features) {
+    const name = getName(f);
+    const area = path.area(f);
+    if (name && Number.isFinite(area)) areas.set(name, (areas.get(name) || 0) + area);
+  }
+  return areas;
+}
+
+/** The names a tier asks, largest first (ties by name); at least one when there are any */
+export function tierNames(names, areas, tier) {
+  const unique = Array.from(new Set(names));
+  const ranked = unique.sort((a, b) => (areas.get(b) || 0) - (areas.get(a) || 0) || a.localeCompare(b));
+  const share = TIER_SHARE[tier] ?? 1;
+  return ranked.slice(0, Math.max(1, Math.ceil(ranked.length * share)));
+}
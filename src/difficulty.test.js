@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { geoEquirectangular } from "d3-geo";
+import { projectedAreas, tierNames } from "./difficulty.js";
+
+const projection = geoEquirectangular().scale(180 / Math.PI).translate([400, 300]).precision(0);
+const square = (name, lon, size) => ({
+  type: "Feature",
+  properties: { name },
+  geometry: { type: "Polygon", coordinates: [[[lon, 0], [lon, size], [lon + size, size], [lon + size, 0], [lon, 0]]] },
+});
+const getName = (f) => f.properties.name;
+
+test("projectedAreas measures on the map and adds up split regions", () => {
+  const areas = projectedAreas([square("Big", 0, 10), square("Isles", 20, 2), square("Isles", 30, 1)], projection, getName);
+  assert.ok(Math.abs(areas.get("Big") - 100) < 1e-6);
+  assert.ok(Math.abs(areas.get("Isles") - 5) < 1e-6);
+  assert.equal(projectedAreas([square("Big", 0, 10)], null, getName).size, 0);
+});
+
+test("tierNames keeps the largest regions for the easier tiers", () => {
+  const areas = new Map([["A", 90], ["B", 80], ["C", 70], ["D", 60], ["E", 50], ["F", 40], ["G", 1]]);
+  const names = ["G", "F", "E", "D", "C", "B", "A"];
+  assert.deepEqual(tierNames(names, areas, "easy"), ["A", "B", "C"]);
+  assert.deepEqual(tierNames(names, areas, "medium"), ["A", "B", "C", "D", "E"]);
+  assert.equal(tierNames(names, areas, "hard").length, 7);
+  assert.deepEqual(tierNames(["Solo"], new Map(), "easy"), ["Solo"]);
+  // Unmeasured regions count as tiny; ties go by name
+  assert.deepEqual(tierNames(["Y", "X", "A"], new Map([["A", 5]]), "medium"), ["A", "X"]);
+});
@@ -0,0 +1,56 @@
+import { geoArea, geoCentroid, geoDistance } from "d3-geo";
+import { norm, shuffle } from "./utils.js";
+
+/******************** Choice mode distractors ********************/
+// Feature objects are stable once a dataset has loaded, so cache their geometry stats.
+const metaCache = new WeakMap();
+
+/** { name, centroid: [lon, lat], area (steradians) } for a rendered feature */
+export function describeRegion(feature, name) {
+  let meta = metaCache.get(feature);
+  if (!meta) {
+    meta = { centroid: geoCentroid(feature), area: geoArea(feature) };
+    metaCache.set(feature, meta);
+  }
+  return { name, ...meta };
+}
+
+/**
+ * Pick `count` wrong options for `target` that are worth thinking about:
+ * the nearest regions plus the ones closest in size, shuffled together so
+ * the right answer can't be spotted by proximity alone. Falls back to any
+ * other region when the dataset is tiny.
+ */
+export function pickDistractors(target, regions, { count = 3, pool = 6, rng = Math.random } = {}) {
+  const t = norm(target);
+  const self = regions.find((r) => norm(r.name) === t);
+  const seen = new Set([t]);
+  const others = regions.filter((r) => {
+    const n = norm(r.name);
+    if (!n || seen.has(n)) return false;
+    seen.add(n);
+    return true;
+  });
+  if (!self) return shuffle(others, rng).slice(0, count).map((r) => r.name);
+
+  const byDistance = [...others].sort(
+    (a, b) => geoDistance(self.centroid, a.centroid) - geoDistance(self.centroid, b.centroid)
+  );
+  const sizeGap = (r) => Math.abs(Math.log((r.area || 1e-12) / (self.area || 1e-12)));
+  const bySize = [...others].sort((a, b) => sizeGap(a) - sizeGap(b));
+
+  const plausible = Array.from(new Set([...byDistance.slice(0, pool), ...bySize.slice(0, pool)]));
+  const picked = shuffle(plausible, rng).slice(0, count);
+  if (picked.length < count) {
+    const rest = others.filter((r) => !picked.includes(r));
+    picked.push(...shuffle(rest, rng).slice(0, count - picked.length));
+  }
+  return picked.map((r) => r.name);
+}
+
+/** The target plus its distractors, in random order */
+export function buildChoices(target, regions, options = {}) {
+  if (!target) return [];
+  const rng = options.rng || Math.random;
+  return shuffle([target, ...pickDistractors(target, regions, options)], rng);
+}
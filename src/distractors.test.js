@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildChoices, describeRegion, pickDistractors } from "./distractors.js";
+
+const region = (name, lon, lat, area) => ({ name, centroid: [lon, lat], area });
+// A row of small neighbours around France, one far-away giant and one far-away twin in size
+const REGIONS = [
+  region("France", 2, 46, 1),
+  region("Belgium", 4, 50, 0.05),
+  region("Switzerland", 8, 47, 0.07),
+  region("Spain", -4, 40, 0.9),
+  region("Russia", 90, 60, 30),
+  region("Brazil", -50, -10, 15),
+  region("Kenya", 38, 0, 1.05),
+];
+
+test("pickDistractors returns distinct names other than the target", () => {
+  const picks = pickDistractors("France", REGIONS);
+  assert.equal(picks.length, 3);
+  assert.equal(new Set(picks).size, 3);
+  assert.ok(!picks.includes("France"));
+});
+
+test("pickDistractors prefers nearby or similar-sized regions", () => {
+  for (let i = 0; i < 20; i++) {
+    const picks = pickDistractors("France", REGIONS, { pool: 2 });
+    for (const p of picks) assert.ok(["Belgium", "Switzerland", "Spain", "Kenya"].includes(p), p);
+  }
+});
+
+test("pickDistractors copes with tiny datasets and unknown targets", () => {
+  assert.deepEqual(pickDistractors("France", REGIONS.slice(0, 2)), ["Belgium"]);
+  assert.equal(pickDistractors("Atlantis", REGIONS).length, 3);
+});
+
+test("buildChoices mixes the target into four options", () => {
+  const choices = buildChoices("France", REGIONS);
+  assert.equal(choices.length, 4);
+  assert.ok(choices.includes("France"));
+  assert.deepEqual(buildChoices(null, REGIONS), []);
+});
+
+test("describeRegion reports a centroid and area for a feature", () => {
+  const feature = { type: "Feature", geometry: { type: "Polygon", coordinates: [[[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]]] } };
+  const meta = describeRegion(feature, "Square");
+  assert.equal(meta.name, "Square");
+  assert.ok(Math.abs(meta.centroid[0] - 1) < 1e-6 && Math.abs(meta.centroid[1] - 1) < 1e-3);
+  assert.ok(meta.area > 0);
+});
@@ -0,0 +1,88 @@
+/******************** Session event log ********************/
+/**
+ * Every turn of the current game, for the log viewer and its JSON/CSV
+ * export. One event per engine outcome (answer, timeout, skip); region names
+ * are the map's own, whatever language the interface is in, so exports from
+ * different players line up.
+ */
+export const EVENT_COLUMNS = [
+  "n", "at", "dataset", "mode", "player", "prompt", "answer", "result", "correct", "responseMs", "timeLeft", "score", "lives",
+];
+
+/**
+ * An event from the engine's `lastOutcome` and the state after it. `answer` is
+ * the clicked region, the picked choice or the typed text; `timeLeft` (seconds)
+ * is null without a timer.
+ */
+export function outcomeEvent(outcome, { n, at, dataset, mode, player = null, responseMs, timeLeft = null, score, lives }) {
+  return {
+    n,
+    at: new Date(at).toISOString(),
+    dataset,
+    mode,
+    player,
+    prompt: outcome.prompt,
+    answer: outcome.answer ?? null,
+    result: outcome.result,
+    correct: outcome.result === "correct" || outcome.result === "almost",
+    responseMs: Math.max(0, Math.round(responseMs)),
+    timeLeft,
+    score,
+    lives: Number.isFinite(lives) ? lives : null,
+  };
+}
+
+/**
+ * Regions the player got wrong or ran out of time on, in the order they were
+ * first missed: [{ prompt, answers, misses }], `answers` being what they gave
+ * instead (each once; a timeout gives none).
+ */
+export function missedRegions(events) {
+  const byPrompt = new Map();
+  for (const e of events) {
+    if (e.result !== "wrong" && e.result !== "timeout") continue;
+    const miss = byPrompt.get(e.prompt) || { prompt: e.prompt, answers: [], misses: 0 };
+    miss.misses++;
+    if (e.answer !== null && !miss.answers.includes(e.answer)) miss.answers.push(e.answer);
+    byPrompt.set(e.prompt, miss);
+  }
+  return [...byPrompt.values()];
+}
+
+/** The session as a JSON document: { dataset, mode, startedAt, events } */
+export const eventsToJson = (session, events) =>
+  JSON.stringify({ dataset: session.dataset, mode: session.mode, startedAt: new Date(session.startedAt).toISOString(), events }, null, 2);
+
+// Quote per RFC 4180, and defuse cells a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** A header row plus one row per event, CRLF-separated */
+export const eventsToCsv = (events) =>
+  [EVENT_COLUMNS, ...events.map((e) => EVENT_COLUMNS.map((key) => e[key]))]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+/** "mqg-world-click-2024-05-01-1530.csv" */
+export function exportFileName(session, ext) {
+  const d = new Date(session.startedAt);
+  const pad = (x) => String(x).padStart(2, "0");
+  const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+  return `mqg-${session.dataset}-${session.mode}-${stamp}.${ext}`.replace(/[^\w.-]+/g, "_");
+}
+
+/** Save `text` as a file through a temporary link */
+export function downloadText(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
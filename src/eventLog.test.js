@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EVENT_COLUMNS, eventsToCsv, eventsToJson, exportFileName, missedRegions, outcomeEvent } from "./eventLog.js";
+
+const AT = Date.UTC(2024, 4, 1, 15, 30);
+const event = (outcome, extra = {}) =>
+  outcomeEvent(outcome, { n: 1, at: AT, dataset: "world", mode: "click", responseMs: 1234.4, score: 1, lives: 5, ...extra });
+
+test("outcomeEvent records the turn with its timing", () => {
+  const e = event({ result: "almost", prompt: "France", answer: "Frnace" }, { timeLeft: 12 });
+  assert.deepEqual(Object.keys(e), EVENT_COLUMNS);
+  assert.equal(e.at, "2024-05-01T15:30:00.000Z");
+  assert.equal(e.correct, true);
+  assert.equal(e.responseMs, 1234);
+  assert.equal(e.timeLeft, 12);
+  const timeout = event({ result: "timeout", prompt: "Spain", answer: null }, { lives: Infinity });
+  assert.deepEqual([timeout.correct, timeout.answer, timeout.lives, timeout.timeLeft], [false, null, null, null]);
+});
+
+test("eventsToCsv quotes what needs quoting and defuses formulas", () => {
+  const csv = eventsToCsv([
+    event({ result: "wrong", prompt: "Congo, Dem. Rep.", answer: '=HYPERLINK("x")' }),
+    event({ result: "skip", prompt: "Chad", answer: null }, { n: 2, player: "Ana" }),
+  ]);
+  const lines = csv.trimEnd().split("\r\n");
+  assert.equal(lines[0], EVENT_COLUMNS.join(","));
+  assert.equal(lines[1], `1,2024-05-01T15:30:00.000Z,world,click,,"Congo, Dem. Rep.","'=HYPERLINK(""x"")",wrong,false,1234,,1,5`);
+  assert.equal(lines[2], "2,2024-05-01T15:30:00.000Z,world,click,Ana,Chad,,skip,false,1234,,1,5");
+});
+
+test("eventsToJson wraps the events with the session", () => {
+  const doc = JSON.parse(eventsToJson({ dataset: "world", mode: "click", startedAt: AT }, [event({ result: "correct", prompt: "Chad", answer: "Chad" })]));
+  assert.equal(doc.startedAt, "2024-05-01T15:30:00.000Z");
+  assert.equal(doc.events[0].prompt, "Chad");
+});
+
+test("exportFileName is filesystem-safe", () => {
+  const name = exportFileName({ dataset: "custom:My map", mode: "type", startedAt: new Date(2024, 4, 1, 9, 5).getTime() }, "csv");
+  assert.equal(name, "mqg-custom_My_map-type-2024-05-01-0905.csv");
+});
+
+test("missedRegions groups misses by region with what was given instead", () => {
+  const events = [
+    event({ result: "wrong", prompt: "Chad", answer: "Niger" }),
+    event({ result: "correct", prompt: "Mali", answer: "Mali" }),
+    event({ result: "timeout", prompt: "Peru", answer: null }),
+    event({ result: "wrong", prompt: "Chad", answer: "Sudan" }),
+    event({ result: "wrong", prompt: "Chad", answer: "Niger" }),
+    event({ result: "skip", prompt: "Iran", answer: null }),
+  ];
+  assert.deepEqual(missedRegions(events), [
+    { prompt: "Chad", answers: ["Niger", "Sudan"], misses: 3 },
+    { prompt: "Peru", answers: [], misses: 1 },
+  ]);
+});
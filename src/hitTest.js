@@ -0,0 +1,102 @@
+import { geoPath } from "d3-geo";
+
+/******************** Hit testing ********************/
+/**
+ * Clicks that land between polygons (or just off a microstate) resolve to the
+ * nearest region within a few pixels. Work happens in projected map units;
+ * the caller converts its pixel radius with the current zoom.
+ */
+export const HIT_RADIUS_PX = { mouse: 10, touch: 22 };
+// Regions smaller than this on screen (px^2) can get a circular click target
+export const SMALL_REGION_PX2 = 60;
+export const TARGET_RADIUS_PX = 8;
+
+// Feature objects are stable once a dataset has loaded (see distractors.js)
+const shapeCache = new WeakMap();
+
+/** Outline as rings of [x, y], after the projection's clipping and resampling */
+export function projectedRings(feature, projection) {
+  const rings = [];
+  let ring = null;
+  geoPath(projection, {
+    moveTo(x, y) { ring = [[x, y]]; rings.push(ring); },
+    lineTo(x, y) { ring.push([x, y]); },
+    closePath() { if (ring) ring.push(ring[0]); },
+    arc() {},
+  })(feature);
+  return rings;
+}
+
+/** { rings, bbox, area, centroid } of a feature in projected units, cached per projection */
+export function regionShape(feature, projection) {
+  let byProjection = shapeCache.get(feature);
+  if (!byProjection) shapeCache.set(feature, (byProjection = new WeakMap()));
+  let shape = byProjection.get(projection);
+  if (!shape) {
+    const rings = projectedRings(feature, projection);
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const r of rings) for (const [x, y] of r) {
+      if (x < x0) x0 = x;
+      if (y < y0) y0 = y;
+      if (x > x1) x1 = x;
+      if (y > y1) y1 = y;
+    }
+    const path = geoPath(projection);
+    shape = { rings, bbox: [x0, y0, x1, y1], area: path.area(feature), centroid: path.centroid(feature) };
+    byProjection.set(projection, shape);
+  }
+  return shape;
+}
+
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax, dy = by - ay;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/** Even-odd test, so holes (lakes, enclaves) count as outside */
+function inside([px, py], rings) {
+  let odd = false;
+  for (const r of rings) {
+    for (let i = 0, j = r.length - 1; i < r.length; j = i++) {
+      const [xi, yi] = r[i], [xj, yj] = r[j];
+      if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) odd = !odd;
+    }
+  }
+  return odd;
+}
+
+/** Distance from `point` to a shape's outline, 0 inside it */
+export function distanceToShape(point, shape) {
+  if (inside(point, shape.rings)) return 0;
+  let best = Infinity;
+  for (const r of shape.rings) {
+    for (let i = 1; i < r.length; i++) best = Math.min(best, segmentDistance(point, r[i - 1], r[i]));
+  }
+  return best;
+}
+
+/** Index of the shape nearest to `point` within `radius`, or -1 */
+export function nearestRegion(point, shapes, radius) {
+  const [px, py] = point;
+  let best = -1, bestDist = radius;
+  shapes.forEach((shape, i) => {
+    const [x0, y0, x1, y1] = shape.bbox;
+    if (px < x0 - bestDist || px > x1 + bestDist || py < y0 - bestDist || py > y1 + bestDist) return;
+    const d = distanceToShape(point, shape);
+    if (d <= bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+/** Indexes of the shapes whose centroid lies inside `polygon` ([[x, y], ...], a box being four corners) */
+export function shapesInPolygon(shapes, polygon) {
+  if (!polygon || polygon.length < 3) return [];
+  const ring = [...polygon, polygon[0]];
+  const hits = [];
+  shapes.forEach((shape, i) => {
+    if (shape.centroid.every(Number.isFinite) && inside(shape.centroid, [ring])) hits.push(i);
+  });
+  return hits;
+}
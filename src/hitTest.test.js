@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { geoEquirectangular } from "d3-geo";
+import { distanceToShape, nearestRegion, projectedRings, regionShape, shapesInPolygon } from "./hitTest.js";
+
+// 1 projected unit per degree, y pointing down: (lon, lat) -> (lon, -lat)
+const projection = geoEquirectangular().scale(180 / Math.PI).translate([0, 0]).precision(0);
+const square = (lon, lat, size) => ({
+  type: "Feature",
+  properties: {},
+  geometry: { type: "Polygon", coordinates: [[[lon, lat], [lon, lat + size], [lon + size, lat + size], [lon + size, lat], [lon, lat]]] },
+});
+const BIG = square(0, 0, 10);
+const TINY = square(20, 0, 0.5);
+const shapes = [BIG, TINY].map((f) => regionShape(f, projection));
+
+test("regionShape measures the projected outline", () => {
+  const [big, tiny] = shapes;
+  assert.deepEqual(big.bbox.map(Math.round), [0, -10, 10, 0]);
+  assert.ok(Math.abs(big.area - 100) < 1);
+  assert.deepEqual(tiny.centroid.map((v) => Math.round(v * 100) / 100), [20.25, -0.25]);
+  assert.equal(regionShape(BIG, projection), big); // cached
+  assert.ok(projectedRings(BIG, projection).length >= 1);
+});
+
+test("distanceToShape is 0 inside and the edge distance outside", () => {
+  assert.equal(distanceToShape([5, -5], shapes[0]), 0);
+  assert.ok(Math.abs(distanceToShape([13, -5], shapes[0]) - 3) < 1e-6);
+});
+
+test("nearestRegion snaps to the closest region within the radius", () => {
+  assert.equal(nearestRegion([22, -0.25], shapes, 3), 1); // 1.5 units right of the tiny one
+  assert.equal(nearestRegion([11, -5], shapes, 3), 0);
+  assert.equal(nearestRegion([15, -5], shapes, 3), -1); // nothing close enough
+  assert.equal(nearestRegion([15, -0.25], shapes, 10), 1); // 5 from BIG, 4.5 from TINY
+});
+
+test("shapesInPolygon selects by centroid, for boxes and lassos", () => {
+  const box = [[-1, -11], [25, -11], [25, 1], [-1, 1]];
+  assert.deepEqual(shapesInPolygon(shapes, box), [0, 1]);
+  assert.deepEqual(shapesInPolygon(shapes, [[15, -5], [30, -5], [22, 5]]), [1]); // a triangular lasso round TINY
+  assert.deepEqual(shapesInPolygon(shapes, [[0, 0], [1, 1]]), []);
+});
@@ -0,0 +1,75 @@
+import { norm } from "./utils.js";
+
+/******************** Translations ********************/
+/**
+ * One catalog per language in src/locales/<lang>.json:
+ *
+ *   language   the language's own name, shown in the picker
+ *   ui         { "key": "Text with {placeholders}" }
+ *   datasets   { "<dataset key>": "Map label" }
+ *   regions    { "<dataset key>": { "Name on the map": "Localized" | ["Localized", "also accepted", ...] } }
+ *
+ * Missing UI strings fall back to English and missing region names to the
+ * map's own name, so a catalog can be partial. Region names stay English
+ * inside the game (history, stats, links); only what's shown is localized.
+ */
+export const FALLBACK_LANGUAGE = "en";
+const LANG_KEY = "mqg_lang";
+
+/** First of the browser's preferred languages with a catalog ("es-MX" picks "es") */
+export function pickLanguage(preferred, available) {
+  for (const tag of preferred || []) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (available.includes(base)) return base;
+  }
+  return available.includes(FALLBACK_LANGUAGE) ? FALLBACK_LANGUAGE : available[0];
+}
+
+/** The saved language, else the browser's */
+export function loadLanguage(available) {
+  try {
+    const saved = localStorage.getItem(LANG_KEY);
+    if (available.includes(saved)) return saved;
+  } catch {}
+  const preferred = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  return pickLanguage(preferred, available);
+}
+
+export function saveLanguage(lang) {
+  try { localStorage.setItem(LANG_KEY, lang); } catch {}
+}
+
+/** t(key, vars) for `lang`: "{name}" placeholders are filled from `vars` */
+export function translator(catalogs, lang) {
+  const ui = (catalogs[lang] && catalogs[lang].ui) || {};
+  const fallback = (catalogs[FALLBACK_LANGUAGE] && catalogs[FALLBACK_LANGUAGE].ui) || {};
+  return (key, vars) => {
+    const text = ui[key] ?? fallback[key] ?? key;
+    if (!vars) return text;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  };
+}
+
+const regionsIn = (catalog, dataset) => (catalog && catalog.regions && catalog.regions[dataset]) || {};
+const asList = (v) => (Array.isArray(v) ? v : [v]);
+
+/** Display name for a region of `dataset` in the catalog's language */
+export function regionNamer(catalog, dataset) {
+  const names = {};
+  for (const [name, loc] of Object.entries(regionsIn(catalog, dataset))) names[norm(name)] = asList(loc)[0];
+  return (name) => names[norm(name)] || name;
+}
+
+/**
+ * The dataset's alias table (see matching.js) plus its localized names, so
+ * Type mode accepts answers in the catalog's language as well as the map's.
+ */
+export function localizedAliases(aliases, catalog, dataset) {
+  const table = { ...aliases };
+  for (const [name, loc] of Object.entries(regionsIn(catalog, dataset))) {
+    const key = norm(name);
+    const extra = asList(loc).filter((s) => norm(s) !== key);
+    if (extra.length) table[key] = Array.from(new Set([...(table[key] || []), ...extra]));
+  }
+  return table;
+}
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { feature } from "topojson-client";
+import { localizedAliases, pickLanguage, regionNamer, translator } from "./i18n.js";
+import { aliasTable, gradeAnswer } from "./matching.js";
+import { norm } from "./utils.js";
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), "utf8"));
+const LANGS = ["en", "es", "fr", "de", "ru"];
+const catalogs = Object.fromEntries(LANGS.map((l) => [l, readJson(`./locales/${l}.json`)]));
+const manifest = readJson("./datasets.json");
+
+const CATALOGS = {
+  en: { ui: { hello: "Hello {name}", bye: "Bye" } },
+  es: { ui: { hello: "Hola {name}" }, regions: { world: { Germany: "Alemania", Spain: ["España", "Reino de España"] } } },
+};
+
+test("translator fills placeholders and falls back to English, then the key", () => {
+  const t = translator(CATALOGS, "es");
+  assert.equal(t("hello", { name: "Ana" }), "Hola Ana");
+  assert.equal(t("bye"), "Bye");
+  assert.equal(t("missing.key"), "missing.key");
+  assert.equal(t("hello", {}), "Hola {name}");
+  assert.equal(translator(CATALOGS, "xx")("bye"), "Bye");
+});
+
+test("pickLanguage matches the primary subtag of the browser's preferences", () => {
+  assert.equal(pickLanguage(["pt-BR", "es-MX", "en"], LANGS), "es");
+  assert.equal(pickLanguage(["RU"], LANGS), "ru");
+  assert.equal(pickLanguage(["ja"], LANGS), "en");
+  assert.equal(pickLanguage(undefined, LANGS), "en");
+});
+
+test("region names are shown localized and accepted in Type mode", () => {
+  const name = regionNamer(CATALOGS.es, "world");
+  assert.equal(name("Germany"), "Alemania");
+  assert.equal(name("Spain"), "España");
+  assert.equal(name("France"), "France");
+  assert.equal(regionNamer(CATALOGS.es, "usa48")("Georgia"), "Georgia");
+
+  const aliases = localizedAliases(aliasTable({ Germany: ["Deutschland"] }), CATALOGS.es, "world");
+  const grade = (answer, canonical) => gradeAnswer(answer, canonical, { candidates: ["Germany", "Spain"], aliases });
+  assert.equal(grade("alemania", "Germany"), "correct");
+  assert.equal(grade("Deutschland", "Germany"), "correct");
+  assert.equal(grade("Germany", "Germany"), "correct");
+  assert.equal(grade("espana", "Spain"), "correct");
+  assert.equal(grade("reino de espana", "Spain"), "correct");
+  assert.equal(grade("Alemana", "Germany"), "almost");
+  assert.equal(grade("Alemania", "Spain"), "wrong");
+});
+
+test("answers in non-Latin scripts are graded like any other", () => {
+  const aliases = localizedAliases({}, catalogs.ru, "world");
+  const candidates = ["Germany", "Georgia", "Greece"];
+  assert.equal(gradeAnswer("германия", "Germany", { candidates, aliases }), "correct");
+  assert.equal(gradeAnswer("Германя", "Germany", { candidates, aliases }), "almost");
+  assert.equal(gradeAnswer("Грузия", "Germany", { candidates, aliases }), "wrong");
+});
+
+const placeholders = (s) => (s.match(/\{\w+\}/g) || []).sort().join(" ");
+
+test("shipped catalogs only translate known strings, with the same placeholders", () => {
+  const en = catalogs.en.ui;
+  const keys = new Set(manifest.datasets.map((d) => d.key));
+  for (const [lang, catalog] of Object.entries(catalogs)) {
+    assert.ok(catalog.language, `${lang}: language name`);
+    for (const [key, text] of Object.entries(catalog.ui)) {
+      assert.ok(key in en, `${lang}: unknown string "${key}"`);
+      assert.equal(placeholders(text), placeholders(en[key]), `${lang}: placeholders of "${key}"`);
+    }
+    for (const key of [...Object.keys(catalog.datasets || {}), ...Object.keys(catalog.regions || {})]) {
+      assert.ok(keys.has(key), `${lang}: unknown dataset "${key}"`);
+    }
+  }
+});
+
+// Same idea as the alias checks in datasetRegistry.test.js, for the vendored maps
+test("localized names match regions on the shipped maps and stay unambiguous", () => {
+  const vendored = manifest.datasets.filter((d) => typeof d.source === "string" && d.source.startsWith("/data/"));
+  for (const ds of vendored) {
+    const topo = readJson(`../public${ds.source}`);
+    const names = feature(topo, Object.values(topo.objects)[0]).features.map((f) => f.properties.name);
+    const owner = new Map(names.map((n) => [norm(n), n]));
+    for (const [lang, catalog] of Object.entries(catalogs)) {
+      const localized = (catalog.regions || {})[ds.key] || {};
+      const seen = new Map();
+      for (const [name, loc] of Object.entries(localized)) {
+        assert.ok(owner.has(norm(name)), `${lang}/${ds.key}: no region "${name}"`);
+        for (const alt of Array.isArray(loc) ? loc : [loc]) {
+          const clash = owner.get(norm(alt));
+          assert.ok(!clash || norm(clash) === norm(name), `${lang}/${ds.key}: "${alt}" is the name of ${clash}`);
+          assert.ok(!seen.has(norm(alt)) || seen.get(norm(alt)) === name, `${lang}/${ds.key}: "${alt}" used twice`);
+          seen.set(norm(alt), name);
+        }
+      }
+    }
+  }
+});
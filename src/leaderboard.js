@@ -0,0 +1,97 @@
+import { seededRng } from "./random.js";
+import { shuffle } from "./utils.js";
+import { TYPO_TOLERANCE } from "./matching.js";
+import { createQuizState, quizReducer } from "./quizEngine.js";
+
+/******************** Leaderboard ********************/
+/**
+ * Free-play games in Click/Choice/Type are seeded, so a finished run can be
+ * sent to the optional leaderboard server (scripts/leaderboardServer.js) as
+ * { dataset, mode, seed, player, score, log } and replayed there: the seed
+ * rebuilds the prompt order and each logged step goes through the quiz engine
+ * again. A run whose replay doesn't end the game with the claimed score is
+ * rejected. The server hands out the seeds, so nobody knows the order before
+ * the clock starts.
+ *
+ * Log steps: { type: "answer", answer, typos, lang, at } | { type: "skip", at }
+ * | { type: "timeout", at }, where `at` is ms since the game started, `typos` a
+ * TYPO_TOLERANCE key and `lang` the interface language (its names count in Type).
+ */
+export const LEADERBOARD_MODES = ["click", "choice", "type"];
+export const DEFAULT_LEADERBOARD_PORT = 8788;
+// Nobody clicks the right region faster than this, over and over
+export const MIN_ANSWER_MS = 150;
+const MAX_LOG = 5000;
+
+/** The prompt order for a run's seed; sorted first so the file's order doesn't matter */
+export function runQueue(names, seed) {
+  const uniques = Array.from(new Set((names || []).filter(Boolean))).sort();
+  return shuffle(uniques, seededRng(`mqg-run:${seed}`));
+}
+
+const STEP_ACTIONS = {
+  answer: (step, mode) => ({ type: "ANSWER", answer: String(step.answer ?? ""), mode, tolerance: TYPO_TOLERANCE[step.typos || "normal"] }),
+  skip: () => ({ type: "SKIP" }),
+  timeout: () => ({ type: "TIMEOUT" }),
+};
+
+/**
+ * Replay `run` over the dataset's `names`; `aliasesFor(lang)` gives the
+ * accepted names for a language. { ok: true, score, misses } or { ok: false, error }.
+ */
+export function verifyRun(run, { names, aliasesFor = () => ({}) }) {
+  if (!run || !LEADERBOARD_MODES.includes(run.mode)) return { ok: false, error: "mode" };
+  if (!String(run.player || "").trim()) return { ok: false, error: "player" };
+  if (!Array.isArray(run.log) || !run.log.length || run.log.length > MAX_LOG) return { ok: false, error: "log" };
+  let state = quizReducer(createQuizState(), { type: "RESET", names, queue: runQueue(names, run.seed) });
+  let last = 0, lastHit = -Infinity, quick = 0;
+  for (const step of run.log) {
+    const toAction = step && STEP_ACTIONS[step.type];
+    if (!toAction || state.gameOver) return { ok: false, error: "log" };
+    if (step.type === "answer" && step.typos !== undefined && !(step.typos in TYPO_TOLERANCE)) return { ok: false, error: "log" };
+    if (!Number.isFinite(step.at) || step.at < last) return { ok: false, error: "time" };
+    if (step.type === "answer") state = quizReducer(state, { type: "ALIASES", aliases: aliasesFor(step.lang) });
+    const before = state.score;
+    state = quizReducer(state, toAction(step, run.mode));
+    if (state.score > before) {
+      if (step.at - lastHit < MIN_ANSWER_MS) quick++;
+      lastHit = step.at;
+    }
+    last = step.at;
+  }
+  if (!state.gameOver) return { ok: false, error: "unfinished" };
+  if (state.score !== run.score) return { ok: false, error: "score" };
+  // The odd double-click is fine; a whole run of inhumanly fast hits isn't
+  if (quick > Math.max(3, state.score / 4)) return { ok: false, error: "time" };
+  return { ok: true, score: state.score, misses: state.misses };
+}
+
+/******************** Leaderboard client ********************/
+export const defaultLeaderboardUrl = () =>
+  `http://${(typeof location !== "undefined" && location.hostname) || "localhost"}:${DEFAULT_LEADERBOARD_PORT}`;
+
+async function request(url, options) {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw Object.assign(new Error(body.error || `HTTP ${res.status}`), { code: body.error });
+  return body;
+}
+
+/** { top: [{ player, score, ms, at }], best: { score, rank, ... } | null } for a dataset and mode */
+export async function fetchLeaderboard(base, { dataset, mode, player, limit = 10 }) {
+  const q = (params) => new URLSearchParams(params).toString();
+  const top = await request(`${base}/top?${q({ dataset, mode, limit })}`);
+  // Something answered, but not a leaderboard
+  if (!Array.isArray(top.runs)) throw new Error("not a leaderboard");
+  const best = player
+    ? await request(`${base}/best?${q({ dataset, mode, player })}`).catch((e) => (e.code === "none" ? null : Promise.reject(e)))
+    : null;
+  return { top: top.runs, best };
+}
+
+/** A seed for the next run: { seed, issuedAt } */
+export const requestRunSeed = (base) => request(`${base}/seed`, { method: "POST" });
+
+/** Submit a finished run: { id, rank, best } or throws with `code` = the server's reason */
+export const submitRun = (base, run) =>
+  request(`${base}/runs`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(run) });
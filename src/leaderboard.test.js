@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runQueue, verifyRun } from "./leaderboard.js";
+import { START_LIVES } from "./quizEngine.js";
+
+const NAMES = ["France", "Spain", "Italy", "Germany", "Poland"];
+const MAP = { names: NAMES };
+/** An honest run: answers `answers` (default: every prompt right) a second apart */
+const run = (extra = {}, answers = runQueue(NAMES, "s1")) => ({
+  dataset: "world",
+  mode: "click",
+  seed: "s1",
+  player: "Ana",
+  score: 5,
+  log: answers.map((answer, i) => ({ type: "answer", answer, at: 1000 * (i + 1) })),
+  ...extra,
+});
+
+test("runQueue is the same for a seed whatever the feature order", () => {
+  const q = runQueue(NAMES, "s1");
+  assert.deepEqual([...q].sort(), [...NAMES].sort());
+  assert.deepEqual(runQueue([...NAMES].reverse(), "s1"), q);
+  assert.notDeepEqual(runQueue(NAMES, "s2"), q);
+});
+
+test("an honest run replays to its score", () => {
+  assert.deepEqual(verifyRun(run(), MAP), { ok: true, score: 5, misses: 0 });
+  const lost = run({ score: 0 }, Array(START_LIVES).fill("Atlantis"));
+  assert.deepEqual(verifyRun(lost, MAP), { ok: true, score: 0, misses: START_LIVES });
+});
+
+test("a claimed score the log doesn't reach is rejected", () => {
+  assert.equal(verifyRun(run({ score: 6 }), MAP).error, "score");
+  // Right answers in the wrong order are misses
+  assert.equal(verifyRun(run({}, [...runQueue(NAMES, "s1")].reverse()), MAP).error, "score");
+  // Another seed's order doesn't fit this one
+  assert.equal(verifyRun(run({ seed: "s2" }), MAP).error, "score");
+});
+
+test("logs must finish the game, keep time and stay human", () => {
+  const { log } = run();
+  assert.equal(verifyRun(run({ log: log.slice(0, 3), score: 3 }), MAP).error, "unfinished");
+  assert.equal(verifyRun(run({ log: [...log, { type: "skip", at: 9000 }] }), MAP).error, "log");
+  assert.equal(verifyRun(run({ log: log.map((s, i) => ({ ...s, at: 5000 - i })) }), MAP).error, "time");
+  assert.equal(verifyRun(run({ log: log.map((s, i) => ({ ...s, at: 20 * i })) }), MAP).error, "time");
+  assert.equal(verifyRun(run({ mode: "learn" }), MAP).error, "mode");
+  assert.equal(verifyRun(run({ player: " " }), MAP).error, "player");
+});
+
+test("Type answers count in the language they were typed in", () => {
+  const queue = runQueue(NAMES, "s1");
+  const typed = queue.map((name) => (name === "Germany" ? "Alemania" : name));
+  const aliasesFor = (lang) => (lang === "es" ? { germany: ["Alemania"] } : {});
+  const log = typed.map((answer, i) => ({ type: "answer", answer, lang: "es", typos: "off", at: 1000 * (i + 1) }));
+  assert.equal(verifyRun(run({ mode: "type", log }), { names: NAMES, aliasesFor }).ok, true);
+  const english = log.map((s) => ({ ...s, lang: "en" }));
+  assert.equal(verifyRun(run({ mode: "type", log: english }), { names: NAMES, aliasesFor }).error, "unfinished");
+});
@@ -1,6 +1,7 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./offline.js";
 
 function showRuntimeErrorOnPage(evt){
   const root = document.getElementById("root");
@@ -21,8 +22,4 @@ const root = createRoot(document.getElementById("root"));
 root.render(<App />);
 
 // Register PWA service worker (no-op on unsupported browsers)
-if ("serviceWorker" in navigator) {
-  window.addEventListener("load", () => {
-    navigator.serviceWorker.register("/sw.js").catch(() => {});
-  });
-}
+registerServiceWorker();
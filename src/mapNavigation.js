@@ -0,0 +1,44 @@
+/******************** Keyboard map navigation ********************/
+/**
+ * Arrow keys move between regions by their centroids: the next region is the
+ * closest one in the pressed direction, preferring ones straight ahead over
+ * ones off to the side. Longitudes wrap at the antimeridian, so Right from
+ * eastern Russia reaches Alaska.
+ */
+export const ARROW_DIRECTIONS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1],
+};
+
+// Only look this far off-axis (tan of the half-angle) unless nothing else is that way
+const CONE = 2;
+
+/** Index into `centroids` ([lon, lat] per region) to move to from `from`, or -1 */
+export function neighbourInDirection(centroids, from, [dirX, dirY]) {
+  const origin = centroids[from];
+  if (!origin) return -1;
+  const [lon0, lat0] = origin;
+  const xScale = Math.cos((lat0 * Math.PI) / 180);
+  let best = -1, bestScore = Infinity, inCone = false;
+  centroids.forEach((c, i) => {
+    if (i === from || !c) return;
+    let dLon = c[0] - lon0;
+    if (dLon > 180) dLon -= 360;
+    if (dLon < -180) dLon += 360;
+    const dx = dLon * xScale, dy = c[1] - lat0;
+    const ahead = dx * dirX + dy * dirY;
+    if (ahead <= 0) return;
+    const aside = Math.abs(dx * dirY - dy * dirX);
+    const cone = aside <= ahead * CONE;
+    if (inCone && !cone) return;
+    const score = Math.hypot(ahead, aside) * (1 + aside / ahead);
+    if ((cone && !inCone) || score < bestScore) {
+      best = i;
+      bestScore = score;
+      inCone = inCone || cone;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ARROW_DIRECTIONS, neighbourInDirection } from "./mapNavigation.js";
+
+// A 3x3 grid of regions, 10 degrees apart, around the equator
+const GRID = [
+  [-10, 10], [0, 10], [10, 10],
+  [-10, 0], [0, 0], [10, 0],
+  [-10, -10], [0, -10], [10, -10],
+];
+const move = (from, key, centroids = GRID) => neighbourInDirection(centroids, from, ARROW_DIRECTIONS[key]);
+
+test("arrow keys step to the adjacent region", () => {
+  assert.equal(move(4, "ArrowRight"), 5);
+  assert.equal(move(4, "ArrowLeft"), 3);
+  assert.equal(move(4, "ArrowUp"), 1);
+  assert.equal(move(4, "ArrowDown"), 7);
+});
+
+test("straight ahead beats a closer region off to the side", () => {
+  const regions = [[0, 0], [3, 4], [8, 0]];
+  assert.equal(move(0, "ArrowRight", regions), 2);
+  // ...but a region well off-axis is still reachable when nothing else is that way
+  assert.equal(move(0, "ArrowUp", regions), 1);
+});
+
+test("the edge of the map stays put", () => {
+  assert.equal(move(5, "ArrowRight"), -1);
+  assert.equal(move(1, "ArrowUp"), -1);
+  assert.equal(move(99, "ArrowUp"), -1);
+});
+
+test("longitude wraps at the antimeridian", () => {
+  const regions = [[170, 60], [-160, 62], [100, 60]];
+  assert.equal(move(0, "ArrowRight", regions), 1);
+  assert.equal(move(1, "ArrowLeft", regions), 0);
+});
@@ -0,0 +1,96 @@
+import { norm } from "./utils.js";
+
+/******************** Matching ********************/
+/**
+ * Aliases are scoped per dataset (see `aliases` in datasets.json) so "GA" can
+ * mean Georgia the state without also answering for Georgia the country.
+ * A table maps normalized region names to the alternatives as written.
+ */
+export function aliasTable(raw) {
+  const table = {};
+  for (const [name, alts] of Object.entries(raw || {})) {
+    const key = norm(name);
+    table[key] = Array.from(new Set([...(table[key] || []), ...alts]));
+  }
+  return table;
+}
+
+/** Alternatives accepted for `canonical` (as written, for display) */
+export const aliasesFor = (canonical, aliases) => (aliases && aliases[norm(canonical)]) || [];
+
+export const matchesAnswer = (answer, canonical, aliases) => {
+  const a = norm(answer), c = norm(canonical);
+  if (a === c) return true;
+  return aliasesFor(canonical, aliases).some((alt) => norm(alt) === a);
+};
+
+/******************** Fuzzy matching ********************/
+/**
+ * Typo tolerance presets for Type mode. A name allows one edit per
+ * `charsPerEdit` characters, capped at `maxEdits`; `null` disables fuzzing.
+ * Short names (Iran, Iraq, Chad...) therefore have to be spelled exactly.
+ */
+export const TYPO_TOLERANCE = {
+  off: null,
+  normal: { charsPerEdit: 5, maxEdits: 2 },
+  lenient: { charsPerEdit: 4, maxEdits: 3 },
+};
+
+/** Edit distance counting insertions, deletions, substitutions and adjacent swaps */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) { rows[0][j] = j; continue; }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = d;
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/** How many edits a (normalized) name tolerates under `tolerance` */
+export function allowedEdits(name, tolerance = TYPO_TOLERANCE.normal) {
+  if (!tolerance) return 0;
+  return Math.min(tolerance.maxEdits, Math.floor(name.length / tolerance.charsPerEdit));
+}
+
+// Canonical name plus aliases, normalized
+const spellingsOf = (canonical, aliases) => [norm(canonical), ...aliasesFor(canonical, aliases).map(norm)];
+
+/**
+ * Grade a typed answer against `canonical`.
+ *
+ * Returns "correct" for an exact name/alias, "almost" for a near miss within
+ * the tolerance, or "wrong". A near miss is rejected when any other name in
+ * `candidates` (the dataset's regions) is at least as close, so "Nigeri"
+ * doesn't score for Niger or Nigeria, and typing another region's real name
+ * is never "almost" right.
+ */
+export function gradeAnswer(answer, canonical, { candidates = [], tolerance = TYPO_TOLERANCE.normal, aliases } = {}) {
+  if (matchesAnswer(answer, canonical, aliases)) return "correct";
+  const a = norm(answer);
+  if (!a || !tolerance) return "wrong";
+
+  let best = Infinity;
+  for (const s of spellingsOf(canonical, aliases)) {
+    const d = editDistance(a, s);
+    if (d <= allowedEdits(s, tolerance) && d < best) best = d;
+  }
+  if (best === Infinity) return "wrong";
+
+  const c = norm(canonical);
+  for (const other of candidates) {
+    if (norm(other) === c) continue;
+    if (spellingsOf(other, aliases).some((s) => editDistance(a, s) <= best)) return "wrong";
+  }
+  return "almost";
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aliasTable, aliasesFor, matchesAnswer, editDistance, allowedEdits, gradeAnswer, TYPO_TOLERANCE } from "./matching.js";
+
+test("matchesAnswer accepts exact names regardless of case/accents", () => {
+  assert.equal(matchesAnswer("quebec", "Québec"), true);
+  assert.equal(matchesAnswer("Ontario", "Quebec"), false);
+});
+
+const CANADA = aliasTable({ "Prince Edward Island": ["PEI", "PE"], Quebec: ["QC"] });
+const USA = aliasTable({ "New York": ["NY"], Georgia: ["GA"] });
+const WORLD = aliasTable({ "Côte d'Ivoire": ["Ivory Coast"], "Dem. Rep. Congo": ["DRC", "Zaire"] });
+
+test("matchesAnswer accepts the dataset's aliases", () => {
+  assert.equal(matchesAnswer("PEI", "Prince Edward Island", CANADA), true);
+  assert.equal(matchesAnswer("qc", "Québec", CANADA), true);
+  assert.equal(matchesAnswer("NY", "New York", USA), true);
+  assert.equal(matchesAnswer("Ivory Coast", "Cote d'Ivoire", WORLD), true);
+  assert.equal(matchesAnswer("zaire", "Dem. Rep. Congo", WORLD), true);
+});
+
+test("aliases don't leak between datasets", () => {
+  assert.equal(matchesAnswer("GA", "Georgia", USA), true);
+  assert.equal(matchesAnswer("GA", "Georgia", WORLD), false);
+  assert.equal(matchesAnswer("NY", "New York"), false);
+});
+
+test("aliasesFor lists alternatives as written", () => {
+  assert.deepEqual(aliasesFor("Québec", CANADA), ["QC"]);
+  assert.deepEqual(aliasesFor("Ontario", CANADA), []);
+  assert.deepEqual(aliasTable({ Quebec: ["QC"], "Québec": ["PQ", "QC"] }), { quebec: ["QC", "PQ"] });
+});
+
+test("editDistance counts edits and adjacent swaps", () => {
+  assert.equal(editDistance("kazakstan", "kazakhstan"), 1);
+  assert.equal(editDistance("massachusets", "massachusetts"), 1);
+  assert.equal(editDistance("teaxs", "texas"), 1);
+  assert.equal(editDistance("", "abc"), 3);
+});
+
+test("allowedEdits scales with name length", () => {
+  assert.equal(allowedEdits("iran"), 0);
+  assert.equal(allowedEdits("niger"), 1);
+  assert.equal(allowedEdits("massachusetts"), 2);
+  assert.equal(allowedEdits("massachusetts", TYPO_TOLERANCE.off), 0);
+});
+
+const COUNTRIES = ["Niger", "Nigeria", "Guinea", "Guinea-Bissau", "Equatorial Guinea", "Kazakhstan", "Iran", "Iraq"];
+
+test("gradeAnswer gives an almost for near misses", () => {
+  assert.equal(gradeAnswer("Kazakstan", "Kazakhstan", { candidates: COUNTRIES }), "almost");
+  assert.equal(gradeAnswer("Massachusets", "Massachusetts"), "almost");
+  assert.equal(gradeAnswer("Guinea Bissau", "Guinea-Bissau", { candidates: COUNTRIES }), "almost");
+  assert.equal(gradeAnswer("Kazakhstan", "Kazakhstan", { candidates: COUNTRIES }), "correct");
+  assert.equal(gradeAnswer("Zaïre", "Dem. Rep. Congo", { aliases: WORLD }), "correct");
+  assert.equal(gradeAnswer("Zair", "Dem. Rep. Congo", { aliases: WORLD, tolerance: TYPO_TOLERANCE.lenient }), "almost");
+});
+
+test("gradeAnswer rejects ambiguous or other-region answers", () => {
+  assert.equal(gradeAnswer("Niger", "Nigeria", { candidates: COUNTRIES }), "wrong");
+  assert.equal(gradeAnswer("Nigeria", "Niger", { candidates: COUNTRIES }), "wrong");
+  assert.equal(gradeAnswer("Nigeri", "Nigeria", { candidates: COUNTRIES }), "wrong");
+  assert.equal(gradeAnswer("Guinea", "Guinea-Bissau", { candidates: COUNTRIES }), "wrong");
+  assert.equal(gradeAnswer("Iraq", "Iran", { candidates: COUNTRIES }), "wrong");
+});
+
+test("gradeAnswer honours the tolerance setting", () => {
+  assert.equal(gradeAnswer("Kazakstan", "Kazakhstan", { tolerance: TYPO_TOLERANCE.off }), "wrong");
+  assert.equal(gradeAnswer("Kazakstn", "Kazakhstan", { tolerance: TYPO_TOLERANCE.normal }), "almost");
+  assert.equal(gradeAnswer("Masachusts", "Massachusetts", { tolerance: TYPO_TOLERANCE.normal }), "wrong");
+  assert.equal(gradeAnswer("Masachusts", "Massachusetts", { tolerance: TYPO_TOLERANCE.lenient }), "almost");
+});
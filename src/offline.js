@@ -0,0 +1,84 @@
+/******************** Offline support ********************/
+/**
+ * Page side of public/sw.js: service worker registration with an
+ * "update available" hook, plus per-dataset offline downloads through the
+ * Cache API (the worker serves dataset requests cache-first).
+ */
+// Must match DOWNLOADS_CACHE in public/sw.js
+export const DOWNLOADS_CACHE = "map-quiz-downloads-v1";
+
+const hasCaches = () => typeof caches !== "undefined";
+
+/** URLs a dataset config loads; custom (imported) maps have none */
+export function datasetUrls(conf) {
+  if (!conf || conf.custom || conf.geography) return [];
+  if (Array.isArray(conf.urls)) return conf.urls;
+  return conf.url ? [conf.url] : [];
+}
+
+/** Whether every file of the dataset is already cached */
+export async function isDatasetCached(conf) {
+  const urls = datasetUrls(conf);
+  if (!urls.length) return !!(conf && conf.geography); // inline data is always available
+  if (!hasCaches()) return false;
+  try {
+    const hits = await Promise.all(urls.map((u) => caches.match(u)));
+    return hits.every(Boolean);
+  } catch {
+    return false;
+  }
+}
+
+/** Fetch and cache the dataset files; rejects when offline or the cache is unavailable */
+export async function downloadDataset(conf) {
+  if (!hasCaches()) throw new Error("Offline storage isn't available in this browser.");
+  const cache = await caches.open(DOWNLOADS_CACHE);
+  await cache.addAll(datasetUrls(conf));
+}
+
+let waitingWorker = null;
+const updateListeners = new Set();
+
+function notifyUpdate(worker) {
+  waitingWorker = worker;
+  updateListeners.forEach((fn) => fn(true));
+}
+
+/** Subscribe to "a new version is installed and waiting"; returns an unsubscribe */
+export function onUpdateReady(fn) {
+  updateListeners.add(fn);
+  if (waitingWorker) fn(true);
+  return () => updateListeners.delete(fn);
+}
+
+/** Activate the waiting worker; the page reloads once it takes control */
+export function applyUpdate() {
+  if (waitingWorker) waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
+
+/** Register /sw.js (no-op on unsupported browsers) and watch for updates */
+export function registerServiceWorker() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  const sw = navigator.serviceWorker;
+  // Only reload for updates, not for the very first install claiming the page
+  const hadController = !!sw.controller;
+  let reloading = false;
+  sw.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  window.addEventListener("load", () => {
+    sw.register("/sw.js").then((reg) => {
+      if (reg.waiting && sw.controller) notifyUpdate(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && sw.controller) notifyUpdate(worker);
+        });
+      });
+    }).catch(() => {});
+  });
+}
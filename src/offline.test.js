@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { datasetUrls, isDatasetCached } from "./offline.js";
+
+test("datasetUrls lists the files a dataset loads", () => {
+  assert.deepEqual(datasetUrls({ url: "/data/israel.json" }), ["/data/israel.json"]);
+  assert.deepEqual(datasetUrls({ urls: ["/a.json", "/b.json"] }), ["/a.json", "/b.json"]);
+  assert.deepEqual(datasetUrls({ geography: { type: "FeatureCollection", features: [] }, custom: true }), []);
+  assert.deepEqual(datasetUrls(null), []);
+});
+
+test("isDatasetCached: inline maps are always ready, fetched ones need the Cache API", async () => {
+  assert.equal(await isDatasetCached({ geography: { type: "FeatureCollection", features: [] }, custom: true }), true);
+  assert.equal(await isDatasetCached({ url: "/data/israel.json" }), false);
+});
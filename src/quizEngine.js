@@ -0,0 +1,246 @@
+import { norm, shuffle } from "./utils.js";
+import { gradeAnswer, TYPO_TOLERANCE } from "./matching.js";
+
+/**
+ * Quiz engine – pure game rules for Click/Choice/Type/Silhouette play.
+ *
+ * The component owns rendering, timers and storage; everything that decides
+ * score, streak, lives, the no-repeat prompt queue and game over lives here
+ * as a reducer so it can be driven headlessly (see quizEngine.test.js).
+ *
+ * Events:
+ *  - RESET   { names, rng?, highScore?, queue?, lives?, requeueMisses?, aliases?,
+ *              players?, order? }         start a new game over `names` (shuffled,
+ *                                         or in the given `queue` order); with 2+
+ *                                         `players` it's a hot-seat game (below)
+ *  - ANSWER  { answer, mode, tolerance? } "click"/"choice" compare names, "type" and
+ *                                         "silhouette" use gradeAnswer
+ *  - TIMEOUT { mode? }                    countdown expired: lose a life, same prompt
+ *                                         (the next one in "silhouette", which reveals it)
+ *  - SKIP                                 move the prompt to the back of the queue
+ *  - ALIASES { aliases }                  swap the accepted names (e.g. another
+ *                                         language) without restarting the game
+ *
+ * `turn` increases on every ANSWER/TIMEOUT/SKIP so the UI can restart its
+ * countdown, and `lastOutcome` describes what the last event did. A typed
+ * near miss ("almost") scores like a correct answer so the UI can show the
+ * right spelling without costing a life.
+ *
+ * Hot seat: `players` holds each player's score, streak and lives, and
+ * `current` whose turn it is. With order "turns" the players take prompts in
+ * rotation; with "same" every player still in answers each prompt before it
+ * moves on (`pending` lists who is left). A player with no lives is out, and
+ * the game ends when everyone is out or the queue is empty. Top-level
+ * score/misses are the table's totals; `lastOutcome.player` says who played.
+ */
+
+export const START_LIVES = 5;
+
+export function createQuizState({ lives = START_LIVES, highScore = 0 } = {}) {
+  return {
+    prompt: null,
+    remaining: [],
+    names: [],
+    score: 0,
+    misses: 0,
+    streak: 0,
+    lives,
+    requeueMisses: 0,
+    aliases: {},
+    highScore,
+    gameOver: false,
+    turn: 0,
+    lastOutcome: null,
+    players: null,
+    order: "turns",
+    current: 0,
+    lead: 0,
+    pending: [],
+  };
+}
+
+export const HOT_SEAT_ORDERS = ["turns", "same"];
+export const MAX_PLAYERS = 6;
+
+/** Pop the next prompt off the queue, finishing the game when it's empty */
+function nextPromptOrFinish(state) {
+  if (!state.remaining.length) {
+    return { ...state, prompt: null, remaining: [], gameOver: true };
+  }
+  const [head, ...tail] = state.remaining;
+  return { ...state, prompt: head, remaining: tail };
+}
+
+function loseLife(state) {
+  const lives = Math.max(0, state.lives - 1);
+  return { ...state, lives, misses: state.misses + 1, gameOver: state.gameOver || lives === 0 };
+}
+
+/******************** Hot seat ********************/
+function seatPlayers(names, lives) {
+  return names.map((name) => ({ name, score: 0, streak: 0, bestStreak: 0, lives, misses: 0 }));
+}
+
+/** Next player after `from` who still has lives (possibly `from` again), or -1 */
+function nextSeat(players, from) {
+  for (let step = 1; step <= players.length; step++) {
+    const i = (from + step) % players.length;
+    if (players[i].lives > 0) return i;
+  }
+  return -1;
+}
+
+function scoreSeat(player, result) {
+  if (result === "correct" || result === "almost") {
+    const streak = player.streak + 1;
+    return { ...player, score: player.score + 1, streak, bestStreak: Math.max(player.bestStreak, streak) };
+  }
+  if (result === "skip") return { ...player, streak: 0 };
+  return { ...player, lives: Math.max(0, player.lives - 1), streak: 0, misses: player.misses + 1 };
+}
+
+/** "same" order: the next prompt starts with the next player still in */
+function nextRound(state) {
+  const lead = nextSeat(state.players, state.lead);
+  if (lead < 0) return { ...state, gameOver: true };
+  const n = state.players.length;
+  const pending = state.players.map((_, k) => (lead + k) % n).filter((i) => state.players[i].lives > 0);
+  return nextPromptOrFinish({ ...state, lead, current: lead, pending });
+}
+
+/** Record `result` for the player in the seat and pass the turn on */
+function playHotSeat(state, result, { mode, answer = null }) {
+  const seat = state.current;
+  const players = state.players.map((p, i) => (i === seat ? scoreSeat(p, result) : p));
+  const hit = result === "correct" || result === "almost";
+  const played = {
+    ...state,
+    players,
+    score: state.score + (hit ? 1 : 0),
+    misses: state.misses + (result === "wrong" || result === "timeout" ? 1 : 0),
+    turn: state.turn + 1,
+    lastOutcome: { result, prompt: state.prompt, answer, player: seat },
+  };
+  if (state.order === "same") {
+    // No retries here: a miss passes the same prompt to the next player
+    const pending = state.pending.filter((i) => i !== seat && players[i].lives > 0);
+    return pending.length ? { ...played, pending, current: pending[0] } : nextRound(played);
+  }
+  const current = nextSeat(players, seat);
+  if (current < 0) return { ...played, gameOver: true };
+  if (result === "skip") return nextPromptOrFinish({ ...played, current, remaining: [...state.remaining, state.prompt] });
+  // As in single play, a wrong click or pick reveals the answer; a typo or timeout doesn't
+  const moveOn = hit || (result === "wrong" && mode !== "type");
+  return moveOn ? nextPromptOrFinish({ ...played, current }) : { ...played, current };
+}
+
+/** Players ranked by score, then fewer misses; ties share a rank */
+export function standings(players) {
+  const ranked = (players || []).map((p, index) => ({ ...p, index }))
+    .sort((a, b) => b.score - a.score || a.misses - b.misses || a.index - b.index);
+  let rank = 0;
+  return ranked.map((p, i) => {
+    const prev = ranked[i - 1];
+    if (!prev || prev.score !== p.score || prev.misses !== p.misses) rank = i + 1;
+    return { ...p, rank };
+  });
+}
+
+/** Grade `answer` for the current prompt: "correct" | "almost" | "wrong" */
+export function judgeAnswer(state, answer, mode, tolerance = TYPO_TOLERANCE.normal) {
+  if (!state.prompt) return "wrong";
+  if (mode === "type" || mode === "silhouette") {
+    return gradeAnswer(answer, state.prompt, { candidates: state.names, tolerance, aliases: state.aliases });
+  }
+  return norm(answer) === norm(state.prompt) ? "correct" : "wrong";
+}
+
+export function quizReducer(state, action) {
+  switch (action.type) {
+    case "RESET": {
+      const uniques = Array.from(new Set(action.names || [])).filter(Boolean);
+      const fresh = {
+        ...createQuizState({
+          lives: action.lives ?? START_LIVES,
+          highScore: action.highScore ?? state.highScore,
+        }),
+        names: uniques,
+        remaining: action.queue ? [...action.queue] : shuffle(uniques, action.rng),
+        requeueMisses: action.requeueMisses || 0,
+        aliases: action.aliases || {},
+      };
+      const seats = (action.players || []).slice(0, MAX_PLAYERS);
+      if (seats.length >= 2) {
+        fresh.players = seatPlayers(seats, action.lives ?? START_LIVES);
+        fresh.order = HOT_SEAT_ORDERS.includes(action.order) ? action.order : "turns";
+        fresh.pending = fresh.order === "same" ? seats.map((_, i) => i) : [];
+      }
+      // Nothing to ask yet (e.g. geographies still loading): stay idle.
+      if (!fresh.remaining.length) return fresh;
+      return nextPromptOrFinish(fresh);
+    }
+
+    case "ANSWER": {
+      if (state.gameOver || !state.prompt) return state;
+      const { answer, mode, tolerance } = action;
+      const turn = state.turn + 1;
+      const result = judgeAnswer(state, answer, mode, tolerance);
+      if (state.players) return playHotSeat(state, result, { mode, answer });
+      if (result !== "wrong") {
+        const score = state.score + 1;
+        return nextPromptOrFinish({
+          ...state,
+          score,
+          streak: state.streak + 1,
+          highScore: Math.max(state.highScore, score),
+          turn,
+          lastOutcome: { result, prompt: state.prompt, answer },
+        });
+      }
+      const missed = loseLife({
+        ...state,
+        streak: 0,
+        turn,
+        lastOutcome: { result: "wrong", prompt: state.prompt, answer },
+      });
+      // A wrong click, pick or silhouette reveals the answer, so move on; Type mode lets the player retry.
+      if (mode === "type" || missed.gameOver) return missed;
+      if (state.requeueMisses > 0) {
+        // Learn mode: bring the miss back after a few other prompts.
+        const remaining = [...missed.remaining];
+        remaining.splice(state.requeueMisses, 0, state.prompt);
+        return nextPromptOrFinish({ ...missed, remaining });
+      }
+      return nextPromptOrFinish(missed);
+    }
+
+    case "TIMEOUT": {
+      if (state.gameOver || !state.prompt) return state;
+      if (state.players) return playHotSeat(state, "timeout", {});
+      const missed = loseLife({
+        ...state,
+        turn: state.turn + 1,
+        lastOutcome: { result: "timeout", prompt: state.prompt, answer: null },
+      });
+      return action.mode === "silhouette" && !missed.gameOver ? nextPromptOrFinish(missed) : missed;
+    }
+
+    case "SKIP": {
+      if (state.gameOver || !state.prompt) return state;
+      if (state.players) return playHotSeat(state, "skip", {});
+      return nextPromptOrFinish({
+        ...state,
+        remaining: [...state.remaining, state.prompt],
+        streak: 0,
+        turn: state.turn + 1,
+        lastOutcome: { result: "skip", prompt: state.prompt, answer: null },
+      });
+    }
+
+    case "ALIASES":
+      return { ...state, aliases: action.aliases || {} };
+
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,260 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { aliasTable } from "./matching.js";
+import { createQuizState, quizReducer, standings, START_LIVES } from "./quizEngine.js";
+
+// Deterministic "shuffle": an rng that always returns 0 rotates the list by one
+const rng = () => 0;
+const NAMES = ["France", "Spain", "Italy"];
+
+const play = (actions, state = createQuizState()) => actions.reduce(quizReducer, state);
+const start = (names = NAMES, extra = {}) => play([{ type: "RESET", names, rng, ...extra }]);
+
+test("RESET seeds a no-repeat queue and shows the first prompt", () => {
+  const s = start(["France", "Spain", "France", "", "Italy"]);
+  const asked = [s.prompt, ...s.remaining];
+  assert.equal(asked.length, 3);
+  assert.deepEqual([...asked].sort(), ["France", "Italy", "Spain"]);
+  assert.equal(s.lives, START_LIVES);
+  assert.equal(s.gameOver, false);
+});
+
+test("RESET with no names stays idle instead of ending the game", () => {
+  const s = start([]);
+  assert.equal(s.prompt, null);
+  assert.equal(s.gameOver, false);
+});
+
+test("correct answers score, build a streak and advance", () => {
+  const s0 = start();
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: s0.prompt, mode: "click" });
+  assert.equal(s1.score, 1);
+  assert.equal(s1.streak, 1);
+  assert.equal(s1.prompt, s0.remaining[0]);
+  assert.equal(s1.turn, 1);
+  assert.equal(s1.lastOutcome.result, "correct");
+});
+
+test("click comparison ignores case and diacritics", () => {
+  const s0 = start(["Québec"]);
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "quebec", mode: "click" });
+  assert.equal(s1.score, 1);
+});
+
+test("wrong click costs a life, resets streak and moves on", () => {
+  const s0 = play([{ type: "ANSWER", answer: start().prompt, mode: "click" }], start());
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "Atlantis", mode: "click" });
+  assert.equal(s1.lives, START_LIVES - 1);
+  assert.equal(s1.streak, 0);
+  assert.notEqual(s1.prompt, s0.prompt);
+  assert.deepEqual(s1.lastOutcome, { result: "wrong", prompt: s0.prompt, answer: "Atlantis" });
+});
+
+test("wrong typed answer keeps the same prompt", () => {
+  const s0 = start();
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "Atlantis", mode: "type" });
+  assert.equal(s1.lives, START_LIVES - 1);
+  assert.equal(s1.prompt, s0.prompt);
+});
+
+test("silhouettes are graded like typing but move on after a miss or timeout", () => {
+  const s0 = start(["Kazakhstan", "Germany", "Spain"]);
+  const almost = quizReducer(s0, { type: "ANSWER", answer: s0.prompt === "Kazakhstan" ? "Kazakstan" : s0.prompt, mode: "silhouette" });
+  assert.equal(almost.score, 1);
+  const wrong = quizReducer(almost, { type: "ANSWER", answer: "Atlantis", mode: "silhouette" });
+  assert.equal(wrong.lives, START_LIVES - 1);
+  assert.notEqual(wrong.prompt, almost.prompt);
+  const timedOut = quizReducer(wrong, { type: "TIMEOUT", mode: "silhouette" });
+  assert.deepEqual([timedOut.lives, timedOut.gameOver, timedOut.lastOutcome.result], [START_LIVES - 2, true, "timeout"]);
+});
+
+test("typed answers accept the dataset's aliases", () => {
+  const s0 = start(["Prince Edward Island"], { aliases: aliasTable({ "Prince Edward Island": ["PEI"] }) });
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "PEI", mode: "type" });
+  assert.equal(s1.score, 1);
+  const other = start(["Prince Edward Island"]);
+  assert.equal(quizReducer(other, { type: "ANSWER", answer: "PEI", mode: "type" }).score, 0);
+});
+
+test("ALIASES swaps the accepted names mid-game", () => {
+  const s0 = quizReducer(start(["Germany", "Spain"]), { type: "ANSWER", answer: "nope", mode: "type" });
+  const s1 = quizReducer(s0, { type: "ALIASES", aliases: aliasTable({ Germany: ["Alemania"], Spain: ["España"] }) });
+  assert.equal(s1.prompt, s0.prompt);
+  assert.equal(s1.lives, s0.lives);
+  const answer = s1.prompt === "Germany" ? "alemania" : "espana";
+  assert.equal(quizReducer(s1, { type: "ANSWER", answer, mode: "type" }).score, 1);
+});
+
+test("TIMEOUT costs a life but keeps the prompt and streak", () => {
+  const s0 = quizReducer(start(), { type: "ANSWER", answer: start().prompt, mode: "click" });
+  const s1 = quizReducer(s0, { type: "TIMEOUT" });
+  assert.equal(s1.lives, START_LIVES - 1);
+  assert.equal(s1.prompt, s0.prompt);
+  assert.equal(s1.streak, 1);
+  assert.equal(s1.turn, s0.turn + 1);
+});
+
+test("running out of lives ends the game", () => {
+  const s = play(Array(START_LIVES).fill({ type: "TIMEOUT" }), start());
+  assert.equal(s.lives, 0);
+  assert.equal(s.gameOver, true);
+  assert.equal(quizReducer(s, { type: "TIMEOUT" }), s);
+  assert.equal(quizReducer(s, { type: "ANSWER", answer: s.prompt, mode: "click" }), s);
+});
+
+test("answering every prompt ends the game", () => {
+  let s = start();
+  while (!s.gameOver) s = quizReducer(s, { type: "ANSWER", answer: s.prompt, mode: "type" });
+  assert.equal(s.score, NAMES.length);
+  assert.equal(s.prompt, null);
+});
+
+test("SKIP sends the prompt to the back of the queue without a penalty", () => {
+  const s0 = start();
+  const s1 = quizReducer(s0, { type: "SKIP" });
+  assert.equal(s1.lives, START_LIVES);
+  assert.equal(s1.prompt, s0.remaining[0]);
+  assert.equal(s1.remaining[s1.remaining.length - 1], s0.prompt);
+});
+
+test("SKIP on the last prompt asks it again", () => {
+  const s0 = start(["France"]);
+  const s1 = quizReducer(s0, { type: "SKIP" });
+  assert.equal(s1.prompt, "France");
+  assert.equal(s1.gameOver, false);
+});
+
+test("high score follows the score and survives RESET", () => {
+  const s0 = start(NAMES, { highScore: 1 });
+  const s1 = play([
+    { type: "ANSWER", answer: s0.prompt, mode: "click" },
+  ], s0);
+  assert.equal(s1.highScore, 1);
+  const s2 = quizReducer(s1, { type: "ANSWER", answer: s1.prompt, mode: "click" });
+  assert.equal(s2.highScore, 2);
+  const s3 = quizReducer(s2, { type: "RESET", names: NAMES, rng });
+  assert.equal(s3.score, 0);
+  assert.equal(s3.highScore, 2);
+});
+
+test("a typed near miss scores as almost without costing a life", () => {
+  const s0 = start(["Kazakhstan"]);
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "Kazakstan", mode: "type" });
+  assert.equal(s1.lastOutcome.result, "almost");
+  assert.equal(s1.score, 1);
+  assert.equal(s1.lives, START_LIVES);
+  const strict = quizReducer(s0, { type: "ANSWER", answer: "Kazakstan", mode: "type", tolerance: null });
+  assert.equal(strict.lastOutcome.result, "wrong");
+});
+
+test("typed answers naming a neighbouring region are wrong", () => {
+  const s0 = start(["Niger", "Nigeria"]);
+  const other = s0.prompt === "Niger" ? "Nigeria" : "Niger";
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: other, mode: "type" });
+  assert.equal(s1.lastOutcome.result, "wrong");
+});
+
+test("a wrong choice costs a life and moves on", () => {
+  const s0 = start();
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "Atlantis", mode: "choice" });
+  assert.equal(s1.lives, START_LIVES - 1);
+  assert.equal(s1.prompt, s0.remaining[0]);
+});
+
+test("RESET can take a pre-ordered queue and unlimited lives", () => {
+  const s0 = start(NAMES, { queue: ["Italy", "France"], lives: Infinity });
+  assert.equal(s0.prompt, "Italy");
+  assert.deepEqual(s0.remaining, ["France"]);
+  const s1 = play(Array(10).fill({ type: "TIMEOUT" }), s0);
+  assert.equal(s1.gameOver, false);
+  assert.equal(quizReducer(s1, { type: "RESET", names: NAMES, rng }).lives, START_LIVES);
+});
+
+test("requeueMisses brings a missed prompt back after a few others", () => {
+  const queue = ["A", "B", "C", "D", "E"];
+  const s0 = start(queue, { queue, requeueMisses: 2 });
+  const s1 = quizReducer(s0, { type: "ANSWER", answer: "Z", mode: "learn" });
+  assert.equal(s1.prompt, "B");
+  assert.deepEqual(s1.remaining, ["C", "A", "D", "E"]);
+});
+
+test("misses count wrong answers and timeouts", () => {
+  const s0 = start();
+  const s1 = play([
+    { type: "ANSWER", answer: "Atlantis", mode: "type" },
+    { type: "TIMEOUT" },
+    { type: "SKIP" },
+  ], s0);
+  assert.equal(s1.misses, 2);
+  assert.equal(quizReducer(s1, { type: "RESET", names: NAMES, rng }).misses, 0);
+});
+
+// Hot seat: a fixed queue keeps the prompts readable
+const seat = (order, extra = {}) =>
+  start(NAMES, { queue: NAMES, players: ["Ana", "Ben", "Cy"], order, ...extra });
+
+test("hot seat: players take prompts in turn and keep their own score", () => {
+  let s = seat("turns");
+  assert.equal(s.current, 0);
+  s = play([{ type: "ANSWER", answer: "France", mode: "click" }], s);
+  assert.equal(s.players[0].score, 1);
+  assert.equal(s.lastOutcome.player, 0);
+  assert.equal(s.current, 1);
+  assert.equal(s.prompt, "Spain");
+  s = play([{ type: "ANSWER", answer: "Italy", mode: "click" }], s);
+  assert.equal(s.players[1].lives, START_LIVES - 1);
+  assert.equal(s.prompt, "Italy"); // a wrong click reveals the answer and moves on
+  assert.equal(s.current, 2);
+  assert.equal(s.score, 1);
+  assert.equal(s.misses, 1);
+  assert.equal(s.highScore, 0);
+});
+
+test("hot seat: a typo or timeout passes the same prompt to the next player", () => {
+  let s = seat("turns");
+  s = play([{ type: "ANSWER", answer: "Germany", mode: "type" }], s);
+  assert.equal(s.prompt, "France");
+  assert.equal(s.current, 1);
+  s = play([{ type: "TIMEOUT" }, { type: "SKIP" }], s);
+  assert.equal(s.players[1].lives, START_LIVES - 1);
+  assert.equal(s.current, 0); // Cy skipped, back round to Ana
+  assert.equal(s.prompt, "Spain");
+  assert.deepEqual(s.remaining, ["Italy", "France"]);
+});
+
+test("hot seat: with order 'same' everyone answers each prompt", () => {
+  let s = seat("same");
+  s = play([
+    { type: "ANSWER", answer: "France", mode: "click" },
+    { type: "ANSWER", answer: "Spain", mode: "click" },
+  ], s);
+  assert.equal(s.prompt, "France");
+  assert.equal(s.current, 2);
+  s = play([{ type: "ANSWER", answer: "France", mode: "click" }], s);
+  assert.equal(s.prompt, "Spain");
+  assert.equal(s.current, 1); // the next prompt starts with the next player
+  assert.deepEqual(s.pending, [1, 2, 0]);
+  assert.deepEqual(s.players.map((p) => p.score), [1, 0, 1]);
+});
+
+test("hot seat: players without lives sit out until everyone is out", () => {
+  let s = seat("turns", { players: ["Ana", "Ben"], lives: 1, queue: ["France", "Spain", "Italy"] });
+  s = play([{ type: "ANSWER", answer: "Spain", mode: "type" }], s);
+  assert.equal(s.players[0].lives, 0);
+  assert.equal(s.current, 1);
+  s = play([{ type: "ANSWER", answer: "France", mode: "type" }], s);
+  assert.equal(s.current, 1); // Ana is out
+  s = play([{ type: "TIMEOUT" }], s);
+  assert.equal(s.gameOver, true);
+});
+
+test("standings rank by score, then fewer misses, sharing tied places", () => {
+  const players = [
+    { name: "Ana", score: 2, misses: 1 },
+    { name: "Ben", score: 3, misses: 4 },
+    { name: "Cy", score: 2, misses: 1 },
+    { name: "Di", score: 2, misses: 0 },
+  ];
+  assert.deepEqual(standings(players).map((p) => `${p.rank} ${p.name}`), ["1 Ben", "2 Di", "3 Ana", "3 Cy"]);
+  assert.equal(start().players, null); // one player is a normal game
+});
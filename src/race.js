@@ -0,0 +1,147 @@
+import { seededRng } from "./random.js";
+import { shuffle } from "./utils.js";
+import { createQuizState, quizReducer } from "./quizEngine.js";
+
+/******************** Race rooms ********************/
+/**
+ * A race: everyone in a room gets the same seeded prompt sequence and plays
+ * it at their own pace. The server keeps one race per room and runs every
+ * answer through the same quiz engine as the players' browsers, so scores on
+ * the shared board are the server's, not whatever a client claims. Pure, so
+ * the server (scripts/raceServer.js) and the tests drive it the same way.
+ *
+ * Actions (ids are connection ids, `now` is a timestamp):
+ *  - JOIN  { id, name, token }  a new player, or `token` rejoining as themselves
+ *  - START { id, now }          the host starts the race
+ *  - ANSWER { id, answer, now } / SKIP { id, now }
+ *  - LEAVE { id, now }          disconnected: kept (to rejoin) once the race runs
+ *
+ * Status goes lobby -> running -> done; done once every connected player has
+ * worked through the sequence (and at least one is still connected).
+ */
+export const RACE_MODES = ["click", "type"];
+export const RACE_LENGTH = 15;
+export const MAX_RACERS = 8;
+// Cap on moves kept per player (wrong typed answers don't advance)
+const MOVES_PER_PROMPT = 20;
+
+/** The room's prompts: sorted first so the order doesn't depend on the file */
+export function raceQueue(names, seed, length = RACE_LENGTH) {
+  const uniques = Array.from(new Set((names || []).filter(Boolean))).sort();
+  return shuffle(uniques, seededRng(`mqg-race:${seed}`)).slice(0, length);
+}
+
+export function createRace({ code, dataset, mode, names, aliases = {}, seed = code, length = RACE_LENGTH }) {
+  return {
+    code,
+    dataset,
+    mode,
+    names: Array.from(new Set(names)),
+    aliases,
+    queue: raceQueue(names, seed, length),
+    status: "lobby",
+    host: null,
+    players: [],
+    startedAt: null,
+  };
+}
+
+/** Why `token`/`name` can't join (an error code), or null */
+export function joinProblem(race, { name, token }) {
+  if (token && race.players.some((p) => p.token === token)) return null;
+  if (!String(name || "").trim()) return "name";
+  if (race.status !== "lobby") return "started";
+  if (race.players.length >= MAX_RACERS) return "full";
+  return null;
+}
+
+// Every racer plays the room's queue in order, with no lives to lose
+const startQuiz = (race) =>
+  quizReducer(createQuizState(), { type: "RESET", names: race.names, queue: race.queue, lives: Infinity, aliases: race.aliases });
+
+/** Replay a player's moves, e.g. to rebuild their game after a reconnect */
+export const replayMoves = (race, moves) => moves.reduce(quizReducer, startQuiz(race));
+
+// An empty room isn't finished: everyone may just be reloading
+const isDone = (players) => players.some((p) => p.connected) && players.every((p) => !p.connected || p.finishedAt !== null);
+
+function withPlayer(race, id, update) {
+  return { ...race, players: race.players.map((p) => (p.id === id ? update(p) : p)) };
+}
+
+function move(race, { id, now }, step) {
+  const player = race.players.find((p) => p.id === id);
+  if (race.status !== "running" || !player || player.finishedAt !== null) return race;
+  if (player.moves.length >= race.queue.length * MOVES_PER_PROMPT) return race; // typing junk on repeat
+  const quiz = quizReducer(player.quiz, step);
+  if (quiz === player.quiz) return race;
+  const next = withPlayer(race, id, (p) => ({
+    ...p,
+    quiz,
+    moves: [...p.moves, step],
+    finishedAt: quiz.gameOver ? now - race.startedAt : null,
+  }));
+  return isDone(next.players) ? { ...next, status: "done" } : next;
+}
+
+export function raceReducer(race, action) {
+  switch (action.type) {
+    case "JOIN": {
+      const { id, name, token } = action;
+      if (joinProblem(race, action)) return race;
+      const existing = race.players.find((p) => p.token === token);
+      if (existing) {
+        const next = withPlayer(race, existing.id, (p) => ({ ...p, id, connected: true }));
+        return { ...next, host: race.host === existing.id || race.host === null ? id : race.host };
+      }
+      const player = { id, token, name: String(name).trim(), connected: true, quiz: null, moves: [], finishedAt: null };
+      return { ...race, players: [...race.players, player], host: race.host ?? id };
+    }
+
+    case "START": {
+      if (race.status !== "lobby" || action.id !== race.host || !race.queue.length) return race;
+      const quiz = startQuiz(race);
+      return {
+        ...race,
+        status: "running",
+        startedAt: action.now,
+        players: race.players.map((p) => ({ ...p, quiz, moves: [], finishedAt: null })),
+      };
+    }
+
+    case "ANSWER":
+      return move(race, action, { type: "ANSWER", answer: String(action.answer ?? ""), mode: race.mode });
+
+    case "SKIP":
+      return move(race, action, { type: "SKIP" });
+
+    case "LEAVE": {
+      if (!race.players.some((p) => p.id === action.id)) return race;
+      const players = race.status === "lobby"
+        ? race.players.filter((p) => p.id !== action.id)
+        : race.players.map((p) => (p.id === action.id ? { ...p, connected: false } : p));
+      const host = race.host !== action.id ? race.host : (players.find((p) => p.connected) || {}).id ?? null;
+      const status = race.status === "running" && isDone(players) ? "done" : race.status;
+      return { ...race, players, host, status };
+    }
+
+    default:
+      return race;
+  }
+}
+
+/** Board rows ranked by score, then who finished first: { name, score, misses, answered, finished, connected, host, rank } */
+export function scoreboard(race) {
+  const rows = race.players.map((p) => ({
+    name: p.name,
+    score: p.quiz ? p.quiz.score : 0,
+    misses: p.quiz ? p.quiz.misses : 0,
+    answered: p.quiz ? race.queue.length - p.quiz.remaining.length - (p.quiz.prompt ? 1 : 0) : 0,
+    finished: p.finishedAt,
+    connected: p.connected,
+    host: p.id === race.host,
+  }));
+  const finish = (row) => row.finished ?? Number.MAX_SAFE_INTEGER;
+  rows.sort((a, b) => b.score - a.score || finish(a) - finish(b));
+  return rows.map((row, i) => ({ ...row, rank: i + 1 }));
+}
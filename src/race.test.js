@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRace, joinProblem, MAX_RACERS, raceQueue, raceReducer, replayMoves, scoreboard } from "./race.js";
+
+const NAMES = ["France", "Spain", "Italy", "Germany", "Poland"];
+const play = (actions, race) => actions.reduce(raceReducer, race);
+const room = (extra = {}) => play([
+  { type: "JOIN", id: "a", name: "Ana", token: "ta" },
+  { type: "JOIN", id: "b", name: "Ben", token: "tb" },
+], createRace({ code: "ABCD", dataset: "world", mode: "click", names: NAMES, length: 3, ...extra }));
+const started = () => play([{ type: "START", id: "a", now: 1000 }], room());
+const promptOf = (race, id) => race.players.find((p) => p.id === id).quiz.prompt;
+
+test("raceQueue is the same for a seed whatever the feature order", () => {
+  const q = raceQueue(NAMES, "ABCD", 3);
+  assert.equal(q.length, 3);
+  assert.deepEqual(raceQueue([...NAMES].reverse(), "ABCD", 3), q);
+  assert.notDeepEqual(raceQueue(NAMES, "WXYZ", 5), raceQueue(NAMES, "ABCD", 5));
+});
+
+test("only the host starts, and everyone gets the same first prompt", () => {
+  let race = room();
+  assert.equal(race.host, "a");
+  assert.equal(play([{ type: "START", id: "b", now: 0 }], race).status, "lobby");
+  race = play([{ type: "START", id: "a", now: 1000 }], race);
+  assert.equal(race.status, "running");
+  assert.equal(promptOf(race, "a"), race.queue[0]);
+  assert.equal(promptOf(race, "b"), race.queue[0]);
+  assert.equal(joinProblem(race, { name: "Cy" }), "started");
+});
+
+test("answers are graded by the server's copy of the game", () => {
+  let race = started();
+  const [first, second] = race.queue;
+  race = play([
+    { type: "ANSWER", id: "a", answer: first, now: 2000 },
+    { type: "ANSWER", id: "b", answer: "Atlantis", now: 2100 },
+    { type: "ANSWER", id: "a", answer: second, now: 2500 },
+  ], race);
+  const board = scoreboard(race);
+  assert.deepEqual(board.map((r) => [r.name, r.score, r.misses, r.answered]), [["Ana", 2, 0, 2], ["Ben", 0, 1, 1]]);
+  assert.equal(board[0].host, true);
+});
+
+test("the race ends when every connected player has finished", () => {
+  let race = started();
+  for (const name of race.queue) race = raceReducer(race, { type: "ANSWER", id: "a", answer: name, now: 5000 });
+  assert.equal(race.players[0].finishedAt, 4000);
+  assert.equal(race.status, "running");
+  race = raceReducer(race, { type: "LEAVE", id: "b", now: 6000 });
+  assert.equal(race.status, "done");
+  assert.equal(scoreboard(race)[0].name, "Ana");
+});
+
+test("a player rejoins with their token and picks up where they were", () => {
+  let race = started();
+  race = play([
+    { type: "ANSWER", id: "b", answer: race.queue[0], now: 2000 },
+    { type: "LEAVE", id: "b", now: 2500 },
+    { type: "JOIN", id: "b2", name: "", token: "tb" },
+  ], race);
+  const ben = race.players.find((p) => p.token === "tb");
+  assert.equal(ben.id, "b2");
+  assert.equal(ben.connected, true);
+  assert.deepEqual(replayMoves(race, ben.moves), ben.quiz);
+  assert.equal(promptOf(race, "b2"), race.queue[1]);
+  // Everyone reloading at once doesn't end the race
+  race = play([{ type: "LEAVE", id: "a", now: 3000 }, { type: "LEAVE", id: "b2", now: 3000 }], race);
+  assert.equal(race.status, "running");
+});
+
+test("the lobby hands over the host and enforces names and room size", () => {
+  let race = raceReducer(room(), { type: "LEAVE", id: "a", now: 0 });
+  assert.equal(race.host, "b");
+  assert.equal(race.players.length, 1);
+  assert.equal(joinProblem(race, { name: "  " }), "name");
+  for (let i = race.players.length; i < MAX_RACERS; i++) race = raceReducer(race, { type: "JOIN", id: `p${i}`, name: `P${i}`, token: `t${i}` });
+  assert.equal(joinProblem(race, { name: "Late" }), "full");
+});
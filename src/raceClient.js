@@ -0,0 +1,109 @@
+/******************** Race client ********************/
+/**
+ * Browser side of scripts/raceServer.js. The socket reconnects with backoff
+ * and, once it has been in a room, rejoins it with the room's token, so a
+ * dropped connection (or a page reload, via sessionStorage) keeps the
+ * player's place and progress.
+ */
+export const DEFAULT_RACE_PORT = 8787;
+const SESSION_KEY = "mqg_race";
+const MAX_BACKOFF_MS = 10000;
+
+export const defaultRaceUrl = () =>
+  `ws://${(typeof location !== "undefined" && location.hostname) || "localhost"}:${DEFAULT_RACE_PORT}`;
+
+/** { url, name, code, token } of the room this tab is in, or null */
+export function loadRaceSession() {
+  try {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveRaceSession(session) {
+  try {
+    if (session) sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(SESSION_KEY);
+  } catch {}
+}
+
+/**
+ * The page's race state after a `joined` or `board` message. `sync` bumps
+ * whenever the game has to be rebuilt from the server's copy: on joining or
+ * rejoining (with the moves made so far) and when the race starts, which
+ * resets everyone's game. Later boards only update the scores.
+ */
+export function raceUpdate(race, msg) {
+  if (msg.type === "joined") {
+    const { code, dataset, mode, queue, status, moves } = msg;
+    return { ...race, code, dataset, mode, queue, status, moves, sync: race.sync + 1, error: "" };
+  }
+  if (msg.type === "board") {
+    const started = race.status === "lobby" && msg.status === "running";
+    return {
+      ...race,
+      board: msg.players,
+      host: msg.host,
+      status: msg.status,
+      moves: started ? [] : race.moves,
+      sync: started ? race.sync + 1 : race.sync,
+    };
+  }
+  return race;
+}
+
+/**
+ * Open a connection that sends `first` (create/join) once connected.
+ * onStatus gets "connecting" | "open" | "reconnecting"; onMessage every
+ * parsed server message. Returns { send, close }.
+ */
+export function connectRace(url, { first, onMessage, onStatus = () => {} }) {
+  let ws = null;
+  let closed = false;
+  let retries = 0;
+  let timer = null;
+  let rejoin = first && first.token ? first : null;
+
+  const open = () => {
+    onStatus(retries ? "reconnecting" : "connecting");
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      ws = null;
+      retry();
+      return;
+    }
+    ws.onopen = () => {
+      retries = 0;
+      onStatus("open");
+      ws.send(JSON.stringify(rejoin || first));
+    };
+    ws.onmessage = (e) => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch { return; }
+      if (msg && msg.type === "joined") rejoin = { type: "join", code: msg.code, token: msg.token };
+      if (msg && typeof msg === "object") onMessage(msg);
+    };
+    ws.onclose = () => { if (!closed) retry(); };
+  };
+  const retry = () => {
+    retries++;
+    onStatus("reconnecting");
+    timer = setTimeout(open, Math.min(MAX_BACKOFF_MS, 500 * 2 ** retries));
+  };
+  open();
+
+  return {
+    send(msg) {
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify(msg));
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: "leave" }));
+      ws?.close();
+    },
+  };
+}
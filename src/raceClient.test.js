@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { raceUpdate } from "./raceClient.js";
+
+// What the page holds while connecting, before the server answers
+const connecting = { sync: 0, status: "lobby", board: [], host: false };
+const joined = (status, moves = []) => ({ type: "joined", code: "ABCD", token: "t", dataset: "world", mode: "click", queue: ["France", "Spain"], status, moves });
+const board = (status) => ({ type: "board", status, host: false, players: [] });
+
+test("the start of the race resets the game once", () => {
+  let race = raceUpdate(connecting, joined("lobby"));
+  assert.equal(race.sync, 1);
+  race = raceUpdate(race, board("lobby"));
+  race = raceUpdate(race, board("running"));
+  assert.deepEqual([race.status, race.sync, race.moves], ["running", 2, []]);
+  assert.equal(raceUpdate(race, board("running")).sync, 2);
+});
+
+test("rejoining a running race after a reload keeps the moves made", () => {
+  const moves = [{ type: "ANSWER", answer: "France" }];
+  let race = raceUpdate(connecting, joined("running", moves));
+  race = raceUpdate(race, board("running"));
+  assert.deepEqual([race.status, race.sync, race.moves], ["running", 1, moves]);
+});
@@ -0,0 +1,25 @@
+/******************** Seeded randomness ********************/
+/** 32-bit FNV-1a hash of a string, for turning seeds like "2026-10-19" into numbers */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** mulberry32: tiny, fast PRNG returning floats in [0, 1) */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Deterministic rng for a string seed; same seed, same sequence, on every device */
+export const seededRng = (seed) => mulberry32(hashString(String(seed)));
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hashString, mulberry32, seededRng } from "./random.js";
+
+test("hashString is stable and spreads similar inputs", () => {
+  assert.equal(hashString(""), 0x811c9dc5);
+  assert.equal(hashString("2026-10-19"), hashString("2026-10-19"));
+  assert.notEqual(hashString("2026-10-19"), hashString("2026-10-20"));
+});
+
+test("mulberry32 is deterministic and stays in [0, 1)", () => {
+  const a = mulberry32(42), b = mulberry32(42);
+  for (let i = 0; i < 1000; i++) {
+    const x = a();
+    assert.equal(x, b());
+    assert.ok(x >= 0 && x < 1);
+  }
+});
+
+test("seededRng gives different sequences for different seeds", () => {
+  const a = seededRng("a"), b = seededRng("b");
+  assert.notDeepEqual([a(), a(), a()], [b(), b(), b()]);
+});
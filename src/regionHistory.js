@@ -0,0 +1,84 @@
+import { shuffle } from "./utils.js";
+
+/******************** Per-region history & spaced repetition ********************/
+/**
+ * History is stored per dataset as { [regionName]: entry } where an entry is
+ * { correct, wrong, totalMs, box, due, last }. `box` is a Leitner box: a
+ * correct answer moves the region up one box and schedules it further out,
+ * a miss drops it back to box 0 so it comes straight back.
+ */
+export const BOX_INTERVALS_MS = [
+  0,
+  5 * 60 * 1000,            // 5 minutes
+  60 * 60 * 1000,           // 1 hour
+  24 * 60 * 60 * 1000,      // 1 day
+  3 * 24 * 60 * 60 * 1000,  // 3 days
+  7 * 24 * 60 * 60 * 1000,  // 1 week
+];
+export const MASTERED_BOX = 4;
+export const LEARN_SESSION_SIZE = 20;
+
+const historyKey = (dataset) => `mqg_history_v1_${dataset}`;
+
+export function loadHistory(dataset) {
+  try {
+    const raw = localStorage.getItem(historyKey(dataset));
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveHistory(dataset, history) {
+  try { localStorage.setItem(historyKey(dataset), JSON.stringify(history)); } catch {}
+}
+
+const emptyEntry = () => ({ correct: 0, wrong: 0, totalMs: 0, box: 0, due: 0, last: 0 });
+
+/** Return a new history with one answer for `name` recorded */
+export function recordOutcome(history, name, { correct, ms = 0, now = Date.now() }) {
+  const prev = history[name] || emptyEntry();
+  const box = correct ? Math.min(prev.box + 1, BOX_INTERVALS_MS.length - 1) : 0;
+  return {
+    ...history,
+    [name]: {
+      correct: prev.correct + (correct ? 1 : 0),
+      wrong: prev.wrong + (correct ? 0 : 1),
+      totalMs: prev.totalMs + Math.max(0, ms),
+      box,
+      due: now + BOX_INTERVALS_MS[box],
+      last: now,
+    },
+  };
+}
+
+export const isMastered = (entry) => !!entry && entry.box >= MASTERED_BOX;
+
+/** How many of `names` are mastered */
+export function masteredCount(names, history) {
+  const uniques = new Set((names || []).filter(Boolean));
+  let n = 0;
+  for (const name of uniques) if (isMastered(history[name])) n++;
+  return n;
+}
+
+/**
+ * Build a Learn session queue: due regions first (lowest box, then most
+ * overdue), then regions never seen before, then – only if the session is
+ * still short – the ones due soonest. Mastered regions that aren't due yet
+ * stay out of the way.
+ */
+export function buildLearnQueue(names, history, { now = Date.now(), size = LEARN_SESSION_SIZE, rng = Math.random } = {}) {
+  const uniques = Array.from(new Set((names || []).filter(Boolean)));
+  const due = [], fresh = [], later = [];
+  for (const name of shuffle(uniques, rng)) {
+    const entry = history[name];
+    if (!entry) fresh.push(name);
+    else if (entry.due <= now) due.push(name);
+    else later.push(name);
+  }
+  due.sort((a, b) => history[a].box - history[b].box || history[a].due - history[b].due);
+  later.sort((a, b) => history[a].due - history[b].due);
+  return [...due, ...fresh, ...later].slice(0, size);
+}
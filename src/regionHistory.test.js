@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BOX_INTERVALS_MS, MASTERED_BOX, buildLearnQueue, masteredCount, recordOutcome,
+} from "./regionHistory.js";
+
+const NOW = 1_700_000_000_000;
+const rng = () => 0;
+
+test("recordOutcome tallies answers and moves the Leitner box", () => {
+  let h = recordOutcome({}, "Ohio", { correct: true, ms: 1200, now: NOW });
+  h = recordOutcome(h, "Ohio", { correct: true, ms: 800, now: NOW });
+  assert.deepEqual(h.Ohio, { correct: 2, wrong: 0, totalMs: 2000, box: 2, due: NOW + BOX_INTERVALS_MS[2], last: NOW });
+  h = recordOutcome(h, "Ohio", { correct: false, ms: 3000, now: NOW + 1 });
+  assert.equal(h.Ohio.box, 0);
+  assert.equal(h.Ohio.wrong, 1);
+  assert.equal(h.Ohio.due, NOW + 1);
+});
+
+test("recordOutcome caps the box and doesn't mutate its input", () => {
+  const before = {};
+  let h = before;
+  for (let i = 0; i < 20; i++) h = recordOutcome(h, "Iowa", { correct: true, now: NOW });
+  assert.equal(h.Iowa.box, BOX_INTERVALS_MS.length - 1);
+  assert.deepEqual(before, {});
+});
+
+test("masteredCount counts regions at or above the mastered box", () => {
+  const h = { A: { box: MASTERED_BOX }, B: { box: MASTERED_BOX - 1 }, C: { box: 5 } };
+  assert.equal(masteredCount(["A", "B", "C", "D", "A"], h), 2);
+});
+
+test("buildLearnQueue puts weak due regions first, then new ones, mastered last", () => {
+  const h = {
+    Missed: { box: 0, due: NOW - 10 },
+    Shaky: { box: 1, due: NOW - 1000 },
+    Mastered: { box: 5, due: NOW + 1e9 },
+    Soon: { box: 2, due: NOW + 1000 },
+  };
+  const q = buildLearnQueue(["Mastered", "New", "Shaky", "Soon", "Missed"], h, { now: NOW, rng });
+  assert.deepEqual(q, ["Missed", "Shaky", "New", "Soon", "Mastered"]);
+  assert.deepEqual(buildLearnQueue(["Mastered", "New", "Missed"], h, { now: NOW, size: 2, rng }), ["Missed", "New"]);
+});
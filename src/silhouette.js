@@ -0,0 +1,50 @@
+import { geoArea, geoAzimuthalEqualArea, geoCentroid, geoPath } from "d3-geo";
+
+/******************** Silhouette mode ********************/
+/**
+ * One region on its own, with no map around it: the outline is drawn in an
+ * equal-area projection centred on the region, so it keeps its true shape
+ * wherever it is on the globe, and scaled to fill the stage. Harder twists
+ * turn (and mirror) the shape.
+ */
+export const SILHOUETTE_SIZE = 400;
+export const TWISTS = ["none", "rotate", "mirror"];
+// Parts smaller than this share of the biggest one (French Guiana, Alaska) don't set the framing
+const MAIN_PART_SHARE = 1 / 4;
+
+/** The polygons of a feature that make up its recognisable shape */
+export function mainParts(feature) {
+  const { geometry } = feature;
+  if (!geometry || geometry.type !== "MultiPolygon") return geometry;
+  const areas = geometry.coordinates.map((rings) => geoArea({ type: "Polygon", coordinates: rings }));
+  const biggest = Math.max(...areas);
+  return { type: "MultiPolygon", coordinates: geometry.coordinates.filter((_, i) => areas[i] >= biggest * MAIN_PART_SHARE) };
+}
+
+/**
+ * SVG path of `feature` in a size x size box. The main parts fit the circle
+ * inside the box, so any rotation stays in view; outlying parts may fall
+ * outside it.
+ */
+export function silhouettePath(feature, { size = SILHOUETTE_SIZE, padding = 16 } = {}) {
+  const main = mainParts(feature);
+  const [lon, lat] = geoCentroid(main);
+  const half = (size / 2 - padding) / Math.SQRT2;
+  const projection = geoAzimuthalEqualArea()
+    .rotate([-lon, -lat])
+    .fitExtent([[size / 2 - half, size / 2 - half], [size / 2 + half, size / 2 + half]], main);
+  return geoPath(projection)(feature) || "";
+}
+
+/** A turn of 45-315 degrees for "rotate", sometimes mirrored too for "mirror": { angle, mirror } */
+export function pickTwist(level, rng = Math.random) {
+  if (level !== "rotate" && level !== "mirror") return { angle: 0, mirror: false };
+  const angle = 45 * (1 + Math.floor(rng() * 7));
+  return { angle, mirror: level === "mirror" && rng() < 0.5 };
+}
+
+/** SVG transform applying a twist about the middle of the box */
+export function twistTransform({ angle, mirror }, size = SILHOUETTE_SIZE) {
+  const c = size / 2;
+  return `rotate(${angle} ${c} ${c})${mirror ? ` translate(${size} 0) scale(-1 1)` : ""}`;
+}
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mainParts, pickTwist, silhouettePath, twistTransform } from "./silhouette.js";
+
+const ring = (lon, lat, size) => [[[lon, lat], [lon, lat + size], [lon + size, lat + size], [lon + size, lat], [lon, lat]]];
+// A mainland with a big island next to it and a speck across the ocean
+const country = {
+  type: "Feature",
+  properties: { name: "Mainland" },
+  geometry: { type: "MultiPolygon", coordinates: [ring(0, 40, 10), ring(11, 40, 6), ring(-60, 5, 1)] },
+};
+const numbers = (d) => d.match(/-?\d+(\.\d+)?(e-?\d+)?/g).map(Number);
+
+test("mainParts drops the outlying specks", () => {
+  assert.equal(mainParts(country).coordinates.length, 2);
+  const single = { type: "Feature", geometry: { type: "Polygon", coordinates: ring(0, 0, 1) } };
+  assert.equal(mainParts(single), single.geometry);
+});
+
+test("silhouettePath centres the main shape inside the circle of the box", () => {
+  const size = 400;
+  const main = { ...country, geometry: mainParts(country) };
+  const xy = numbers(silhouettePath(main, { size, padding: 16 }));
+  const xs = xy.filter((_, i) => i % 2 === 0);
+  const ys = xy.filter((_, i) => i % 2 === 1);
+  const corners = [[Math.min(...xs), Math.min(...ys)], [Math.max(...xs), Math.max(...ys)]];
+  const reach = Math.max(...corners.flat().map((v) => Math.abs(v - size / 2)));
+  assert.ok(reach <= (size / 2 - 16) / Math.SQRT2 + 0.5, `reach ${reach}`);
+  assert.ok(Math.abs((corners[0][0] + corners[1][0]) / 2 - size / 2) < 1); // centred across
+  assert.ok(silhouettePath(country, { size }).length > 0); // the speck is drawn, just not framed
+});
+
+test("pickTwist turns the shape for harder levels", () => {
+  const rng = (values) => () => values.shift();
+  assert.deepEqual(pickTwist("none", rng([0.9])), { angle: 0, mirror: false });
+  assert.deepEqual(pickTwist("rotate", rng([0, 0.1])), { angle: 45, mirror: false });
+  assert.deepEqual(pickTwist("mirror", rng([0.99, 0.1])), { angle: 315, mirror: true });
+  assert.equal(twistTransform({ angle: 90, mirror: true }, 400), "rotate(90 200 200) translate(400 0) scale(-1 1)");
+});
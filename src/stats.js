@@ -0,0 +1,73 @@
+/******************** Stats ********************/
+/**
+ * Read-only views over the per-region history (regionHistory.js) plus a
+ * small per-dataset log of finished sessions for the stats dashboard.
+ */
+export const MAX_SESSIONS = 100;
+
+/** One row per attempted region: { name, attempts, correct, accuracy, avgMs }, weakest first */
+export function regionStats(history) {
+  const rows = [];
+  for (const [name, e] of Object.entries(history || {})) {
+    const attempts = (e.correct || 0) + (e.wrong || 0);
+    if (!attempts) continue;
+    rows.push({
+      name,
+      attempts,
+      correct: e.correct || 0,
+      accuracy: (e.correct || 0) / attempts,
+      avgMs: (e.totalMs || 0) / attempts,
+    });
+  }
+  return rows.sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts || a.name.localeCompare(b.name));
+}
+
+/** Heatmap fill: red (0%) through amber to green (100%) */
+export function accuracyColor(accuracy) {
+  const a = Math.max(0, Math.min(1, accuracy));
+  return `hsl(${Math.round(a * 120)}, 70%, 45%)`;
+}
+
+/** Accuracy for a single region, or null when it has never been asked */
+export function regionAccuracy(history, name) {
+  const e = history && history[name];
+  const attempts = e ? (e.correct || 0) + (e.wrong || 0) : 0;
+  return attempts ? e.correct / attempts : null;
+}
+
+const sessionsKey = (dataset) => `mqg_sessions_v1_${dataset}`;
+
+export function loadSessions(dataset) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(sessionsKey(dataset)) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Append { at, mode, score, misses, ms } to the dataset's session log (newest last) */
+export function saveSession(dataset, session) {
+  const next = [...loadSessions(dataset), session].slice(-MAX_SESSIONS);
+  try { localStorage.setItem(sessionsKey(dataset), JSON.stringify(next)); } catch {}
+  return next;
+}
+
+/** Totals across sessions: { sessions, answers, correct, accuracy, ms, best } */
+export function sessionTotals(sessions) {
+  let answers = 0, correct = 0, ms = 0, best = 0;
+  for (const s of sessions || []) {
+    answers += (s.score || 0) + (s.misses || 0);
+    correct += s.score || 0;
+    ms += s.ms || 0;
+    best = Math.max(best, s.score || 0);
+  }
+  return { sessions: (sessions || []).length, answers, correct, accuracy: answers ? correct / answers : 0, ms, best };
+}
+
+/** "1m 05s" style duration for the dashboard */
+export function formatDuration(ms) {
+  const total = Math.round((ms || 0) / 1000);
+  const m = Math.floor(total / 60), s = total % 60;
+  return m ? `${m}m ${String(s).padStart(2, "0")}s` : `${s}s`;
+}
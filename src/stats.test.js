@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { accuracyColor, formatDuration, regionAccuracy, regionStats, sessionTotals } from "./stats.js";
+
+const HISTORY = {
+  Ohio: { correct: 3, wrong: 1, totalMs: 8000 },
+  Utah: { correct: 0, wrong: 2, totalMs: 2000 },
+  Iowa: { correct: 1, wrong: 1, totalMs: 4000 },
+  Maine: { correct: 0, wrong: 0, totalMs: 0 },
+};
+
+test("regionStats lists attempted regions weakest first", () => {
+  const rows = regionStats(HISTORY);
+  assert.deepEqual(rows.map((r) => r.name), ["Utah", "Iowa", "Ohio"]);
+  assert.deepEqual(rows[2], { name: "Ohio", attempts: 4, correct: 3, accuracy: 0.75, avgMs: 2000 });
+});
+
+test("regionAccuracy is null for unseen regions", () => {
+  assert.equal(regionAccuracy(HISTORY, "Ohio"), 0.75);
+  assert.equal(regionAccuracy(HISTORY, "Maine"), null);
+  assert.equal(regionAccuracy(HISTORY, "Texas"), null);
+});
+
+test("accuracyColor runs from red to green", () => {
+  assert.equal(accuracyColor(0), "hsl(0, 70%, 45%)");
+  assert.equal(accuracyColor(1), "hsl(120, 70%, 45%)");
+  assert.equal(accuracyColor(2), "hsl(120, 70%, 45%)");
+});
+
+test("sessionTotals sums scores, misses and time", () => {
+  const t = sessionTotals([
+    { score: 5, misses: 5, ms: 60000 },
+    { score: 9, misses: 1, ms: 30000 },
+  ]);
+  assert.deepEqual(t, { sessions: 2, answers: 20, correct: 14, accuracy: 0.7, ms: 90000, best: 9 });
+  assert.equal(sessionTotals([]).accuracy, 0);
+});
+
+test("formatDuration pads seconds under a minute mark", () => {
+  assert.equal(formatDuration(4200), "4s");
+  assert.equal(formatDuration(65000), "1m 05s");
+});
@@ -0,0 +1,55 @@
+/******************** URL state ********************/
+/**
+ * Game configuration <-> query string, e.g.
+ *   ?dataset=usa48&mode=type&timer=10&hard=1
+ *   ?dataset=world&mode=explore&region=Peru
+ * Values are validated against the allowed datasets/modes/durations; anything
+ * unknown is dropped (falling back to the app defaults) and reported in `errors`.
+ */
+export const TIMER_DURATIONS = [10, 20, 30, 60];
+
+/** Parse a query string into { config, errors } */
+export function parseConfig(search, { datasets, modes, durations = TIMER_DURATIONS }) {
+  const params = new URLSearchParams(search || "");
+  const config = {};
+  const errors = [];
+
+  const dataset = params.get("dataset");
+  if (dataset !== null) {
+    if (Object.prototype.hasOwnProperty.call(datasets, dataset)) config.dataset = dataset;
+    else errors.push(`Unknown dataset "${dataset}"`);
+  }
+
+  const mode = params.get("mode");
+  if (mode !== null) {
+    if (Object.prototype.hasOwnProperty.call(modes, mode)) config.mode = mode;
+    else errors.push(`Unknown mode "${mode}"`);
+  }
+
+  const timer = params.get("timer");
+  if (timer !== null) {
+    const secs = Number(timer);
+    if (durations.includes(secs)) { config.timerOn = true; config.duration = secs; }
+    else errors.push(`Unsupported timer "${timer}" (use ${durations.join("/")})`);
+  }
+
+  const hard = params.get("hard");
+  if (hard !== null) config.hardMode = hard === "1" || hard === "true";
+
+  const region = params.get("region");
+  if (region && region.trim()) config.region = region.trim();
+
+  return { config, errors };
+}
+
+/** Query string ("?..." or "") for a config; omits defaults to keep links short */
+export function serializeConfig({ dataset, mode, timerOn, duration, hardMode, region }) {
+  const params = new URLSearchParams();
+  if (dataset) params.set("dataset", dataset);
+  if (mode) params.set("mode", mode);
+  if (timerOn && duration) params.set("timer", String(duration));
+  if (hardMode && mode === "click") params.set("hard", "1");
+  if (region && mode === "explore") params.set("region", region);
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
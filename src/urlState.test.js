@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseConfig, serializeConfig } from "./urlState.js";
+
+const ALLOWED = { datasets: { world: {}, usa48: {} }, modes: { explore: "", click: "", type: "" } };
+
+test("parseConfig reads a full configuration", () => {
+  const { config, errors } = parseConfig("?dataset=usa48&mode=type&timer=10&hard=1", ALLOWED);
+  assert.deepEqual(config, { dataset: "usa48", mode: "type", timerOn: true, duration: 10, hardMode: true });
+  assert.deepEqual(errors, []);
+});
+
+test("parseConfig drops unknown values and reports them", () => {
+  const { config, errors } = parseConfig("?dataset=mars&mode=toString&timer=7", ALLOWED);
+  assert.deepEqual(config, {});
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /mars/);
+});
+
+test("parseConfig keeps the explore region", () => {
+  assert.deepEqual(parseConfig("?mode=explore&region=New%20York", ALLOWED).config, { mode: "explore", region: "New York" });
+  assert.deepEqual(parseConfig("", ALLOWED), { config: {}, errors: [] });
+});
+
+test("serializeConfig round-trips and omits irrelevant settings", () => {
+  const cfg = { dataset: "usa48", mode: "click", timerOn: true, duration: 30, hardMode: true, region: "Ohio" };
+  const qs = serializeConfig(cfg);
+  assert.equal(qs, "?dataset=usa48&mode=click&timer=30&hard=1");
+  assert.deepEqual(parseConfig(qs, ALLOWED).config, { dataset: "usa48", mode: "click", timerOn: true, duration: 30, hardMode: true });
+  assert.equal(serializeConfig({ dataset: "world", mode: "explore", region: "Peru", hardMode: true }), "?dataset=world&mode=explore&region=Peru");
+  assert.equal(serializeConfig({}), "");
+});
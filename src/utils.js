@@ -0,0 +1,69 @@
+/******************** Utils ********************/
+export const safeList = (v) => (Array.isArray(v) ? v : []);
+export const isNum = (x) => typeof x === "number" && isFinite(x);
+/**
+ * Fold a name for comparison: case, spacing, apostrophe/dash variants and
+ * compatibility forms (full-width letters). Accents are dropped from Latin,
+ * Greek and Cyrillic letters and vowel points from Hebrew and Arabic, but
+ * marks that make a different letter elsewhere (kana voicing, Devanagari
+ * vowel signs) are kept. Katakana folds to hiragana.
+ */
+export const norm = (s) =>
+  String(s || "")
+    .normalize("NFKD")
+    .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu, "$1")
+    .replace(/[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g, "") // Hebrew points and accents
+    .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, "") // Arabic harakat, tatweel
+    .replace(/[\u30A1-\u30F6]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60))
+    .replace(/[\u2018\u2019\u02BC\u0060\u00B4]/g, "'")
+    .replace(/[\u2010-\u2015\u2212\u05BE]/g, "-")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .replace(/\u00DF/g, "ss")
+    .replace(/\u03C2/g, "\u03C3")
+    .normalize("NFC");
+
+/** Validate that a feature has usable polygon coordinates */
+export function isRenderableFeature(f) {
+  if (!f || !f.geometry) return false;
+  const { type, coordinates } = f.geometry;
+  if (!coordinates) return false;
+  const hasFirstNumber = (arr) =>
+    Array.isArray(arr) && arr.length > 0 &&
+    Array.isArray(arr[0]) && arr[0].length > 0 &&
+    Array.isArray(arr[0][0]) && arr[0][0].length > 0 &&
+    isNum(arr[0][0][0]);
+  if (type === "Polygon") return hasFirstNumber(coordinates);
+  if (type === "MultiPolygon") return Array.isArray(coordinates) && coordinates.length > 0 && hasFirstNumber(coordinates[0]);
+  return false; // ignore non-polygons
+}
+
+// Utility: pick a readable name from varying UK property keys (plain JS)
+export function pickName(props, keys) {
+  keys = Array.isArray(keys) && keys.length
+    ? keys
+    : ["name", "NAME", "NAME_1", "NAME_2"];
+  if (!props || typeof props !== "object") return "";
+  // Try preferred keys in order
+  for (const k of keys) {
+    const v = props[k];
+    if (typeof v === "string" && v.trim()) return v;
+  }
+  // Fallback: first non-empty string prop (handles ctyua17nm, lad18nm, etc.)
+  for (const k in props) {
+    const v = props[k];
+    if (typeof v === "string" && v.trim()) return v;
+  }
+  return "";
+}
+
+/** Fisher-Yates shuffle; `rng` defaults to Math.random and must return [0, 1) */
+export function shuffle(arr, rng = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { safeList, norm, isRenderableFeature, shuffle } from "./utils.js";
+
+test("norm strips diacritics, case and extra spaces", () => {
+  assert.equal(norm("Québec"), "quebec");
+  assert.equal(norm("  New   York "), "new york");
+  assert.equal(norm(null), "");
+});
+
+test("norm folds accents and variants in non-Latin scripts", () => {
+  assert.equal(norm("Ёлки"), norm("елки")); // Cyrillic yo/ye
+  assert.equal(norm("ΑΘΗΝΑΣ"), norm("αθήνας")); // Greek tonos, final sigma
+  assert.equal(norm("יְרוּשָׁלַיִם"), "ירושלים"); // Hebrew niqqud
+  assert.equal(norm("الْقَاهِرَة"), "القاهرة"); // Arabic harakat
+  assert.equal(norm("トウキョウ"), "とうきょう"); // katakana = hiragana
+  assert.equal(norm("ｶﾞｯｺｳ"), "がっこう"); // half-width kana keeps its voicing
+  assert.notEqual(norm("が"), norm("か"));
+  assert.equal(norm("दिल्ली"), "दिल्ली"); // Devanagari untouched
+});
+
+test("norm unifies punctuation and compatibility forms", () => {
+  assert.equal(norm("Côte d’Ivoire"), "cote d'ivoire");
+  assert.equal(norm("Guinea‐Bissau"), "guinea-bissau");
+  assert.equal(norm("Straße"), "strasse");
+  assert.equal(norm("ＦＲＡＮＣＥ"), "france");
+});
+
+test("safeList turns non-arrays into []", () => {
+  assert.deepEqual(safeList(null), []);
+  assert.deepEqual(safeList(undefined), []);
+  assert.deepEqual(safeList([1]), [1]);
+});
+
+test("isRenderableFeature only accepts usable polygons", () => {
+  assert.equal(isRenderableFeature({ geometry: null }), false);
+  assert.equal(isRenderableFeature({ geometry: { type: "Polygon", coordinates: [] } }), false);
+  assert.equal(isRenderableFeature({ geometry: { type: "Polygon", coordinates: [[], []] } }), false);
+  assert.equal(isRenderableFeature({ geometry: { type: "Point", coordinates: [0, 0] } }), false);
+  assert.equal(isRenderableFeature({ geometry: { type: "Polygon", coordinates: [[[0, 0], [1, 1], [1, 0], [0, 0]]] } }), true);
+  assert.equal(isRenderableFeature({ geometry: { type: "MultiPolygon", coordinates: [[[[0, 0], [1, 1], [1, 0], [0, 0]]]] } }), true);
+});
+
+test("shuffle keeps every element and honours the rng", () => {
+  const list = [1, 2, 3, 4];
+  assert.deepEqual([...shuffle(list)].sort(), list);
+  assert.deepEqual(shuffle(list, () => 0), [2, 3, 4, 1]);
+  assert.deepEqual(list, [1, 2, 3, 4]);
+});
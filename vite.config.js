@@ -1,2 +1,54 @@
+import { createHash } from "node:crypto";
+import { readdirSync, readFileSync } from "node:fs";
+import { join, relative } from "node:path";
 import { defineConfig } from "vite";
-export default defineConfig({});
+
+/** Every file under `dir`, as sorted paths relative to it */
+const listFiles = (dir) =>
+  readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => relative(dir, join(entry.parentPath ?? entry.path, entry.name)).split("\\").join("/"))
+    .sort();
+
+/** A short content hash of `files` (paths relative to `dir`), names included */
+function hashFiles(dir, files, extra = []) {
+  const hash = createHash("sha256");
+  for (const file of files) hash.update(file).update("\0").update(readFileSync(join(dir, file))).update("\0");
+  for (const part of extra) hash.update(part).update("\0");
+  return hash.digest("hex").slice(0, 12);
+}
+
+/**
+ * Writes /sw-assets.js for public/sw.js to import: the hashed files of the
+ * build to precache, and content hashes of the shipped datasets (public/data)
+ * and of the app shell, which name the worker's caches. A script the worker
+ * imports changing is what makes browsers install a new worker, so any new
+ * build or `npm run data` brings an update with fresh caches.
+ */
+function swAssets() {
+  let publicDir;
+  return {
+    name: "sw-assets",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(options, bundle) {
+      const assets = Object.keys(bundle).filter((file) => file.startsWith("assets/")).map((file) => `/${file}`);
+      const files = listFiles(publicDir).filter((file) => file !== "sw.js");
+      const data = files.filter((file) => file.startsWith("data/"));
+      const shell = files.filter((file) => !file.startsWith("data/"));
+      // The built index.html too, when Vite has put it in the bundle by now
+      const page = bundle["index.html"] ? [String(bundle["index.html"].source)] : [];
+      const source = [
+        `self.BUILD_ASSETS = ${JSON.stringify(assets)};`,
+        `self.DATA_HASH = ${JSON.stringify(hashFiles(publicDir, data))};`,
+        `self.SHELL_HASH = ${JSON.stringify(hashFiles(publicDir, shell, [...assets, ...page]))};`,
+      ].join("\n");
+      this.emitFile({ type: "asset", fileName: "sw-assets.js", source: `${source}\n` });
+    },
+  };
+}
+
+export default defineConfig({ plugins: [swAssets()] });